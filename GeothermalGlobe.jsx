@@ -1,11 +1,64 @@
-import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import React, { useState, useEffect, useMemo, useCallback, useRef } from 'react';
 import DeckGL from '@deck.gl/react';
-import { BitmapLayer, PathLayer, ScatterplotLayer } from '@deck.gl/layers';
+import { BitmapLayer, GeoJsonLayer, PathLayer, PolygonLayer, ScatterplotLayer, SolidPolygonLayer, TextLayer } from '@deck.gl/layers';
 import { TileLayer } from '@deck.gl/geo-layers';
+import { GridLayer, HexagonLayer } from '@deck.gl/aggregation-layers';
 import { _GlobeView as GlobeView, FlyToInterpolator } from '@deck.gl/core';
-import { resolveLocation } from './src/location/resolveLocation.js';
-import { parseResolvedPlace, getContinentFromCountry, CONTINENT_OPTIONS } from './src/location/regionUtils.js';
+import { hasRegionTags, featureCountryName, CONTINENT_OPTIONS, OCEANS_GROUP } from './src/location/regionUtils.js';
+import { DEFAULT_SCORE_PARAMS, createScorer, rescoreSite } from './src/scoring/compositeScore.js';
+import {
+  DEFAULT_MAX_OFFSHORE_KM,
+  MAX_OFFSHORE_RANGE,
+  SHORE_MODES,
+  THRESHOLD_MODES,
+  createNormalizer,
+  createScoreScale,
+} from './src/sites/siteQuery.js';
+import { MIN_SEPARATION_RANGE, PIPELINE_MIN_SEPARATION_KM, TOP_N_OPTIONS } from './src/sites/topSites.js';
+import { boundaryTooltipContent, createRankLookup, createTooltipCache, siteTooltipContent, tooltipHtml } from './src/sites/siteTooltip.js';
+import { createSiteWorkerClient } from './src/workers/siteWorkerClient.js';
+import { haversineKm } from './src/spatial/siteIndex.js';
+import { HEAT_FLOW_ESTIMATE_DEFAULTS, INTERPOLATION_METHODS, SURFACE_CELL_DEG } from './src/spatial/heatFlowEstimate.js';
+import { decodePermalink, encodePermalink, sameExceptView } from './src/permalink/permalink.js';
 import InfoModal from './src/InfoModal.jsx';
+import ExportMenu from './src/ExportMenu.jsx';
+import { EXPORT_FORMATS, downloadFile } from './src/export/exportSites.js';
+import { MIN_POLYGON_VERTICES, areaToGeoJSON, thinPath } from './src/area/areaSelection.js';
+import { DEFAULT_RADIUS_KM, RADIUS_RANGE, geodesicCircle, rankRadiusHits } from './src/spatial/radiusSearch.js';
+import CompareChart from './src/CompareChart.jsx';
+import ScoreHistogram from './src/ScoreHistogram.jsx';
+import PlaceSearch from './src/PlaceSearch.jsx';
+import { boundsToView, featureBounds } from './src/location/placeSearch.js';
+import { parseSiteFile } from './src/import/parseSiteFile.js';
+import {
+  BASEMAP_OPTIONS,
+  TILE_URL,
+  VECTOR_BASE_URL,
+  VECTOR_DETAIL,
+  nextTileHealth,
+  resolveBasemap,
+  tilesUnavailable,
+} from './src/basemap/basemap.js';
+import { boundaryCodes, boundaryLabel, isBoundaryVisible, listPlates, pairColor } from './src/plates/plateBoundaries.js';
+import { greatCirclePath } from './src/plates/boundarySegments.js';
+import {
+  AGGREGATE_FIELDS,
+  AGGREGATE_OPS,
+  CELL_SIZE_RANGE,
+  MAP_VIEW_MODES,
+  aggregateValue,
+  summarizeCell,
+} from './src/aggregation/cellStats.js';
+import { COUNTRY_METRICS, countryMetricExtent } from './src/aggregation/countryStats.js';
+import {
+  COMPARE_LETTERS,
+  MAX_COMPARE_SLOTS,
+  SLOT_COLORS,
+  COMPARE_METRICS,
+  nextFreeLetter,
+  rankSlots,
+  explainRanking,
+} from './src/compare/compareSites.js';
 
 const INITIAL_VIEW_STATE = {
   longitude: 0,
@@ -40,7 +93,19 @@ function scoreToColor(score) {
   ];
 }
 
+const BOUNDARIES_URL = '/plate_boundaries.json';
+
+/** Whole-globe polygon behind the offline basemap, so oceans are not the clear color. */
+const OCEAN_POLYGON = [[[-180, 90], [0, 90], [180, 90], [180, -90], [0, -90], [-180, -90]]];
+
 const GLOBE_VIEW = new GlobeView({ id: 'globe', controller: true });
+/** While drawing a freehand area, drags draw instead of panning the globe. */
+const GLOBE_VIEW_FREEHAND = new GlobeView({ id: 'globe', controller: { dragPan: false } });
+
+/** Freehand area vertices closer together than this are dropped. */
+const FREEHAND_STEP_KM = 10;
+const AREA_COLOR = [96, 200, 255];
+const RADIUS_COLOR = [160, 255, 140];
 
 const PANEL = {
   position: 'absolute',
@@ -53,96 +118,239 @@ const PANEL = {
   fontSize: 12,
 };
 
-/** Proxy score breakdown from available fields (hf, bd). Used for compare-mode explanation. */
-function getScoreBreakdown(site) {
-  if (!site) return { heatFlowComponent: 0, boundaryDistanceKm: null };
+/** Layers with hover tooltips. */
+const TOOLTIP_LAYERS = new Set(['heatmap-dots', 'top-sites', 'boundaries']);
+
+/** PANEL look for deck.gl's tooltip element (DOM style values, offset from the pointer). */
+const HOVER_TOOLTIP_STYLE = {
+  ...PANEL,
+  borderRadius: '8px',
+  fontSize: '12px',
+  padding: '8px 10px',
+  minWidth: '170px',
+  margin: '14px 0 0 14px',
+  zIndex: 12,
+};
+
+/** Imported candidate sites are drawn in violet so they stand apart from the score ramp. */
+const IMPORTED_COLOR = [190, 120, 255];
+
+/** Snapshot of a site pinned to a compare slot. Accepts dataset records, Top N entries and imported sites. */
+function siteToSlot(obj) {
+  const lon = obj.lon ?? obj.coordinates?.[0];
+  const lat = obj.lat ?? obj.coordinates?.[1];
+  const resolvedPlace = obj.resolvedPlace ?? '';
   return {
-    heatFlowComponent: site.hf ?? 0,
-    boundaryDistanceKm: site.bd ?? null,
+    coordinates: [lon, lat],
+    lon,
+    lat,
+    score: obj.score,
+    hf: obj.hf,
+    bd: obj.bd,
+    resolvedPlace,
+    countryName: obj.countryName ?? '',
+    stateName: obj.stateName ?? null,
+    continentName: obj.continentName ?? '',
+    onshore: obj.onshore ?? null,
+    coastKm: obj.coastKm ?? null,
+    name: obj.name ?? null,
+    imported: obj.imported ?? false,
   };
 }
 
-/** Build winner explanation from score components (higher heat flow better, lower bd better). */
-function getWinnerExplanation(slotA, slotB) {
-  const a = getScoreBreakdown(slotA);
-  const b = getScoreBreakdown(slotB);
-  const winner = (slotA?.score ?? 0) >= (slotB?.score ?? 0) ? 'A' : 'B';
-  const parts = [];
-  if (winner === 'A') {
-    const hfDiff = (a.heatFlowComponent ?? 0) - (b.heatFlowComponent ?? 0);
-    const bdDiff = (b.boundaryDistanceKm ?? 0) - (a.boundaryDistanceKm ?? 0);
-    if (hfDiff > 0) parts.push(`higher heat flow (+${hfDiff.toFixed(0)} mW/m²)`);
-    if (bdDiff > 0) parts.push(`closer to plate boundary (−${bdDiff.toFixed(1)} km)`);
-  } else {
-    const hfDiff = (b.heatFlowComponent ?? 0) - (a.heatFlowComponent ?? 0);
-    const bdDiff = (a.boundaryDistanceKm ?? 0) - (b.boundaryDistanceKm ?? 0);
-    if (hfDiff > 0) parts.push(`higher heat flow (+${hfDiff.toFixed(0)} mW/m²)`);
-    if (bdDiff > 0) parts.push(`closer to plate boundary (−${bdDiff.toFixed(1)} km)`);
-  }
-  if (parts.length === 0) return 'Scores are very close.';
-  return `${winner} wins because it has ${parts.join(' and ')}.`;
+/** Signed coast distance for display: "Onshore · 12.3 km inland" / "Offshore · 45.0 km". */
+function formatCoast(coastKm) {
+  if (coastKm == null) return '—';
+  return coastKm <= 0 ? `Onshore · ${Math.abs(coastKm).toFixed(1)} km inland` : `Offshore · ${coastKm.toFixed(1)} km`;
 }
 
-const BATCH_SIZE = 150;
+/** Interpolation uncertainty (0..1) as a word plus percentage. */
+function formatUncertainty(uncertainty) {
+  const word = uncertainty < 0.33 ? 'Low' : uncertainty < 0.66 ? 'Medium' : 'High';
+  return `${word} (${Math.round(uncertainty * 100)}%)`;
+}
+
+/** Filter options plus the selected value, so a linked (sub)region no site carries yet stays selectable. */
+function withSelected(options, value) {
+  return value === 'All' || options.includes(value) ? options : [...options, value].sort();
+}
+
+/** True when a record sits at a [lon, lat] taken from a permalink (rounded to 4 decimals). */
+function isAtLonLat(pt, lonLat) {
+  return Math.abs(pt.coordinates[0] - lonLat[0]) < 5e-5 && Math.abs(pt.coordinates[1] - lonLat[1]) < 5e-5;
+}
 
 export default function GeothermalGlobe() {
-  const [started, setStarted] = useState(false);
+  const [initialLink] = useState(() => decodePermalink(window.location.hash));
+  // Opening a shared link skips the intro overlay.
+  const [started, setStarted] = useState(() => window.location.hash.length > 1);
   const [data, setData] = useState([]);
   const [boundaries, setBoundaries] = useState([]);
   const [enrichedData, setEnrichedData] = useState(null);
-  const [showBoundaries, setShowBoundaries] = useState(true);
+  const [showBoundaries, setShowBoundaries] = useState(initialLink.showBoundaries);
+  const [hiddenPlates, setHiddenPlates] = useState(initialLink.hiddenPlates);
+  const [selectedBoundary, setSelectedBoundary] = useState(null);
+  const [basemapChoice, setBasemapChoice] = useState(initialLink.basemap);
+  const [tilesFailed, setTilesFailed] = useState(false);
+  const [online, setOnline] = useState(() => navigator.onLine !== false);
+  const [detailCountries, setDetailCountries] = useState(null);
+  const tileHealthRef = useRef({ consecutiveFailures: 0 });
+  const detailRequestedRef = useRef(false);
   const [showSidebar, setShowSidebar] = useState(true);
   const [selected, setSelected] = useState(null);
   const [clickCoordinate, setClickCoordinate] = useState(null);
   const [resolvedLocation, setResolvedLocation] = useState(null);
   const [locationResolving, setLocationResolving] = useState(false);
-  const [viewState, setViewState] = useState({ globe: INITIAL_VIEW_STATE });
-  const [potentialThreshold, setPotentialThreshold] = useState(0.5);
-  const [continentFilter, setContinentFilter] = useState('All');
-  const [countryFilter, setCountryFilter] = useState('All');
-  const [compareMode, setCompareMode] = useState(false);
-  const [compareSlotA, setCompareSlotA] = useState(null);
-  const [compareSlotB, setCompareSlotB] = useState(null);
+  const [snapDistanceKm, setSnapDistanceKm] = useState(null);
+  const [viewState, setViewState] = useState({ globe: { ...INITIAL_VIEW_STATE, ...initialLink.view } });
+  const [potentialThreshold, setPotentialThreshold] = useState(initialLink.threshold);
+  const [thresholdMax, setThresholdMax] = useState(initialLink.thresholdMax);
+  const [thresholdMode, setThresholdMode] = useState(initialLink.thresholdMode);
+  const [histogramField, setHistogramField] = useState('score');
+  const [continentFilter, setContinentFilter] = useState(initialLink.continent);
+  const [subregionFilter, setSubregionFilter] = useState(initialLink.subregion);
+  const [countryFilter, setCountryFilter] = useState(initialLink.country);
+  const [regionFilter, setRegionFilter] = useState(initialLink.region);
+  const [shoreMode, setShoreMode] = useState(initialLink.shore);
+  const [maxOffshoreKm, setMaxOffshoreKm] = useState(initialLink.maxOffshoreKm);
+  const lastMaxOffshoreRef = useRef(initialLink.maxOffshoreKm ?? DEFAULT_MAX_OFFSHORE_KM);
+  const [topN, setTopN] = useState(initialLink.topN);
+  const [minSeparationKm, setMinSeparationKm] = useState(initialLink.minSeparationKm);
+  const [groupNeighbours, setGroupNeighbours] = useState(initialLink.groupNeighbours);
+  const [interpolationMethod, setInterpolationMethod] = useState(initialLink.interpolation);
+  const [showSurface, setShowSurface] = useState(initialLink.showSurface);
+  const [clickEstimate, setClickEstimate] = useState(null);
+  const [clickBoundary, setClickBoundary] = useState(null);
+  const [surface, setSurface] = useState(null);
+  const [compareMode, setCompareMode] = useState(initialLink.compareMode);
+  const [compareSlots, setCompareSlots] = useState([]);
+  const [scoreParams, setScoreParams] = useState(initialLink.scoreParams);
+  const [importedSites, setImportedSites] = useState([]);
+  const [importStatus, setImportStatus] = useState(null);
+  const [dragActive, setDragActive] = useState(false);
+  const [aggregation, setAggregation] = useState(initialLink.aggregation);
+  const [selectedCell, setSelectedCell] = useState(null);
+  const [choroplethCountries, setChoroplethCountries] = useState(null);
+  const [hoveredCountry, setHoveredCountry] = useState(null);
+  const [touchTooltips, setTouchTooltips] = useState(initialLink.touchTooltips);
+  const pointerTypeRef = useRef(null);
+  const [area, setArea] = useState(initialLink.area);
+  const [areaDraw, setAreaDraw] = useState(null);
+  const [draftVertices, setDraftVertices] = useState([]);
+  // Radius search is on while radiusKm is set; the circle is centered on the click point.
+  const [radiusKm, setRadiusKm] = useState(initialLink.radiusKm);
+  const [radiusAboveOnly, setRadiusAboveOnly] = useState(true);
+  const [radiusResult, setRadiusResult] = useState(null);
+  const lastRadiusRef = useRef(initialLink.radiusKm ?? DEFAULT_RADIUS_KM);
+
+  const workerRef = useRef(null);
+  const [enrichProgress, setEnrichProgress] = useState(null);
+  const [siteQuery, setSiteQuery] = useState(null);
 
   useEffect(() => {
-    Promise.all([
-      fetch('/geothermal_data.json').then((r) => r.json()),
-      fetch('/plate_boundaries.json').then((r) => r.json()),
-    ]).then(([geo, bounds]) => {
-      setData(geo);
-      setBoundaries(bounds);
-    });
+    fetch(BOUNDARIES_URL)
+      .then((r) => r.json())
+      .then(setBoundaries);
   }, []);
 
+  // The site worker owns the dataset: it loads it, tags regions (streaming progress) and
+  // answers filter / threshold / nearest queries so none of that blocks the globe.
   useEffect(() => {
-    if (!data.length) return;
+    const siteWorker = createSiteWorkerClient();
+    workerRef.current = siteWorker;
     let cancelled = false;
-    (async () => {
-      const enriched = [];
-      for (let i = 0; i < data.length; i += BATCH_SIZE) {
-        if (cancelled) return;
-        const batch = data.slice(i, i + BATCH_SIZE);
-        const results = await Promise.all(
-          batch.map(async (pt) => {
-            const [lon, lat] = pt.coordinates;
-            const res = await resolveLocation(lat, lon).catch(() => ({ label: 'Unknown' }));
-            const { countryName, stateName } = parseResolvedPlace(res.label);
-            const continentName = getContinentFromCountry(countryName);
-            return {
-              ...pt,
-              resolvedPlace: res.label,
-              countryName,
-              stateName,
-              continentName,
-            };
-          })
-        );
-        enriched.push(...results);
-      }
-      if (!cancelled) setEnrichedData(enriched);
-    })();
+    siteWorker
+      .load('/geothermal_data.json')
+      .then(({ records }) => {
+        if (cancelled) return null;
+        setData(records);
+        return siteWorker.enrich((progress) => {
+          if (!cancelled) setEnrichProgress(progress);
+        });
+      })
+      .then((res) => {
+        if (cancelled || !res) return;
+        setEnrichedData(res.records);
+        setEnrichProgress(null);
+      })
+      .catch(() => {
+        if (!cancelled) setEnrichProgress(null);
+      });
+    return () => {
+      cancelled = true;
+      siteWorker.terminate();
+      workerRef.current = null;
+    };
+  }, []);
+
+  const showChoropleth = aggregation.mode === 'countries';
+
+  useEffect(() => {
+    const siteWorker = workerRef.current;
+    if (!siteWorker || !data.length) return;
+    let cancelled = false;
+    siteWorker
+      .query({
+        continent: continentFilter,
+        subregion: subregionFilter,
+        country: countryFilter,
+        region: regionFilter,
+        shore: shoreMode,
+        maxOffshoreKm,
+        threshold: potentialThreshold,
+        thresholdMax,
+        thresholdMode,
+        scoreParams,
+        area,
+        topN,
+        minSeparationKm,
+        groupNeighbours,
+        withCountryStats: showChoropleth,
+      })
+      .then((res) => {
+        if (!cancelled) setSiteQuery(res);
+      })
+      .catch(() => {});
     return () => { cancelled = true; };
-  }, [data]);
+  }, [data, enrichedData, continentFilter, subregionFilter, countryFilter, regionFilter, shoreMode, maxOffshoreKm, potentialThreshold, thresholdMax, thresholdMode, scoreParams, area, topN, minSeparationKm, groupNeighbours, showChoropleth]);
+
+  // Country polygons for the choropleth: the bundled basemap countries, fetched on first use.
+  useEffect(() => {
+    if (!showChoropleth || choroplethCountries) return;
+    fetch(VECTOR_BASE_URL)
+      .then((r) => r.json())
+      .then(setChoroplethCountries)
+      .catch(() => {});
+  }, [showChoropleth, choroplethCountries]);
+
+  const countryStats = showChoropleth ? siteQuery?.countryStats ?? null : null;
+  const countryExtent = useMemo(
+    () => (countryStats ? countryMetricExtent(countryStats, aggregation.countryMetric) : null),
+    [countryStats, aggregation.countryMetric]
+  );
+
+  const resolveLocation = useCallback(
+    (lat, lon) => workerRef.current?.resolveLocation(lat, lon) ?? Promise.reject(new Error('Site worker not running')),
+    []
+  );
+
+  /** Set the clicked coordinate and resolve its place label for the panels. */
+  const showClickLocation = useCallback(
+    (lat, lon) => {
+      setClickCoordinate([lon, lat]);
+      setLocationResolving(true);
+      resolveLocation(lat, lon)
+        .then((res) => {
+          setResolvedLocation(res);
+          setLocationResolving(false);
+        })
+        .catch(() => {
+          setResolvedLocation({ country: null, region: null, city: null, label: 'Unable to load map data', lat, lon });
+          setLocationResolving(false);
+        });
+    },
+    [resolveLocation]
+  );
 
   const flyTo = useCallback((lon, lat) => {
     setViewState((prev) => ({
@@ -158,158 +366,371 @@ export default function GeothermalGlobe() {
     }));
   }, []);
 
+  /** Fly so a [minLon, minLat, maxLon, maxLat] box fills the view (place search). */
+  const flyToBounds = useCallback((bounds) => {
+    setViewState((prev) => ({
+      ...prev,
+      globe: {
+        ...prev.globe,
+        ...boundsToView(bounds),
+        transitionDuration: 1500,
+        transitionInterpolator: new FlyToInterpolator(),
+      },
+    }));
+  }, []);
+
   const selectPoint = useCallback((point) => {
     setSelected(point);
   }, []);
 
-  const sourceForFilter = enrichedData ?? data.map((pt) => ({ ...pt, resolvedPlace: '', countryName: '', stateName: null, continentName: 'Other' }));
-  const filteredSites = useMemo(() => {
-    return sourceForFilter.filter((pt) => {
-      if (continentFilter !== 'All' && pt.continentName !== continentFilter) return false;
-      if (countryFilter !== 'All' && pt.countryName !== countryFilter) return false;
-      return true;
+  /** Set the continent filter; subregions belong to one continent, so the Subregion filter resets. */
+  const selectContinent = useCallback((continent) => {
+    setContinentFilter(continent);
+    setSubregionFilter('All');
+  }, []);
+
+  /** Set the country filter; the Region filter belongs to one country, so it resets. */
+  const selectCountry = useCallback((country, region = 'All') => {
+    setCountryFilter(country);
+    setRegionFilter(region);
+  }, []);
+
+  // Coming back online gives the tiles another chance.
+  useEffect(() => {
+    const goOnline = () => {
+      tileHealthRef.current = { consecutiveFailures: 0 };
+      setTilesFailed(false);
+      setOnline(true);
+    };
+    const goOffline = () => setOnline(false);
+    window.addEventListener('online', goOnline);
+    window.addEventListener('offline', goOffline);
+    return () => {
+      window.removeEventListener('online', goOnline);
+      window.removeEventListener('offline', goOffline);
+    };
+  }, []);
+
+  const basemapMode = resolveBasemap(basemapChoice, { tilesFailed, online });
+  const zoom = viewState.globe.zoom;
+
+  // The detailed offline countries file is optional: fetch it once, on first zoom-in.
+  useEffect(() => {
+    if (basemapMode !== 'vector' || zoom < VECTOR_DETAIL.minZoom || detailRequestedRef.current) return;
+    detailRequestedRef.current = true;
+    fetch(VECTOR_DETAIL.url)
+      .then((r) => (r.ok && r.headers.get('content-type')?.includes('json') ? r.json() : null))
+      .then((json) => {
+        if (json?.type === 'FeatureCollection') setDetailCountries(json);
+      })
+      .catch(() => {});
+  }, [basemapMode, zoom]);
+  const useDetailCountries = detailCountries != null && zoom >= VECTOR_DETAIL.minZoom;
+
+  const plates = useMemo(() => listPlates(boundaries), [boundaries]);
+  const visibleBoundaries = useMemo(() => {
+    const hidden = new Set(hiddenPlates);
+    return boundaries.filter((b) => isBoundaryVisible(b, hidden));
+  }, [boundaries, hiddenPlates]);
+
+  // Name the plate boundary nearest the selected site (nearest boundary segment).
+  useEffect(() => {
+    const coords = selected?.coordinates;
+    if (!coords || !workerRef.current) {
+      setSelectedBoundary(null);
+      return undefined;
+    }
+    let cancelled = false;
+    workerRef.current
+      .boundaryDistance(coords[0], coords[1], BOUNDARIES_URL)
+      .then((res) => {
+        if (!cancelled) setSelectedBoundary(res);
+      })
+      .catch(() => {
+        if (!cancelled) setSelectedBoundary(null);
+      });
+    return () => { cancelled = true; };
+  }, [selected]);
+
+  const scorer = useMemo(
+    () => createScorer({ ...scoreParams, cap: siteQuery?.heatFlowCap ?? null }),
+    [scoreParams, siteQuery]
+  );
+
+  const baseSource = useMemo(
+    () => enrichedData ?? data.map((pt) => (hasRegionTags(pt) ? pt : { ...pt, resolvedPlace: '', countryName: '', stateName: null, continentName: 'Other', subregionName: null, countryCode: null, countryCode2: null, onshore: null, coastKm: null })),
+    [enrichedData, data]
+  );
+
+  /**
+   * Materialize the worker's index-based query result as site objects carrying the rescored
+   * score, plus the threshold mode's score scale for the color ramp.
+   */
+  const { highPotentialData, topSitesComputed, scoreScale, siteAt } = useMemo(() => {
+    if (!siteQuery || siteQuery.scores.length !== baseSource.length) {
+      return {
+        highPotentialData: [],
+        topSitesComputed: [],
+        scoreScale: createNormalizer({ min: 0, max: 1 }),
+        siteAt: () => null,
+      };
+    }
+    const cache = new Array(baseSource.length);
+    const at = (i) => {
+      if (!cache[i]) {
+        const pt = baseSource[i];
+        const score = siteQuery.scores[i];
+        cache[i] = pt.score === score ? pt : { ...pt, score };
+      }
+      return cache[i];
+    };
+    const withLonLat = (site) => ({ ...site, lon: site.coordinates[0], lat: site.coordinates[1] });
+    const top = Array.from(siteQuery.top, (i, rank) => {
+      const group = siteQuery.topGroups?.[rank];
+      return {
+        ...withLonLat(at(i)),
+        rank: rank + 1,
+        neighbourCount: group?.count ?? 0,
+        neighbours: group ? Array.from(group.neighbours, (j) => withLonLat(at(j))) : [],
+      };
     });
-  }, [sourceForFilter, continentFilter, countryFilter]);
-
-  const { topSitesComputed, uniqueCountries } = useMemo(() => {
-    const scoreExtent =
-      filteredSites.length > 0
-        ? filteredSites.reduce(
-            (acc, d) => {
-              const s = d.score ?? 0;
-              return { min: Math.min(acc.min, s), max: Math.max(acc.max, s) };
-            },
-            { min: Infinity, max: -Infinity }
-          )
-        : { min: 0, max: 1 };
-    const scoreRange = scoreExtent.max - scoreExtent.min || 1;
-    const normalizeScore = (s) =>
-      (Math.max(scoreExtent.min, Math.min(scoreExtent.max, s ?? 0)) - scoreExtent.min) / scoreRange;
-    const aboveThreshold = filteredSites.filter((d) => normalizeScore(d.score) >= potentialThreshold);
-    const sorted = [...aboveThreshold].sort((a, b) => (b.score ?? 0) - (a.score ?? 0));
-    const top20 = sorted.slice(0, 20).map((site, i) => {
+    return {
+      highPotentialData: Array.from(siteQuery.high, at),
+      topSitesComputed: top,
+      scoreScale: createScoreScale(thresholdMode, siteQuery),
+      siteAt: at,
+    };
+  }, [siteQuery, baseSource, thresholdMode]);
+  const uniqueCountries = siteQuery?.countries ?? [];
+
+  // Tooltip HTML is cached per hovered object and rebuilt only when the query changes.
+  const siteTooltips = useMemo(() => {
+    const rankOf = createRankLookup(siteQuery?.scores ?? [], siteQuery?.filtered ?? []);
+    return createTooltipCache((site) => tooltipHtml(siteTooltipContent(site, rankOf)));
+  }, [siteQuery]);
+  const boundaryTooltips = useMemo(() => createTooltipCache((b) => tooltipHtml(boundaryTooltipContent(b))), []);
+
+  // deck.gl calls onHover with the pointer event just before getTooltip, which gets none.
+  const handleHover = useCallback((_, event) => {
+    pointerTypeRef.current = event?.pointerType ?? null;
+  }, []);
+
+  /** Tooltip for dots, Top N pins and boundaries, drawn by deck.gl so hovering never re-renders the globe. */
+  const getTooltip = useCallback(
+    ({ object, layer }) => {
+      if (!object || !TOOLTIP_LAYERS.has(layer?.id)) return null;
+      if (!touchTooltips && pointerTypeRef.current === 'touch') return null;
+      const html = (layer.id === 'boundaries' ? boundaryTooltips : siteTooltips).get(object);
+      return { html, style: HOVER_TOOLTIP_STYLE };
+    },
+    [siteTooltips, boundaryTooltips, touchTooltips]
+  );
+  const subregionOptions = useMemo(() => withSelected(siteQuery?.subregions ?? [], subregionFilter), [siteQuery, subregionFilter]);
+  const regionOptions = useMemo(() => withSelected(siteQuery?.regions ?? [], regionFilter), [siteQuery, regionFilter]);
+
+  /** Place search pick: coordinates are marked like a click; places fly to their bounds. */
+  const handlePlacePick = useCallback(
+    (result, { applyFilter }) => {
+      if (result.kind === 'coordinate') {
+        setSnapDistanceKm(null);
+        selectPoint(null);
+        showClickLocation(result.lat, result.lon);
+        flyTo(result.lon, result.lat);
+        return;
+      }
+      flyToBounds(result.bounds);
+      if (applyFilter) {
+        selectContinent('All');
+        selectCountry(result.countryName, result.kind === 'state' ? result.name : 'All');
+      }
+    },
+    [selectPoint, showClickLocation, flyTo, flyToBounds, selectContinent, selectCountry]
+  );
+
+  /** Top N row or suppressed neighbour click: select the site and fly to it. */
+  const pickListedSite = useCallback(
+    (site) => {
+      setSnapDistanceKm(null);
+      if (site.resolvedPlace) {
+        setClickCoordinate([site.lon, site.lat]);
+        setResolvedLocation({ label: site.resolvedPlace, lat: site.lat, lon: site.lon });
+      } else {
+        showClickLocation(site.lat, site.lon);
+      }
+      selectPoint({
+        coordinates: [site.lon, site.lat],
+        score: site.score,
+        hf: site.hf,
+        bd: site.bd,
+      });
+      flyTo(site.lon, site.lat);
+    },
+    [selectPoint, showClickLocation, flyTo]
+  );
+
+  /**
+   * Parse a dropped or picked CSV / GeoJSON file and measure its points against the
+   * dataset in the worker (estimated heat flow, boundary distance, region). Scores are
+   * applied at render time with the current scorer, like the rest of the map.
+   */
+  const importFile = useCallback(async (file) => {
+    const siteWorker = workerRef.current;
+    if (!file || !siteWorker) return;
+    setImportStatus(`Importing ${file.name}…`);
+    try {
+      const { sites, skipped } = await parseSiteFile(file);
+      if (!sites.length) throw new Error(`No valid points in ${file.name}`);
+      const measured = await siteWorker.estimateSites(sites.map((s) => s.coordinates), BOUNDARIES_URL);
+      const next = sites.map((site, i) => ({ ...site, ...measured[i], imported: true }));
+      setImportedSites((prev) => [...prev, ...next]);
+      const missing = next.filter((s) => s.hf == null).length;
+      setImportStatus(
+        [
+          `Imported ${next.length} site${next.length === 1 ? '' : 's'} from ${file.name}`,
+          skipped ? `${skipped} skipped (no valid lat/lon)` : null,
+          missing ? `${missing} with no heat-flow data nearby` : null,
+        ]
+          .filter(Boolean)
+          .join(' · ')
+      );
+    } catch (err) {
+      setImportStatus(err.message);
+    }
+  }, []);
+
+  const handleDrop = useCallback(
+    (e) => {
+      e.preventDefault();
+      setDragActive(false);
+      Array.from(e.dataTransfer?.files ?? []).forEach(importFile);
+    },
+    [importFile]
+  );
+
+  const importedScored = useMemo(() => importedSites.map((site) => rescoreSite(site, scorer)), [importedSites, scorer]);
+
+  const setResolvedAndSelect = useCallback(
+    (lon, lat, point, doFly = true) => {
+      showClickLocation(lat, lon);
+      selectPoint(point);
+      if (doFly) flyTo(lon, lat);
+    },
+    [showClickLocation, selectPoint, flyTo]
+  );
+
+  /** A dataset or imported site picked on the map or from a list: resolve it, select it and fly there. */
+  const selectSiteHit = useCallback(
+    (site) => {
       const [lon, lat] = site.coordinates;
-      return { ...site, rank: i + 1, lon, lat };
-    });
-    const countries = [...new Set(sourceForFilter.map((pt) => pt.countryName).filter(Boolean))].sort();
-    return { topSitesComputed: top20, uniqueCountries: countries };
-  }, [filteredSites, potentialThreshold, sourceForFilter]);
+      setSnapDistanceKm(null);
+      setResolvedAndSelect(lon, lat, site);
+    },
+    [setResolvedAndSelect]
+  );
+
+  /** Pin a site to the next free lettered slot (and select it), or unpin it if already pinned. */
+  const toggleCompareSlot = useCallback(
+    (site, lon, lat) => {
+      const existing = compareSlots.find((slot) => slot.lon === lon && slot.lat === lat);
+      if (existing) {
+        setCompareSlots(compareSlots.filter((slot) => slot !== existing));
+        return;
+      }
+      const letter = nextFreeLetter(compareSlots);
+      if (letter) {
+        const slot = { ...siteToSlot({ ...site, lon, lat }), letter };
+        setCompareSlots([...compareSlots, slot].sort((a, b) => a.letter.localeCompare(b.letter)));
+      }
+      setResolvedAndSelect(lon, lat, { ...site, coordinates: [lon, lat] }, true);
+    },
+    [compareSlots, setResolvedAndSelect]
+  );
+
+  // Cell members are a snapshot of the filtered set; drop the cell when that set or the binning changes.
+  useEffect(() => {
+    setSelectedCell(null);
+  }, [highPotentialData, aggregation]);
+
+  // ── Area (lasso) drawing ──────────────
+  const startAreaDraw = useCallback((mode) => {
+    setDraftVertices([]);
+    setAreaDraw(mode);
+  }, []);
+
+  const finishAreaDraw = useCallback((vertices) => {
+    if (vertices.length >= MIN_POLYGON_VERTICES) setArea((prev) => ({ polygon: vertices, filter: prev?.filter ?? false }));
+    setDraftVertices([]);
+    setAreaDraw(null);
+  }, []);
+
+  const handleDragStart = useCallback(
+    ({ coordinate }) => {
+      if (areaDraw === 'freehand' && coordinate) setDraftVertices([coordinate.slice(0, 2)]);
+    },
+    [areaDraw]
+  );
+  const handleDrag = useCallback(
+    ({ coordinate }) => {
+      if (areaDraw === 'freehand' && coordinate) setDraftVertices((prev) => thinPath([...prev, coordinate.slice(0, 2)], FREEHAND_STEP_KM));
+    },
+    [areaDraw]
+  );
+  const handleDragEnd = useCallback(() => {
+    if (areaDraw === 'freehand' && draftVertices.length) finishAreaDraw(draftVertices);
+  }, [areaDraw, draftVertices, finishAreaDraw]);
 
   const handleMapClick = useCallback(
-    ({ coordinate, object, layer }) => {
-      const setResolvedAndSelect = (lon, lat, point, doFly = true) => {
-        setClickCoordinate([lon, lat]);
-        setLocationResolving(true);
-        resolveLocation(lat, lon)
-          .then((res) => {
-            setResolvedLocation(res);
-            setLocationResolving(false);
-          })
-          .catch(() => {
-            setResolvedLocation({ country: null, region: null, city: null, label: 'Unable to load map data', lat, lon });
-            setLocationResolving(false);
-          });
-        selectPoint(point);
-        if (doFly) flyTo(lon, lat);
-      };
+    ({ coordinate, object, layer, index }) => {
+      // While drawing an area, clicks place vertices; clicking the first vertex closes the polygon.
+      if (areaDraw === 'vertex') {
+        if (layer?.id === 'area-draft-vertices' && index === 0) finishAreaDraw(draftVertices);
+        else if (coordinate) setDraftVertices((prev) => [...prev, coordinate.slice(0, 2)]);
+        return;
+      }
+      if (areaDraw) return;
+      setSnapDistanceKm(null);
+      setSelectedCell(null);
 
-      const pointToSlot = (obj) => {
-        const lon = obj.lon ?? obj.coordinates?.[0];
-        const lat = obj.lat ?? obj.coordinates?.[1];
-        const resolvedPlace = obj.resolvedPlace ?? '';
-        return {
-          coordinates: [lon, lat],
-          lon,
-          lat,
-          score: obj.score,
-          hf: obj.hf,
-          bd: obj.bd,
-          resolvedPlace,
-        };
-      };
+      /** Nearest above-threshold site in the current filter, by great-circle distance. */
+      const findNearestHighPotential = (clickLon, clickLat) =>
+        (workerRef.current?.nearest(clickLon, clickLat) ?? Promise.resolve([]))
+          .then(([hit]) => (hit ? { site: siteAt(hit.index), distanceKm: hit.distanceKm } : null))
+          .catch(() => null);
 
-      const isSamePoint = (slot, obj) => {
-        if (!slot) return false;
-        const lon = obj.lon ?? obj.coordinates?.[0];
-        const lat = obj.lat ?? obj.coordinates?.[1];
-        return slot.lon === lon && slot.lat === lat;
-      };
+      if (object && layer?.id === 'site-cells') {
+        setSelectedCell({ position: object.position, ...summarizeCell(object.points ?? []) });
+        return;
+      }
+
+      // Choropleth: clicking a country filters to it (again to clear) and flies to it.
+      if (object && layer?.id === 'country-choropleth') {
+        const name = featureCountryName(object);
+        if (!countryStats?.[name]) return;
+        const clearing = countryFilter === name;
+        selectCountry(clearing ? 'All' : name);
+        if (!clearing) flyToBounds(featureBounds(object));
+        return;
+      }
 
       if (compareMode) {
-        if (object && (layer?.id === 'top-sites' || layer?.id === 'heatmap-dots')) {
+        if (object && ['top-sites', 'heatmap-dots', 'compare-slots', 'imported-sites'].includes(layer?.id)) {
           const lon = object.lon ?? object.coordinates?.[0];
           const lat = object.lat ?? object.coordinates?.[1];
-          const slot = pointToSlot({ ...object, lon, lat, resolvedPlace: object.resolvedPlace ?? '' });
-          if (isSamePoint(compareSlotA, slot)) {
-            setCompareSlotA(null);
-            return;
-          }
-          if (isSamePoint(compareSlotB, slot)) {
-            setCompareSlotB(null);
-            return;
-          }
-          if (!compareSlotA) {
-            setCompareSlotA(slot);
-            setResolvedAndSelect(lon, lat, { ...object, coordinates: [lon, lat], score: object.score, hf: object.hf, bd: object.bd }, true);
-            return;
-          }
-          if (!compareSlotB) {
-            setCompareSlotB(slot);
-            setResolvedAndSelect(lon, lat, { ...object, coordinates: [lon, lat], score: object.score, hf: object.hf, bd: object.bd }, true);
-            return;
-          }
-          setCompareSlotA(slot);
-          setCompareSlotB(null);
-          setResolvedAndSelect(lon, lat, { ...object, coordinates: [lon, lat], score: object.score, hf: object.hf, bd: object.bd }, true);
+          toggleCompareSlot(object, lon, lat);
           return;
         }
         if (coordinate) {
-          const [clickLon, clickLat] = coordinate;
-          const extent = filteredSites.length
-            ? filteredSites.reduce((acc, d) => ({ min: Math.min(acc.min, d.score ?? 0), max: Math.max(acc.max, d.score ?? 0) }), { min: Infinity, max: -Infinity })
-            : { min: 0, max: 1 };
-          const range = extent.max - extent.min || 1;
-          const norm = (s) => (Math.max(extent.min, Math.min(extent.max, s ?? 0)) - extent.min) / range;
-          const highOnly = filteredSites.filter((pt) => norm(pt.score) >= potentialThreshold);
-          let nearest = null;
-          let minDist = Infinity;
-          for (const pt of highOnly) {
-            const [lon, lat] = pt.coordinates;
-            const d = (lon - clickLon) ** 2 + (lat - clickLat) ** 2;
-            if (d < minDist) {
-              minDist = d;
-              nearest = pt;
-            }
-          }
-          if (nearest) {
-            const slot = pointToSlot(nearest);
-            if (isSamePoint(compareSlotA, slot)) {
-              setCompareSlotA(null);
-              return;
-            }
-            if (isSamePoint(compareSlotB, slot)) {
-              setCompareSlotB(null);
-              return;
-            }
-            if (!compareSlotA) {
-              setCompareSlotA(slot);
-              setResolvedAndSelect(nearest.coordinates[0], nearest.coordinates[1], nearest, true);
-              return;
-            }
-            if (!compareSlotB) {
-              setCompareSlotB(slot);
-              setResolvedAndSelect(nearest.coordinates[0], nearest.coordinates[1], nearest, true);
-              return;
-            }
-            setCompareSlotA(slot);
-            setCompareSlotB(null);
-            setResolvedAndSelect(nearest.coordinates[0], nearest.coordinates[1], nearest, true);
-          }
+          findNearestHighPotential(coordinate[0], coordinate[1]).then((hit) => {
+            const nearest = hit?.site;
+            if (!nearest) return;
+            setSnapDistanceKm(hit.distanceKm);
+            toggleCompareSlot(nearest, nearest.coordinates[0], nearest.coordinates[1]);
+          });
         }
         return;
       }
 
-      if (object && layer?.id === 'top-sites') {
+      if (object && (layer?.id === 'top-sites' || layer?.id === 'compare-slots')) {
         setResolvedAndSelect(object.lon, object.lat, {
           coordinates: [object.lon, object.lat],
           score: object.score,
@@ -318,149 +739,626 @@ export default function GeothermalGlobe() {
         });
         return;
       }
-      if (object && layer?.id === 'heatmap-dots') {
-        const [lon, lat] = object.coordinates;
-        setResolvedAndSelect(lon, lat, object);
+      if (object && (layer?.id === 'heatmap-dots' || layer?.id === 'imported-sites')) {
+        selectSiteHit(object);
         return;
       }
       if (!coordinate) return;
       const [clickLon, clickLat] = coordinate;
-      setClickCoordinate(coordinate);
-      setLocationResolving(true);
-      resolveLocation(clickLat, clickLon)
-        .then((res) => {
-          setResolvedLocation(res);
-          setLocationResolving(false);
-        })
-        .catch(() => {
-          setResolvedLocation({ country: null, region: null, city: null, label: 'Unable to load map data', lat: clickLat, lon: clickLon });
-          setLocationResolving(false);
-        });
+      showClickLocation(clickLat, clickLon);
 
-      if (!filteredSites.length) return;
-      const extent = filteredSites.reduce(
-        (acc, d) => {
-          const s = d.score ?? 0;
-          return { min: Math.min(acc.min, s), max: Math.max(acc.max, s) };
-        },
-        { min: Infinity, max: -Infinity }
-      );
-      const range = extent.max - extent.min || 1;
-      const norm = (s) => (Math.max(extent.min, Math.min(extent.max, s ?? 0)) - extent.min) / range;
-      const highOnly = filteredSites.filter((pt) => norm(pt.score) >= potentialThreshold);
-      let nearest = null;
-      let minDist = Infinity;
-      for (const pt of highOnly) {
-        const [lon, lat] = pt.coordinates;
-        const d = (lon - clickLon) ** 2 + (lat - clickLat) ** 2;
-        if (d < minDist) {
-          minDist = d;
-          nearest = pt;
-        }
+      // In radius search the click is the circle's center; the sites inside are listed instead of snapping.
+      if (radiusKm != null) {
+        selectPoint(null);
+        return;
+      }
+      findNearestHighPotential(clickLon, clickLat).then((hit) => {
+        setSnapDistanceKm(hit?.distanceKm ?? null);
+        selectPoint(hit?.site ?? null);
+      });
+    },
+    [siteAt, showClickLocation, selectPoint, compareMode, setResolvedAndSelect, selectSiteHit, toggleCompareSlot, areaDraw, draftVertices, finishAreaDraw, radiusKm, countryStats, countryFilter, flyToBounds, selectCountry]
+  );
+
+  // Interpolated heat flow, boundary distance and uncertainty at the clicked coordinate itself.
+  useEffect(() => {
+    const siteWorker = workerRef.current;
+    if (!clickCoordinate || !siteWorker || !data.length) {
+      setClickEstimate(null);
+      return undefined;
+    }
+    let cancelled = false;
+    const [lon, lat] = clickCoordinate;
+    siteWorker
+      .interpolate(lon, lat, interpolationMethod, BOUNDARIES_URL)
+      .then((res) => {
+        if (!cancelled) setClickEstimate({ ...res, coordinates: clickCoordinate });
+      })
+      .catch(() => {
+        if (!cancelled) setClickEstimate(null);
+      });
+    return () => { cancelled = true; };
+  }, [clickCoordinate, interpolationMethod, data]);
+
+  // Live distance from the clicked coordinate to the nearest boundary segment, and the point on it.
+  useEffect(() => {
+    const siteWorker = workerRef.current;
+    if (!clickCoordinate || !siteWorker) {
+      setClickBoundary(null);
+      return undefined;
+    }
+    let cancelled = false;
+    const [lon, lat] = clickCoordinate;
+    siteWorker
+      .boundaryDistance(lon, lat, BOUNDARIES_URL)
+      .then((res) => {
+        if (!cancelled) setClickBoundary(res && { ...res, coordinates: clickCoordinate });
+      })
+      .catch(() => {
+        if (!cancelled) setClickBoundary(null);
+      });
+    return () => { cancelled = true; };
+  }, [clickCoordinate]);
+
+  // The surface covers the whole dataset, so it is only recomputed when the method changes.
+  useEffect(() => {
+    const siteWorker = workerRef.current;
+    if (!showSurface || !siteWorker || !data.length) {
+      setSurface(null);
+      return undefined;
+    }
+    let cancelled = false;
+    siteWorker
+      .interpolateSurface(interpolationMethod, SURFACE_CELL_DEG, BOUNDARIES_URL)
+      .then((res) => {
+        if (!cancelled) setSurface(res);
+      })
+      .catch(() => {});
+    return () => { cancelled = true; };
+  }, [showSurface, interpolationMethod, data]);
+
+  /** Surface cells scored with the current scorer; more uncertain cells are drawn fainter. */
+  const surfaceCells = useMemo(() => {
+    if (!surface) return [];
+    const half = surface.cellDeg / 2;
+    const cells = [];
+    for (let i = 0; i < surface.hf.length; i++) {
+      const bd = surface.bd[i];
+      const parts = Number.isFinite(bd) ? scorer(surface.hf[i], bd) : null;
+      if (!parts) continue;
+      const lon = surface.lon[i];
+      const lat = surface.lat[i];
+      cells.push({
+        polygon: [[lon - half, lat - half], [lon + half, lat - half], [lon + half, lat + half], [lon - half, lat + half]],
+        score: parts.score,
+        uncertainty: surface.uncertainty[i],
+      });
+    }
+    return cells;
+  }, [surface, scorer]);
+
+  useEffect(() => {
+    const siteWorker = workerRef.current;
+    if (radiusKm == null || !clickCoordinate || !siteWorker || !siteQuery) {
+      setRadiusResult(null);
+      return undefined;
+    }
+    let cancelled = false;
+    const [lon, lat] = clickCoordinate;
+    siteWorker
+      .withinRadius(lon, lat, radiusKm, { aboveThreshold: radiusAboveOnly })
+      .then((hits) => {
+        if (!cancelled) setRadiusResult(rankRadiusHits(hits.map(({ index, distanceKm }) => ({ site: siteAt(index), distanceKm }))));
+      })
+      .catch(() => {});
+    return () => { cancelled = true; };
+  }, [radiusKm, radiusAboveOnly, clickCoordinate, siteQuery, siteAt]);
+
+  const radiusRing = useMemo(
+    () => (radiusKm != null && clickCoordinate ? geodesicCircle(clickCoordinate[0], clickCoordinate[1], radiusKm) : null),
+    [radiusKm, clickCoordinate]
+  );
+
+  // ── Permalink: mirror view + analysis state into the URL hash ──────────────
+  // Slots and the selection reference dataset records, so they are restored once the
+  // tagged records arrive; until then the hash is left untouched.
+  const pendingLinkRef = useRef(initialLink.slots.length || initialLink.clickCoordinate ? initialLink : null);
+  // Canonical form of the current entry, so equivalent hand-edited links do not push history.
+  const lastHashRef = useRef(encodePermalink(initialLink));
+
+  const applyLinkSelection = useCallback(
+    (link) => {
+      const findSite = (lonLat) => (lonLat ? baseSource.find((pt) => isAtLonLat(pt, lonLat)) ?? null : null);
+      const pinned = link.slots.map(findSite).filter(Boolean).slice(0, MAX_COMPARE_SLOTS);
+      setCompareSlots(pinned.map((site, i) => ({ ...siteToSlot(site), letter: COMPARE_LETTERS[i] })));
+      if (!link.clickCoordinate) {
+        setSelected(null);
+        setClickCoordinate(null);
+        setResolvedLocation(null);
+        setSnapDistanceKm(null);
+        return;
       }
-      selectPoint(nearest);
+      const [lon, lat] = link.clickCoordinate;
+      const site = findSite(link.selectedSite);
+      showClickLocation(lat, lon);
+      setSelected(site);
+      setSnapDistanceKm(site && !isAtLonLat(site, link.clickCoordinate) ? haversineKm(lon, lat, ...site.coordinates) : null);
     },
-    [data, filteredSites, potentialThreshold, selectPoint, flyTo, compareMode, compareSlotA, compareSlotB]
+    [baseSource, showClickLocation]
   );
 
+  useEffect(() => {
+    if (!enrichedData || !pendingLinkRef.current) return;
+    applyLinkSelection(pendingLinkRef.current);
+    pendingLinkRef.current = null;
+  }, [enrichedData, applyLinkSelection]);
+
+  useEffect(() => {
+    const onPopState = () => {
+      const link = decodePermalink(window.location.hash);
+      lastHashRef.current = encodePermalink(link);
+      setViewState((prev) => ({
+        ...prev,
+        globe: { ...prev.globe, ...link.view, transitionDuration: 1000, transitionInterpolator: new FlyToInterpolator() },
+      }));
+      setPotentialThreshold(link.threshold);
+      setThresholdMax(link.thresholdMax);
+      setThresholdMode(link.thresholdMode);
+      setContinentFilter(link.continent);
+      setSubregionFilter(link.subregion);
+      setCountryFilter(link.country);
+      setRegionFilter(link.region);
+      setShoreMode(link.shore);
+      setMaxOffshoreKm(link.maxOffshoreKm);
+      setTopN(link.topN);
+      setMinSeparationKm(link.minSeparationKm);
+      setGroupNeighbours(link.groupNeighbours);
+      setInterpolationMethod(link.interpolation);
+      setShowSurface(link.showSurface);
+      setShowBoundaries(link.showBoundaries);
+      setHiddenPlates(link.hiddenPlates);
+      setBasemapChoice(link.basemap);
+      setTouchTooltips(link.touchTooltips);
+      setCompareMode(link.compareMode);
+      setScoreParams(link.scoreParams);
+      setAggregation(link.aggregation);
+      setArea(link.area);
+      setRadiusKm(link.radiusKm);
+      if (enrichedData) applyLinkSelection(link);
+      else pendingLinkRef.current = link;
+    };
+    window.addEventListener('popstate', onPopState);
+    return () => window.removeEventListener('popstate', onPopState);
+  }, [enrichedData, applyLinkSelection]);
+
+  useEffect(() => {
+    if (pendingLinkRef.current) return undefined;
+    // Debounced so drags and fly-to transitions settle before touching history.
+    const timer = setTimeout(() => {
+      const hash = encodePermalink({
+        view: viewState.globe,
+        threshold: potentialThreshold,
+        thresholdMax,
+        thresholdMode,
+        continent: continentFilter,
+        subregion: subregionFilter,
+        country: countryFilter,
+        region: regionFilter,
+        shore: shoreMode,
+        maxOffshoreKm,
+        topN,
+        minSeparationKm,
+        groupNeighbours,
+        interpolation: interpolationMethod,
+        showSurface,
+        showBoundaries,
+        hiddenPlates,
+        basemap: basemapChoice,
+        touchTooltips,
+        compareMode,
+        slots: compareSlots.map((slot) => slot.coordinates),
+        clickCoordinate,
+        selectedSite: selected?.coordinates ?? null,
+        scoreParams,
+        area,
+        radiusKm,
+        aggregation,
+      });
+      if (hash === lastHashRef.current) return;
+      const url = `${window.location.pathname}${window.location.search}${hash}`;
+      if (sameExceptView(hash, lastHashRef.current)) window.history.replaceState(null, '', url);
+      else window.history.pushState(null, '', url);
+      lastHashRef.current = hash;
+    }, 400);
+    return () => clearTimeout(timer);
+  }, [viewState, potentialThreshold, thresholdMax, thresholdMode, continentFilter, subregionFilter, countryFilter, regionFilter, shoreMode, maxOffshoreKm, topN, minSeparationKm, groupNeighbours, interpolationMethod, showSurface, showBoundaries, hiddenPlates, basemapChoice, touchTooltips, compareMode, compareSlots, clickCoordinate, selected, scoreParams, area, radiusKm, aggregation]);
+
+  const [linkCopied, setLinkCopied] = useState(false);
+  const copyLink = useCallback(() => {
+    navigator.clipboard
+      ?.writeText(window.location.href)
+      .then(() => {
+        setLinkCopied(true);
+        setTimeout(() => setLinkCopied(false), 1500);
+      })
+      .catch(() => {});
+  }, []);
+
   const layers = useMemo(() => {
-    const basemap = new TileLayer({
-      id: 'basemap',
-      data: 'https://basemaps.cartocdn.com/dark_all/{z}/{x}/{y}@2x.png',
-      minZoom: 0,
-      maxZoom: 19,
-      tileSize: 256,
-      renderSubLayers: (props) => {
-        const { tile: { bbox } } = props;
-        return new BitmapLayer(props, {
-          data: null,
-          image: props.data,
-          bounds: [bbox.west, bbox.south, bbox.east, bbox.north],
-        });
-      },
-    });
+    const basemap =
+      basemapMode === 'tiles'
+        ? [
+            new TileLayer({
+              id: 'basemap',
+              data: TILE_URL,
+              minZoom: 0,
+              maxZoom: 19,
+              tileSize: 256,
+              // Auto mode watches tile health and switches to the offline basemap when tiles keep failing.
+              onTileLoad: () => {
+                tileHealthRef.current = nextTileHealth(tileHealthRef.current, 'load');
+              },
+              onTileError: () => {
+                tileHealthRef.current = nextTileHealth(tileHealthRef.current, 'error');
+                if (tilesUnavailable(tileHealthRef.current)) setTilesFailed(true);
+              },
+              renderSubLayers: (props) => {
+                const { tile: { bbox } } = props;
+                return new BitmapLayer(props, {
+                  data: null,
+                  image: props.data,
+                  bounds: [bbox.west, bbox.south, bbox.east, bbox.north],
+                });
+              },
+            }),
+          ]
+        : [
+            new SolidPolygonLayer({
+              id: 'basemap-ocean',
+              data: [{ polygon: OCEAN_POLYGON }],
+              getPolygon: (d) => d.polygon,
+              getFillColor: [12, 17, 28, 255],
+            }),
+            new GeoJsonLayer({
+              id: 'basemap-land',
+              data: useDetailCountries ? detailCountries : VECTOR_BASE_URL,
+              filled: true,
+              stroked: true,
+              getFillColor: [30, 34, 44, 255],
+              getLineColor: [78, 86, 104, 255],
+              lineWidthUnits: 'pixels',
+              getLineWidth: 0.8,
+              lineWidthMinPixels: 0.5,
+            }),
+          ];
 
-    const scoreExtent =
-      filteredSites.length > 0
-        ? filteredSites.reduce(
-            (acc, d) => {
-              const s = d.score ?? 0;
-              return { min: Math.min(acc.min, s), max: Math.max(acc.max, s) };
-            },
-            { min: Infinity, max: -Infinity }
-          )
-        : { min: 0, max: 1 };
-    const scoreRange = scoreExtent.max - scoreExtent.min || 1;
-    const normalizeScore = (s) =>
-      (Math.max(scoreExtent.min, Math.min(scoreExtent.max, s ?? 0)) - scoreExtent.min) / scoreRange;
-    const highPotentialData = filteredSites.filter((d) => normalizeScore(d.score) >= potentialThreshold);
-
-    const heatmapDots = new ScatterplotLayer({
-      id: 'heatmap-dots',
+    // Dots overlap at global zoom, so the filtered set can also be binned into hexagons or grid
+    // cells. CPU aggregation keeps each cell's member sites for the click summary.
+    const cellProps = {
+      id: 'site-cells',
       data: highPotentialData,
       getPosition: (d) => d.coordinates,
-      getRadius: 28000,
-      radiusUnits: 'meters',
-      getFillColor: (d) => scoreToColor(normalizeScore(d.score)),
-      stroked: false,
+      gpuAggregation: false,
+      getColorValue: (points) => aggregateValue(points, aggregation.field, aggregation.op),
+      colorRange: COLOR_RANGE,
+      extruded: false,
+      coverage: 0.9,
+      opacity: 0.75,
       pickable: true,
-    });
+      autoHighlight: true,
+      updateTriggers: { getColorValue: [aggregation.field, aggregation.op] },
+    };
+    const choroplethLayer =
+      showChoropleth && choroplethCountries
+        ? new GeoJsonLayer({
+            id: 'country-choropleth',
+            data: choroplethCountries,
+            filled: true,
+            stroked: true,
+            getFillColor: (f) => {
+              const value = countryStats?.[featureCountryName(f)]?.[aggregation.countryMetric];
+              if (value == null || !countryExtent) return [0, 0, 0, 0];
+              const t = (value - countryExtent.min) / (countryExtent.max - countryExtent.min || 1);
+              return [...scoreToColor(t).slice(0, 3), 170];
+            },
+            getLineColor: (f) => (featureCountryName(f) === countryFilter ? [255, 255, 255, 230] : [255, 255, 255, 40]),
+            getLineWidth: (f) => (featureCountryName(f) === countryFilter ? 2 : 0.5),
+            lineWidthUnits: 'pixels',
+            pickable: true,
+            autoHighlight: true,
+            highlightColor: [255, 255, 255, 50],
+            onHover: ({ object, x, y }) => setHoveredCountry(object ? { feature: object, x, y } : null),
+            updateTriggers: {
+              getFillColor: [countryStats, countryExtent, aggregation.countryMetric],
+              getLineColor: [countryFilter],
+              getLineWidth: [countryFilter],
+            },
+          })
+        : null;
+
+    const heatmapDots = showChoropleth
+      ? choroplethLayer
+      : aggregation.mode === 'hexagon'
+        ? new HexagonLayer({ ...cellProps, radius: aggregation.cellKm * 1000 })
+        : aggregation.mode === 'grid'
+          ? new GridLayer({ ...cellProps, cellSize: aggregation.cellKm * 1000 })
+          : new ScatterplotLayer({
+              id: 'heatmap-dots',
+              data: highPotentialData,
+              getPosition: (d) => d.coordinates,
+              getRadius: 28000,
+              radiusUnits: 'meters',
+              getFillColor: (d) => scoreToColor(scoreScale(d.score)),
+              stroked: false,
+              pickable: true,
+            });
+
+    const surfaceLayer = surfaceCells.length
+      ? new SolidPolygonLayer({
+          id: 'interpolated-surface',
+          data: surfaceCells,
+          getPolygon: (d) => d.polygon,
+          getFillColor: (d) => [...scoreToColor(scoreScale(d.score)).slice(0, 3), Math.round(170 * (1 - d.uncertainty))],
+          updateTriggers: { getFillColor: [scoreScale] },
+        })
+      : null;
 
     const boundaryLayer = showBoundaries
       ? new PathLayer({
           id: 'boundaries',
-          data: boundaries,
+          data: visibleBoundaries,
           getPath: (d) => d.path,
-          getColor: [255, 190, 60, 160],
+          getColor: (d) => [...pairColor(d), 170],
           getWidth: 1.5,
           widthUnits: 'pixels',
           widthMinPixels: 1,
+          pickable: true,
         })
       : null;
 
-    const isSlotA = (d) => compareSlotA && d.lon === compareSlotA.lon && d.lat === compareSlotA.lat;
-    const isSlotB = (d) => compareSlotB && d.lon === compareSlotB.lon && d.lat === compareSlotB.lat;
+    const slotByPosition = new Map(compareSlots.map((slot) => [`${slot.lon},${slot.lat}`, slot]));
+    const slotFor = (d) => slotByPosition.get(`${d.lon},${d.lat}`);
     const pinsLayer = new ScatterplotLayer({
       id: 'top-sites',
       data: topSitesComputed,
       getPosition: (d) => [d.lon, d.lat],
-      getRadius: (d) => (isSlotA(d) || isSlotB(d) ? 11 : 7),
+      getRadius: (d) => (slotFor(d) ? 11 : 7),
       radiusUnits: 'pixels',
       getFillColor: (d) => {
-        if (isSlotA(d)) return [255, 255, 255, 255];
-        if (isSlotB(d)) return [255, 200, 100, 255];
+        const slot = slotFor(d);
+        if (slot) return [...SLOT_COLORS[slot.letter], 255];
         if (selected?.coordinates?.[0] === d.lon && selected?.coordinates?.[1] === d.lat) return [255, 255, 255, 255];
         return [255, 210, 0, 230];
       },
-      getLineColor: (d) => (isSlotA(d) || isSlotB(d) ? [255, 165, 0, 255] : [20, 20, 20, 200]),
+      getLineColor: (d) => (slotFor(d) ? [255, 165, 0, 255] : [20, 20, 20, 200]),
       stroked: true,
       lineWidthMinPixels: 2,
       pickable: true,
-      updateTriggers: { getFillColor: [selected, compareSlotA, compareSlotB], getRadius: [compareSlotA, compareSlotB] },
+      updateTriggers: { getFillColor: [selected, compareSlots], getRadius: [compareSlots], getLineColor: [compareSlots] },
     });
 
-    return [basemap, heatmapDots, boundaryLayer, pinsLayer].filter(Boolean);
-  }, [data, boundaries, filteredSites, potentialThreshold, topSitesComputed, showBoundaries, selected, compareSlotA, compareSlotB]);
+    // Pinned sites that are not in the Top N still need a marker, so slots get their own layers.
+    const slotsLayer = compareSlots.length
+      ? new ScatterplotLayer({
+          id: 'compare-slots',
+          data: compareSlots,
+          getPosition: (d) => [d.lon, d.lat],
+          getRadius: 11,
+          radiusUnits: 'pixels',
+          getFillColor: (d) => [...SLOT_COLORS[d.letter], 255],
+          getLineColor: [255, 165, 0, 255],
+          stroked: true,
+          lineWidthMinPixels: 2,
+          pickable: true,
+        })
+      : null;
+    const slotLabelsLayer = compareSlots.length
+      ? new TextLayer({
+          id: 'compare-slot-labels',
+          data: compareSlots,
+          getPosition: (d) => [d.lon, d.lat],
+          getText: (d) => d.letter,
+          getColor: (d) => [...SLOT_COLORS[d.letter], 255],
+          getSize: 13,
+          getPixelOffset: [0, -20],
+          fontWeight: 'bold',
+          outlineWidth: 2,
+          outlineColor: [8, 8, 18, 255],
+          fontSettings: { sdf: true },
+        })
+      : null;
+
+    const importedLayer = importedScored.length
+      ? new ScatterplotLayer({
+          id: 'imported-sites',
+          data: importedScored,
+          getPosition: (d) => d.coordinates,
+          getRadius: 6,
+          radiusUnits: 'pixels',
+          getFillColor: (d) => (selected?.coordinates === d.coordinates ? [255, 255, 255, 255] : [...IMPORTED_COLOR, 230]),
+          getLineColor: [20, 20, 20, 200],
+          stroked: true,
+          lineWidthMinPixels: 1.5,
+          pickable: true,
+          updateTriggers: { getFillColor: [selected] },
+        })
+      : null;
+
+    const areaLayer = area
+      ? new PolygonLayer({
+          id: 'area-polygon',
+          data: [area],
+          getPolygon: (d) => d.polygon,
+          getFillColor: [...AREA_COLOR, 35],
+          getLineColor: [...AREA_COLOR, 220],
+          lineWidthUnits: 'pixels',
+          getLineWidth: 2,
+        })
+      : null;
+    const draftLayers = draftVertices.length
+      ? [
+          new PathLayer({
+            id: 'area-draft',
+            data: [draftVertices],
+            getPath: (d) => d,
+            getColor: [...AREA_COLOR, 220],
+            getWidth: 2,
+            widthUnits: 'pixels',
+          }),
+          new ScatterplotLayer({
+            id: 'area-draft-vertices',
+            data: areaDraw === 'vertex' ? draftVertices : [],
+            getPosition: (d) => d,
+            getRadius: (_, { index }) => (index === 0 ? 7 : 4),
+            radiusUnits: 'pixels',
+            getFillColor: [...AREA_COLOR, 255],
+            pickable: true,
+          }),
+        ]
+      : [];
+
+    // Great-circle line from the clicked point to the closest point on the nearest boundary.
+    const boundaryLinkLayers = clickBoundary
+      ? [
+          new PathLayer({
+            id: 'boundary-link',
+            data: [greatCirclePath(clickBoundary.coordinates, clickBoundary.point)],
+            getPath: (d) => d,
+            getColor: [255, 255, 255, 200],
+            getWidth: 1.5,
+            widthUnits: 'pixels',
+          }),
+          new ScatterplotLayer({
+            id: 'boundary-link-point',
+            data: [clickBoundary],
+            getPosition: (d) => d.point,
+            getRadius: 4,
+            radiusUnits: 'pixels',
+            getFillColor: [...pairColor(clickBoundary), 255],
+            stroked: true,
+            getLineColor: [255, 255, 255, 230],
+            lineWidthMinPixels: 1,
+          }),
+        ]
+      : [];
+
+    const radiusLayers = radiusRing
+      ? [
+          new PathLayer({
+            id: 'radius-ring',
+            data: [radiusRing],
+            getPath: (d) => d,
+            getColor: [...RADIUS_COLOR, 230],
+            getWidth: 2,
+            widthUnits: 'pixels',
+          }),
+          new ScatterplotLayer({
+            id: 'radius-hits',
+            data: radiusResult?.hits ?? [],
+            getPosition: (d) => d.site.coordinates,
+            getRadius: 6,
+            radiusUnits: 'pixels',
+            filled: false,
+            stroked: true,
+            getLineColor: [...RADIUS_COLOR, 230],
+            lineWidthMinPixels: 1.5,
+          }),
+        ]
+      : [];
+
+    return [...basemap, surfaceLayer, heatmapDots, boundaryLayer, areaLayer, ...draftLayers, ...boundaryLinkLayers, ...radiusLayers, pinsLayer, importedLayer, slotsLayer, slotLabelsLayer].filter(Boolean);
+  }, [surfaceCells, clickBoundary, radiusRing, radiusResult, area, draftVertices, areaDraw, basemapMode, useDetailCountries, detailCountries, visibleBoundaries, highPotentialData, scoreScale, aggregation, showChoropleth, choroplethCountries, countryStats, countryExtent, countryFilter, topSitesComputed, importedScored, showBoundaries, selected, compareSlots]);
+
+  // Pinned slots and the selection are snapshots; rescore them so they follow the scoring controls.
+  const slots = compareSlots.map((slot) => rescoreSite(slot, scorer));
+  const slotRanks = rankSlots(slots);
+  const ranking = explainRanking(slots, scorer);
+  const selectedSite = rescoreSite(selected, scorer);
+  const exportScopes = [
+    { id: 'filtered', label: 'Filtered, above threshold', sites: highPotentialData },
+    { id: 'top', label: `Top ${topN}`, sites: topSitesComputed },
+    { id: 'compare', label: 'Compare slots', sites: slots },
+    { id: 'imported', label: 'Imported sites', sites: importedScored },
+    { id: 'radius', label: radiusKm != null ? `Within ${radiusKm} km` : 'Within radius', sites: radiusResult?.hits.map((h) => h.site) ?? [] },
+  ];
+  const scoreParamsChanged = Object.keys(DEFAULT_SCORE_PARAMS).some((k) => scoreParams[k] !== DEFAULT_SCORE_PARAMS[k]);
 
   const [selLon, selLat] = selected?.coordinates ?? [0, 0];
   const displayLat = resolvedLocation?.lat ?? clickCoordinate?.[1] ?? selLat;
   const displayLon = resolvedLocation?.lon ?? clickCoordinate?.[0] ?? selLon;
+  const hoveredCountryName = showChoropleth && hoveredCountry ? featureCountryName(hoveredCountry.feature) : null;
+  const hoveredCountryStats = hoveredCountryName ? countryStats?.[hoveredCountryName] : null;
+  // Shown for clicks that did not land on a site (snapped, radius center or nothing selected).
+  const clickOnSite =
+    selectedSite?.coordinates?.[0] === clickCoordinate?.[0] && selectedSite?.coordinates?.[1] === clickCoordinate?.[1];
+  const clickEstimateScored =
+    clickEstimate && !clickOnSite && clickEstimate.coordinates === clickCoordinate
+      ? { ...clickEstimate, score: scorer(clickEstimate.hf, clickEstimate.bd)?.score ?? null }
+      : null;
 
   return (
-    <div style={{ width: '100%', height: '100%', position: 'relative' }}>
+    <div
+      style={{ width: '100%', height: '100%', position: 'relative' }}
+      onDragOver={(e) => {
+        if (!e.dataTransfer?.types?.includes('Files')) return;
+        e.preventDefault();
+        setDragActive(true);
+      }}
+      onDragLeave={(e) => {
+        if (!e.currentTarget.contains(e.relatedTarget)) setDragActive(false);
+      }}
+      onDrop={handleDrop}
+    >
       <DeckGL
-        views={[GLOBE_VIEW]}
+        views={[areaDraw === 'freehand' ? GLOBE_VIEW_FREEHAND : GLOBE_VIEW]}
         viewState={viewState}
         onViewStateChange={({ viewId, viewState: vs }) =>
           setViewState((prev) => ({ ...prev, [viewId]: vs }))
         }
         layers={layers}
         onClick={handleMapClick}
+        onHover={handleHover}
+        getTooltip={getTooltip}
+        onDragStart={handleDragStart}
+        onDrag={handleDrag}
+        onDragEnd={handleDragEnd}
         getCursor={() => 'crosshair'}
         parameters={{ clearColor: [0.02, 0.02, 0.02, 1], cull: true }}
         style={{ width: '100%', height: '100%' }}
       />
 
+      {/* ── Choropleth hover tooltip ─────────────────────────── */}
+      {hoveredCountryName && (
+        <div
+          style={{
+            ...PANEL,
+            left: hoveredCountry.x + 14,
+            top: hoveredCountry.y + 14,
+            padding: '8px 10px',
+            minWidth: 170,
+            pointerEvents: 'none',
+            zIndex: 12,
+          }}
+        >
+          <div style={{ color: '#f97316', fontWeight: 'bold', fontSize: 11, marginBottom: 4 }}>{hoveredCountryName}</div>
+          {hoveredCountryStats ? (
+            <>
+              <StatRow label="Sites" value={hoveredCountryStats.count.toLocaleString()} />
+              {Object.entries(COUNTRY_METRICS).map(([id, m]) => (
+                <StatRow
+                  key={id}
+                  label={m.label}
+                  value={hoveredCountryStats[id] == null ? '—' : m.format(hoveredCountryStats[id])}
+                  accent={id === aggregation.countryMetric}
+                />
+              ))}
+            </>
+          ) : (
+            <div style={{ color: '#666', fontSize: 10 }}>No sites in the current filters</div>
+          )}
+        </div>
+      )}
+
       {/* ── Intro overlay (blurred map + description + Start) ─── */}
       {!started && (
         <div
@@ -505,7 +1403,7 @@ export default function GeothermalGlobe() {
                 lineHeight: 1.6,
               }}
             >
-              This app helps you explore global geothermal energy potential. Use the map to view heat-flow data and composite scores, compare top sites, and inspect plate boundaries. Click the map or the Top 20 list to zoom to a location and see detailed stats.
+              This app helps you explore global geothermal energy potential. Use the map to view heat-flow data and composite scores, compare top sites, and inspect plate boundaries. Click the map or the Top N list to zoom to a location and see detailed stats.
             </p>
             <button
               onClick={() => setStarted(true)}
@@ -532,6 +1430,29 @@ export default function GeothermalGlobe() {
         </div>
       )}
 
+      {/* ── Drop target for candidate site files ─── */}
+      {dragActive && (
+        <div
+          style={{
+            position: 'absolute',
+            inset: 0,
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            background: 'rgba(8, 8, 18, 0.55)',
+            border: '2px dashed rgba(190,120,255,0.7)',
+            color: 'rgb(190,120,255)',
+            fontFamily: '"JetBrains Mono", "Fira Code", monospace',
+            fontSize: 13,
+            letterSpacing: 1,
+            pointerEvents: 'none',
+            zIndex: 20,
+          }}
+        >
+          Drop CSV or GeoJSON to import candidate sites
+        </div>
+      )}
+
       {/* ── Top bar ─────────────────────────────────────────── */}
       <div
         style={{
@@ -549,14 +1470,76 @@ export default function GeothermalGlobe() {
         <span style={{ color: '#f97316', fontWeight: 'bold', letterSpacing: 2, fontSize: 11 }}>
           GEOTHERMAL POTENTIAL
         </span>
+        <PlaceSearch onPick={handlePlacePick} canFilter={(entry) => uniqueCountries.includes(entry.countryName)} />
         <Btn active={showBoundaries} onClick={() => setShowBoundaries((b) => !b)}>
           Plate Boundaries
         </Btn>
         <Btn active={showSidebar} onClick={() => setShowSidebar((s) => !s)}>
-          Top 20 Sites
+          Top {topN} Sites
+        </Btn>
+        <select
+          value={basemapChoice}
+          onChange={(e) => setBasemapChoice(e.target.value)}
+          title="Basemap: Auto uses map tiles and switches to the offline basemap when tiles cannot load"
+          style={{ padding: '3px 6px', background: 'rgba(255,255,255,0.06)', border: '1px solid rgba(255,255,255,0.08)', borderRadius: 4, color: '#aaa', fontSize: 11, fontFamily: 'inherit' }}
+        >
+          {BASEMAP_OPTIONS.map((b) => (
+            <option key={b.id} value={b.id}>
+              {b.id === 'auto' && basemapMode === 'vector' ? 'Basemap: Auto (offline)' : `Basemap: ${b.label}`}
+            </option>
+          ))}
+        </select>
+        <Btn active={linkCopied} onClick={copyLink}>
+          {linkCopied ? 'Link Copied' : 'Copy Link'}
         </Btn>
+        <label style={{ display: 'inline-flex' }} title="Import candidate sites (CSV with lat/lon columns, or GeoJSON points). You can also drop files on the globe.">
+          <input
+            type="file"
+            accept=".csv,.tsv,.txt,.json,.geojson"
+            multiple
+            onChange={(e) => {
+              Array.from(e.target.files ?? []).forEach(importFile);
+              e.target.value = '';
+            }}
+            style={{ display: 'none' }}
+          />
+          <span
+            style={{
+              background: 'rgba(255,255,255,0.06)',
+              color: '#666',
+              border: '1px solid rgba(255,255,255,0.08)',
+              borderRadius: 4,
+              padding: '3px 10px',
+              cursor: 'pointer',
+              fontSize: 11,
+            }}
+          >
+            Import
+          </span>
+        </label>
+        <ExportMenu scopes={exportScopes} />
       </div>
 
+      {/* ── Location tagging progress (runtime enrichment fallback) ─── */}
+      {enrichProgress && (
+        <div style={{ ...PANEL, top: 56, left: '50%', transform: 'translateX(-50%)', padding: '6px 14px', width: 240 }}>
+          <div style={{ color: '#888', fontSize: 10, marginBottom: 4 }}>
+            Tagging locations… {enrichProgress.done.toLocaleString()} / {enrichProgress.total.toLocaleString()}
+          </div>
+          <div style={{ height: 4, borderRadius: 2, background: 'rgba(255,255,255,0.08)' }}>
+            <div
+              style={{
+                height: '100%',
+                width: `${(enrichProgress.done / (enrichProgress.total || 1)) * 100}%`,
+                borderRadius: 2,
+                background: 'linear-gradient(90deg, #1d9abf, #f97316)',
+                transition: 'width 0.3s',
+              }}
+            />
+          </div>
+        </div>
+      )}
+
       {/* ── Legend ──────────────────────────────────────────── */}
       <div style={{ ...PANEL, bottom: 24, left: '50%', transform: 'translateX(-50%)', padding: '6px 14px', display: 'flex', gap: 8, alignItems: 'center' }}>
         <span style={{ color: '#666', fontSize: 10 }}>LOW</span>
@@ -565,7 +1548,15 @@ export default function GeothermalGlobe() {
         ))}
         <span style={{ color: '#666', fontSize: 10 }}>HIGH</span>
         <span style={{ color: '#555', fontSize: 10, marginLeft: 8 }}>
-          ● plate boundary &nbsp;◆ top site
+          ━ plate boundary (color per plate pair) &nbsp;◆ top site
+          {(aggregation.mode === 'hexagon' || aggregation.mode === 'grid') &&
+            ` · cells: ${aggregation.op === 'count' ? 'site count' : `${AGGREGATE_OPS[aggregation.op].label.toLowerCase()} ${AGGREGATE_FIELDS[aggregation.field].label.toLowerCase()}`}`}
+          {showChoropleth &&
+            ` · countries: ${COUNTRY_METRICS[aggregation.countryMetric].label.toLowerCase()}${
+              countryExtent
+                ? ` (${COUNTRY_METRICS[aggregation.countryMetric].format(countryExtent.min)} – ${COUNTRY_METRICS[aggregation.countryMetric].format(countryExtent.max)})`
+                : ''
+            }`}
         </span>
       </div>
 
@@ -598,18 +1589,283 @@ export default function GeothermalGlobe() {
             HIGH POTENTIAL THRESHOLD
           </div>
           <div style={{ padding: '8px 12px 12px', borderBottom: '1px solid rgba(255,255,255,0.06)' }}>
-            <div style={{ color: '#888', fontSize: 10, marginBottom: 4 }}>Threshold {potentialThreshold.toFixed(2)}</div>
+            <select
+              value={thresholdMode}
+              onChange={(e) => setThresholdMode(e.target.value)}
+              style={{ width: '100%', padding: '4px 6px', marginBottom: 6, background: 'rgba(255,255,255,0.06)', border: '1px solid rgba(255,255,255,0.1)', borderRadius: 4, color: '#e0e0e0', fontSize: 11 }}
+            >
+              {THRESHOLD_MODES.map((m) => (
+                <option key={m.id} value={m.id}>
+                  {m.label}
+                </option>
+              ))}
+            </select>
+            {siteQuery?.histograms && (
+              <div style={{ marginBottom: 6 }}>
+                <div style={{ display: 'flex', gap: 4, marginBottom: 4 }}>
+                  {[
+                    { id: 'score', label: 'Score' },
+                    { id: 'hf', label: 'Heat flow' },
+                  ].map((opt) => (
+                    <button
+                      key={opt.id}
+                      type="button"
+                      onClick={() => setHistogramField(opt.id)}
+                      style={{
+                        background: histogramField === opt.id ? 'rgba(249,115,22,0.2)' : 'rgba(255,255,255,0.08)',
+                        border: `1px solid ${histogramField === opt.id ? '#f97316' : 'rgba(255,255,255,0.1)'}`,
+                        borderRadius: 4,
+                        padding: '2px 8px',
+                        color: histogramField === opt.id ? '#f97316' : '#aaa',
+                        fontSize: 10,
+                        cursor: 'pointer',
+                      }}
+                    >
+                      {opt.label}
+                    </button>
+                  ))}
+                </div>
+                {histogramField === 'hf' && siteQuery.histograms.hf ? (
+                  <ScoreHistogram
+                    histogram={siteQuery.histograms.hf}
+                    keptCount={siteQuery.high.length}
+                    total={siteQuery.filtered.length}
+                    formatEdge={(v) => (v ? `${Math.round(v)}+ mW/m²` : '0')}
+                  />
+                ) : (
+                  <ScoreHistogram
+                    histogram={siteQuery.histograms.score}
+                    band={{ min: potentialThreshold, max: thresholdMax }}
+                    onBandChange={({ min, max }) => {
+                      setPotentialThreshold(min);
+                      setThresholdMax(max);
+                    }}
+                    keptCount={siteQuery.high.length}
+                    total={siteQuery.filtered.length}
+                  />
+                )}
+              </div>
+            )}
+            <div style={{ color: '#888', fontSize: 10, marginBottom: 4 }}>
+              {thresholdMode === 'percentile'
+                ? thresholdMax < 1
+                  ? `Percentiles ${Math.round(potentialThreshold * 100)}–${Math.round(thresholdMax * 100)}`
+                  : `Top ${100 - Math.round(potentialThreshold * 100)}% of filtered sites`
+                : thresholdMax < 1
+                  ? `Band ${potentialThreshold.toFixed(2)}–${thresholdMax.toFixed(2)}`
+                  : `Threshold ${potentialThreshold.toFixed(2)}`}
+            </div>
             <input
               type="range"
               min={0}
               max={1}
               step={0.01}
               value={potentialThreshold}
-              onChange={(e) => setPotentialThreshold(Number(e.target.value))}
+              onChange={(e) => {
+                const value = Number(e.target.value);
+                setPotentialThreshold(value);
+                if (value > thresholdMax) setThresholdMax(1);
+              }}
               style={{ width: '100%', accentColor: '#f97316' }}
             />
+            {thresholdMax < 1 && (
+              <button
+                type="button"
+                onClick={() => setThresholdMax(1)}
+                style={{ background: 'rgba(255,255,255,0.08)', border: '1px solid rgba(255,255,255,0.1)', borderRadius: 4, padding: '4px 10px', color: '#aaa', fontSize: 10, cursor: 'pointer', marginTop: 4 }}
+              >
+                Remove upper bound
+              </button>
+            )}
           </div>
 
+          <div style={{ padding: '8px 12px', borderBottom: '1px solid rgba(255,255,255,0.06)', color: '#f97316', fontWeight: 'bold', fontSize: 10, letterSpacing: 2 }}>
+            SCORING
+          </div>
+          <div style={{ padding: '8px 12px 10px', borderBottom: '1px solid rgba(255,255,255,0.06)' }}>
+            <div style={{ color: '#888', fontSize: 10, marginBottom: 4 }}>
+              Heat flow {Math.round(scoreParams.heatFlowWeight * 100)}% · Boundary {Math.round((1 - scoreParams.heatFlowWeight) * 100)}%
+            </div>
+            <input
+              type="range"
+              min={0}
+              max={1}
+              step={0.05}
+              value={scoreParams.heatFlowWeight}
+              onChange={(e) => setScoreParams((p) => ({ ...p, heatFlowWeight: Number(e.target.value) }))}
+              style={{ width: '100%', accentColor: '#f97316', marginBottom: 6 }}
+            />
+            <div style={{ color: '#888', fontSize: 10, marginBottom: 4 }}>
+              Heat flow cap P{scoreParams.capPercentile.toFixed(1)}{siteQuery?.heatFlowCap != null ? ` (${siteQuery.heatFlowCap.toFixed(0)} mW/m²)` : ''}
+            </div>
+            <input
+              type="range"
+              min={90}
+              max={100}
+              step={0.1}
+              value={scoreParams.capPercentile}
+              onChange={(e) => setScoreParams((p) => ({ ...p, capPercentile: Number(e.target.value) }))}
+              style={{ width: '100%', accentColor: '#f97316', marginBottom: 6 }}
+            />
+            <div style={{ color: '#888', fontSize: 10, marginBottom: 4 }}>Boundary decay σ {scoreParams.sigmaKm} km</div>
+            <input
+              type="range"
+              min={25}
+              max={1500}
+              step={25}
+              value={scoreParams.sigmaKm}
+              onChange={(e) => setScoreParams((p) => ({ ...p, sigmaKm: Number(e.target.value) }))}
+              style={{ width: '100%', accentColor: '#f97316' }}
+            />
+            {scoreParamsChanged && (
+              <button
+                type="button"
+                onClick={() => setScoreParams(DEFAULT_SCORE_PARAMS)}
+                style={{ marginTop: 6, background: 'rgba(255,255,255,0.08)', border: '1px solid rgba(255,255,255,0.1)', borderRadius: 4, padding: '4px 10px', color: '#aaa', fontSize: 10, cursor: 'pointer' }}
+              >
+                Reset to pipeline (70/30, P99.5, 300 km)
+              </button>
+            )}
+          </div>
+
+          <div style={{ padding: '8px 12px', borderBottom: '1px solid rgba(255,255,255,0.06)', color: '#f97316', fontWeight: 'bold', fontSize: 10, letterSpacing: 2 }}>
+            MAP VIEW
+          </div>
+          <div style={{ padding: '8px 12px 10px', borderBottom: '1px solid rgba(255,255,255,0.06)' }}>
+            <div style={{ display: 'flex', flexWrap: 'wrap', gap: 6, marginBottom: aggregation.mode === 'points' ? 0 : 8 }}>
+              {MAP_VIEW_MODES.map((m) => (
+                <Btn key={m.id} active={aggregation.mode === m.id} onClick={() => setAggregation((a) => ({ ...a, mode: m.id }))}>
+                  {m.label}
+                </Btn>
+              ))}
+            </div>
+            {showChoropleth && (
+              <>
+                <select
+                  value={aggregation.countryMetric}
+                  onChange={(e) => setAggregation((a) => ({ ...a, countryMetric: e.target.value }))}
+                  style={{ width: '100%', padding: '4px 6px', background: 'rgba(255,255,255,0.06)', border: '1px solid rgba(255,255,255,0.1)', borderRadius: 4, color: '#e0e0e0', fontSize: 11 }}
+                >
+                  {Object.entries(COUNTRY_METRICS).map(([id, m]) => (
+                    <option key={id} value={id}>{m.label}</option>
+                  ))}
+                </select>
+                <div style={{ color: '#666', fontSize: 10, marginTop: 6 }}>
+                  Countries ignore the country filter so they stay comparable. Click a country to filter to it, click it again to clear.
+                </div>
+              </>
+            )}
+            {(aggregation.mode === 'hexagon' || aggregation.mode === 'grid') && (
+              <>
+                <div style={{ display: 'flex', gap: 6, marginBottom: 6 }}>
+                  <select
+                    value={aggregation.op}
+                    onChange={(e) => setAggregation((a) => ({ ...a, op: e.target.value }))}
+                    style={{ flex: 1, padding: '4px 6px', background: 'rgba(255,255,255,0.06)', border: '1px solid rgba(255,255,255,0.1)', borderRadius: 4, color: '#e0e0e0', fontSize: 11 }}
+                  >
+                    {Object.entries(AGGREGATE_OPS).map(([id, op]) => (
+                      <option key={id} value={id}>{op.label}</option>
+                    ))}
+                  </select>
+                  <select
+                    value={aggregation.field}
+                    disabled={aggregation.op === 'count'}
+                    onChange={(e) => setAggregation((a) => ({ ...a, field: e.target.value }))}
+                    style={{ flex: 1, padding: '4px 6px', background: 'rgba(255,255,255,0.06)', border: '1px solid rgba(255,255,255,0.1)', borderRadius: 4, color: '#e0e0e0', fontSize: 11 }}
+                  >
+                    {Object.entries(AGGREGATE_FIELDS).map(([id, f]) => (
+                      <option key={id} value={id}>{f.label}</option>
+                    ))}
+                  </select>
+                </div>
+                <div style={{ color: '#888', fontSize: 10, marginBottom: 4 }}>
+                  {aggregation.mode === 'hexagon' ? 'Hexagon radius' : 'Cell size'} {aggregation.cellKm} km
+                </div>
+                <input
+                  type="range"
+                  min={CELL_SIZE_RANGE.min}
+                  max={CELL_SIZE_RANGE.max}
+                  step={CELL_SIZE_RANGE.step}
+                  value={aggregation.cellKm}
+                  onChange={(e) => setAggregation((a) => ({ ...a, cellKm: Number(e.target.value) }))}
+                  style={{ width: '100%', accentColor: '#f97316' }}
+                />
+              </>
+            )}
+            <label style={{ display: 'flex', alignItems: 'center', gap: 8, cursor: 'pointer', marginTop: 8 }}>
+              <input
+                type="checkbox"
+                checked={touchTooltips}
+                onChange={(e) => setTouchTooltips(e.target.checked)}
+                style={{ accentColor: '#f97316' }}
+              />
+              <span style={{ fontSize: 10, color: '#888' }}>Hover tooltips on touch screens</span>
+            </label>
+          </div>
+
+          <div style={{ padding: '8px 12px', borderBottom: '1px solid rgba(255,255,255,0.06)', color: '#f97316', fontWeight: 'bold', fontSize: 10, letterSpacing: 2 }}>
+            INTERPOLATION
+          </div>
+          <div style={{ padding: '8px 12px 10px', borderBottom: '1px solid rgba(255,255,255,0.06)' }}>
+            <div style={{ display: 'flex', gap: 6, marginBottom: 8 }}>
+              {INTERPOLATION_METHODS.map((m) => (
+                <Btn key={m.id} active={interpolationMethod === m.id} onClick={() => setInterpolationMethod(m.id)}>
+                  {m.label}
+                </Btn>
+              ))}
+            </div>
+            <label style={{ display: 'flex', alignItems: 'center', gap: 8, cursor: 'pointer' }}>
+              <input
+                type="checkbox"
+                checked={showSurface}
+                onChange={(e) => setShowSurface(e.target.checked)}
+                style={{ accentColor: '#f97316' }}
+              />
+              <span style={{ fontSize: 11, color: '#ddd' }}>Interpolated surface</span>
+            </label>
+            <div style={{ color: '#666', fontSize: 10, marginTop: 6 }}>
+              Clicks on open ground show the heat flow estimated from the {HEAT_FLOW_ESTIMATE_DEFAULTS.k} nearest measurements within {HEAT_FLOW_ESTIMATE_DEFAULTS.maxDistanceKm} km. The surface is scored on a {SURFACE_CELL_DEG}° grid; fainter cells are less certain.
+            </div>
+          </div>
+
+          {showBoundaries && plates.length > 0 && (
+            <>
+              <div style={{ padding: '8px 12px', borderBottom: '1px solid rgba(255,255,255,0.06)', color: '#f97316', fontWeight: 'bold', fontSize: 10, letterSpacing: 2 }}>
+                PLATES
+              </div>
+              <div style={{ padding: '8px 12px 10px', borderBottom: '1px solid rgba(255,255,255,0.06)' }}>
+                <div style={{ display: 'flex', gap: 6, marginBottom: 6 }}>
+                  <Btn active={hiddenPlates.length === 0} onClick={() => setHiddenPlates([])}>
+                    Show all
+                  </Btn>
+                  <Btn active={hiddenPlates.length === plates.length} onClick={() => setHiddenPlates(plates.map((p) => p.code))}>
+                    Hide all
+                  </Btn>
+                </div>
+                <div style={{ maxHeight: 180, overflowY: 'auto' }}>
+                  {plates.map((plate) => (
+                    <label key={plate.code} style={{ display: 'flex', alignItems: 'center', gap: 6, fontSize: 10, color: '#ddd', cursor: 'pointer', marginBottom: 3 }}>
+                      <input
+                        type="checkbox"
+                        checked={!hiddenPlates.includes(plate.code)}
+                        onChange={(e) =>
+                          setHiddenPlates((prev) => (e.target.checked ? prev.filter((c) => c !== plate.code) : [...prev, plate.code]))
+                        }
+                        style={{ accentColor: '#f97316', margin: 0 }}
+                      />
+                      <span style={{ flex: 1, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>{plate.name}</span>
+                      <span style={{ display: 'flex', gap: 1 }}>
+                        {plate.pairs.map((pair) => (
+                          <span key={pair.key} title={pair.label} style={{ width: 6, height: 10, borderRadius: 1, background: `rgb(${pair.color.join(',')})` }} />
+                        ))}
+                      </span>
+                    </label>
+                  ))}
+                </div>
+              </div>
+            </>
+          )}
+
           <div style={{ padding: '8px 12px', borderBottom: '1px solid rgba(255,255,255,0.06)', color: '#f97316', fontWeight: 'bold', fontSize: 10, letterSpacing: 2 }}>
             REGION FILTERS
           </div>
@@ -618,7 +1874,7 @@ export default function GeothermalGlobe() {
               <label style={{ color: '#888', fontSize: 10, display: 'block', marginBottom: 2 }}>Continent</label>
               <select
                 value={continentFilter}
-                onChange={(e) => setContinentFilter(e.target.value)}
+                onChange={(e) => selectContinent(e.target.value)}
                 style={{ width: '100%', padding: '4px 6px', background: 'rgba(255,255,255,0.06)', border: '1px solid rgba(255,255,255,0.1)', borderRadius: 4, color: '#e0e0e0', fontSize: 11 }}
               >
                 {CONTINENT_OPTIONS.map((c) => (
@@ -626,11 +1882,26 @@ export default function GeothermalGlobe() {
                 ))}
               </select>
             </div>
+            {(subregionOptions.length > 0 || subregionFilter !== 'All') && (
+              <div style={{ marginBottom: 6 }}>
+                <label style={{ color: '#888', fontSize: 10, display: 'block', marginBottom: 2 }}>{continentFilter === OCEANS_GROUP ? 'Ocean' : 'Subregion'}</label>
+                <select
+                  value={subregionFilter}
+                  onChange={(e) => setSubregionFilter(e.target.value)}
+                  style={{ width: '100%', padding: '4px 6px', background: 'rgba(255,255,255,0.06)', border: '1px solid rgba(255,255,255,0.1)', borderRadius: 4, color: '#e0e0e0', fontSize: 11 }}
+                >
+                  <option value="All">All</option>
+                  {subregionOptions.map((r) => (
+                    <option key={r} value={r}>{r}</option>
+                  ))}
+                </select>
+              </div>
+            )}
             <div>
-              <label style={{ color: '#888', fontSize: 10, display: 'block', marginBottom: 2 }}>Country</label>
+              <label style={{ color: '#888', fontSize: 10, display: 'block', marginBottom: 2 }}>{continentFilter === OCEANS_GROUP ? 'Sea / ocean' : 'Country'}</label>
               <select
                 value={countryFilter}
-                onChange={(e) => setCountryFilter(e.target.value)}
+                onChange={(e) => selectCountry(e.target.value)}
                 style={{ width: '100%', padding: '4px 6px', background: 'rgba(255,255,255,0.06)', border: '1px solid rgba(255,255,255,0.1)', borderRadius: 4, color: '#e0e0e0', fontSize: 11 }}
               >
                 <option value="All">All</option>
@@ -639,6 +1910,192 @@ export default function GeothermalGlobe() {
                 ))}
               </select>
             </div>
+            {countryFilter !== 'All' && (regionOptions.length > 0 || regionFilter !== 'All') && (
+              <div style={{ marginTop: 6 }}>
+                <label style={{ color: '#888', fontSize: 10, display: 'block', marginBottom: 2 }}>Region</label>
+                <select
+                  value={regionFilter}
+                  onChange={(e) => setRegionFilter(e.target.value)}
+                  style={{ width: '100%', padding: '4px 6px', background: 'rgba(255,255,255,0.06)', border: '1px solid rgba(255,255,255,0.1)', borderRadius: 4, color: '#e0e0e0', fontSize: 11 }}
+                >
+                  <option value="All">All</option>
+                  {regionOptions.map((r) => (
+                    <option key={r} value={r}>{r}</option>
+                  ))}
+                </select>
+              </div>
+            )}
+            <div style={{ marginTop: 6 }}>
+              <label style={{ color: '#888', fontSize: 10, display: 'block', marginBottom: 2 }}>Onshore / offshore</label>
+              <select
+                value={shoreMode}
+                onChange={(e) => setShoreMode(e.target.value)}
+                style={{ width: '100%', padding: '4px 6px', background: 'rgba(255,255,255,0.06)', border: '1px solid rgba(255,255,255,0.1)', borderRadius: 4, color: '#e0e0e0', fontSize: 11 }}
+              >
+                {SHORE_MODES.map((m) => (
+                  <option key={m.id} value={m.id}>{m.label}</option>
+                ))}
+              </select>
+            </div>
+            {shoreMode !== 'onshore' && (
+              <label style={{ display: 'flex', alignItems: 'center', gap: 8, cursor: 'pointer', marginTop: 8 }}>
+                <input
+                  type="checkbox"
+                  checked={maxOffshoreKm != null}
+                  onChange={(e) => setMaxOffshoreKm(e.target.checked ? lastMaxOffshoreRef.current : null)}
+                  style={{ accentColor: '#f97316' }}
+                />
+                <span style={{ fontSize: 10, color: '#888' }}>
+                  Max km offshore{maxOffshoreKm != null ? `: ${maxOffshoreKm} km` : ''}
+                </span>
+              </label>
+            )}
+            {shoreMode !== 'onshore' && maxOffshoreKm != null && (
+              <input
+                type="range"
+                min={MAX_OFFSHORE_RANGE.min}
+                max={MAX_OFFSHORE_RANGE.max}
+                step={MAX_OFFSHORE_RANGE.step}
+                value={maxOffshoreKm}
+                onChange={(e) => {
+                  lastMaxOffshoreRef.current = Number(e.target.value);
+                  setMaxOffshoreKm(Number(e.target.value));
+                }}
+                style={{ width: '100%', accentColor: '#f97316', marginTop: 4 }}
+              />
+            )}
+          </div>
+
+          <div style={{ padding: '8px 12px', borderBottom: '1px solid rgba(255,255,255,0.06)', color: '#f97316', fontWeight: 'bold', fontSize: 10, letterSpacing: 2 }}>
+            RADIUS SEARCH
+          </div>
+          <div style={{ padding: '8px 12px 10px', borderBottom: '1px solid rgba(255,255,255,0.06)' }}>
+            <label style={{ display: 'flex', alignItems: 'center', gap: 8, cursor: 'pointer', marginBottom: radiusKm != null ? 8 : 0 }}>
+              <input
+                type="checkbox"
+                checked={radiusKm != null}
+                onChange={(e) => setRadiusKm(e.target.checked ? lastRadiusRef.current : null)}
+                style={{ accentColor: '#f97316' }}
+              />
+              <span style={{ fontSize: 11, color: '#ddd' }}>Search within radius</span>
+            </label>
+            {radiusKm != null && (
+              <>
+                <div style={{ color: '#888', fontSize: 10, marginBottom: 4 }}>
+                  Radius {radiusKm} km{clickCoordinate ? '' : ' · click the globe to set the center'}
+                </div>
+                <input
+                  type="range"
+                  min={RADIUS_RANGE.min}
+                  max={RADIUS_RANGE.max}
+                  step={RADIUS_RANGE.step}
+                  value={radiusKm}
+                  onChange={(e) => {
+                    lastRadiusRef.current = Number(e.target.value);
+                    setRadiusKm(Number(e.target.value));
+                  }}
+                  style={{ width: '100%', accentColor: '#f97316', marginBottom: 6 }}
+                />
+                <label style={{ display: 'flex', alignItems: 'center', gap: 8, cursor: 'pointer' }}>
+                  <input type="checkbox" checked={radiusAboveOnly} onChange={(e) => setRadiusAboveOnly(e.target.checked)} style={{ accentColor: '#f97316' }} />
+                  <span style={{ fontSize: 10, color: '#888' }}>Above threshold only</span>
+                </label>
+              </>
+            )}
+          </div>
+
+          <div style={{ padding: '8px 12px', borderBottom: '1px solid rgba(255,255,255,0.06)', color: '#f97316', fontWeight: 'bold', fontSize: 10, letterSpacing: 2 }}>
+            AREA
+          </div>
+          <div style={{ padding: '8px 12px 10px', borderBottom: '1px solid rgba(255,255,255,0.06)' }}>
+            {areaDraw ? (
+              <>
+                <p style={{ color: '#888', fontSize: 10, margin: '0 0 8px', lineHeight: 1.4 }}>
+                  {areaDraw === 'vertex'
+                    ? `Click the globe to add vertices (${draftVertices.length}); click the first vertex or Finish to close.`
+                    : 'Drag on the globe to draw the outline; release to close it.'}
+                </p>
+                <div style={{ display: 'flex', gap: 6 }}>
+                  {areaDraw === 'vertex' && (
+                    <button
+                      type="button"
+                      disabled={draftVertices.length < MIN_POLYGON_VERTICES}
+                      onClick={() => finishAreaDraw(draftVertices)}
+                      style={{ background: 'rgba(255,255,255,0.08)', border: '1px solid rgba(255,255,255,0.1)', borderRadius: 4, padding: '4px 10px', color: '#aaa', fontSize: 10, cursor: 'pointer' }}
+                    >
+                      Finish
+                    </button>
+                  )}
+                  <button type="button" onClick={() => finishAreaDraw([])} style={{ background: 'rgba(255,255,255,0.08)', border: '1px solid rgba(255,255,255,0.1)', borderRadius: 4, padding: '4px 10px', color: '#aaa', fontSize: 10, cursor: 'pointer' }}>
+                    Cancel
+                  </button>
+                </div>
+              </>
+            ) : (
+              <div style={{ display: 'flex', gap: 6, marginBottom: area ? 8 : 0 }}>
+                <Btn onClick={() => startAreaDraw('vertex')}>{area ? 'Redraw' : 'Draw polygon'}</Btn>
+                <Btn onClick={() => startAreaDraw('freehand')}>Freehand</Btn>
+              </div>
+            )}
+            {area && !areaDraw && (
+              <>
+                {siteQuery?.areaStats && (
+                  <div style={{ fontSize: 10, color: '#888', lineHeight: 1.6 }}>
+                    <div>
+                      Sites inside <span style={{ color: '#ddd' }}>{siteQuery.areaStats.count.toLocaleString()}</span>
+                    </div>
+                    {siteQuery.areaStats.score && (
+                      <div>
+                        Score mean / med / max{' '}
+                        <span style={{ color: '#ddd' }}>
+                          {siteQuery.areaStats.score.mean.toFixed(3)} / {siteQuery.areaStats.score.median.toFixed(3)} / {siteQuery.areaStats.score.max.toFixed(3)}
+                        </span>
+                      </div>
+                    )}
+                    <div>
+                      Above threshold{' '}
+                      <span style={{ color: '#f97316' }}>
+                        {siteQuery.areaStats.aboveThreshold.toLocaleString()} ({(siteQuery.areaStats.shareAbove * 100).toFixed(1)}%)
+                      </span>
+                    </div>
+                    <div style={{ marginTop: 4 }}>Heat flow (mW/m²)</div>
+                    {siteQuery.areaStats.hfHistogram.map((bin) => {
+                      const maxCount = Math.max(1, ...siteQuery.areaStats.hfHistogram.map((b) => b.count));
+                      return (
+                        <div key={bin.from} style={{ display: 'flex', alignItems: 'center', gap: 6 }}>
+                          <span style={{ width: 52, textAlign: 'right' }}>{bin.to != null ? `${bin.from}–${bin.to}` : `${bin.from}+`}</span>
+                          <div style={{ flex: 1, height: 6, background: 'rgba(255,255,255,0.05)', borderRadius: 1 }}>
+                            <div style={{ width: `${(bin.count / maxCount) * 100}%`, height: '100%', background: `rgb(${AREA_COLOR.join(',')})`, borderRadius: 1 }} />
+                          </div>
+                          <span style={{ width: 34, textAlign: 'right', color: '#ddd' }}>{bin.count}</span>
+                        </div>
+                      );
+                    })}
+                  </div>
+                )}
+                <label style={{ display: 'flex', alignItems: 'center', gap: 8, cursor: 'pointer', margin: '8px 0' }}>
+                  <input
+                    type="checkbox"
+                    checked={area.filter}
+                    onChange={(e) => setArea((prev) => ({ ...prev, filter: e.target.checked }))}
+                    style={{ accentColor: '#f97316' }}
+                  />
+                  <span style={{ fontSize: 11, color: '#ddd' }}>Use as filter</span>
+                </label>
+                <div style={{ display: 'flex', gap: 6 }}>
+                  <button
+                    type="button"
+                    onClick={() => downloadFile('geothermal-area.geojson', areaToGeoJSON(area.polygon, siteQuery?.areaStats ?? null), EXPORT_FORMATS.geojson.mime)}
+                    style={{ background: 'rgba(255,255,255,0.08)', border: '1px solid rgba(255,255,255,0.1)', borderRadius: 4, padding: '4px 10px', color: '#aaa', fontSize: 10, cursor: 'pointer' }}
+                  >
+                    Export polygon
+                  </button>
+                  <button type="button" onClick={() => setArea(null)} style={{ background: 'rgba(255,255,255,0.08)', border: '1px solid rgba(255,255,255,0.1)', borderRadius: 4, padding: '4px 10px', color: '#aaa', fontSize: 10, cursor: 'pointer' }}>
+                    Clear area
+                  </button>
+                </div>
+              </>
+            )}
           </div>
 
           <div style={{ padding: '8px 12px', borderBottom: '1px solid rgba(255,255,255,0.06)', color: '#f97316', fontWeight: 'bold', fontSize: 10, letterSpacing: 2 }}>
@@ -651,100 +2108,233 @@ export default function GeothermalGlobe() {
             </label>
             {compareMode && (
               <p style={{ color: '#888', fontSize: 10, margin: '0 0 8px', lineHeight: 1.4 }}>
-                Click two points to compare, click again to unpin.
+                {slots.length < MAX_COMPARE_SLOTS
+                  ? `Click up to ${MAX_COMPARE_SLOTS} points to compare, click again to unpin.`
+                  : `All ${MAX_COMPARE_SLOTS} slots are pinned; unpin one to add another.`}
               </p>
             )}
-            <div style={{ fontSize: 10, color: '#888', marginBottom: 4 }}>Slot A: {compareSlotA ? `${compareSlotA.resolvedPlace || 'Selected'} (${(compareSlotA.score ?? 0).toFixed(3)})` : 'None selected'}</div>
-            <div style={{ fontSize: 10, color: '#888', marginBottom: 8 }}>Slot B: {compareSlotB ? `${compareSlotB.resolvedPlace || 'Selected'} (${(compareSlotB.score ?? 0).toFixed(3)})` : 'None selected'}</div>
+            {slots.length === 0 && <div style={{ fontSize: 10, color: '#888', marginBottom: 8 }}>No sites pinned</div>}
+            {slots.map((slot) => {
+              const [r, g, b] = SLOT_COLORS[slot.letter];
+              return (
+                <div key={slot.letter} style={{ display: 'flex', alignItems: 'center', gap: 6, fontSize: 10, color: '#888', marginBottom: 4 }}>
+                  <span style={{ color: `rgb(${r},${g},${b})`, fontWeight: 'bold', width: 10 }}>{slot.letter}</span>
+                  <span style={{ flex: 1, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                    {slot.name || slot.resolvedPlace || 'Selected'} ({(slot.score ?? 0).toFixed(3)})
+                  </span>
+                  <span
+                    onClick={() => setCompareSlots((prev) => prev.filter((s) => s.letter !== slot.letter))}
+                    title={`Unpin ${slot.letter}`}
+                    style={{ cursor: 'pointer', color: '#555' }}
+                  >
+                    ✕
+                  </span>
+                </div>
+              );
+            })}
             <button
               type="button"
-              onClick={() => { setCompareSlotA(null); setCompareSlotB(null); }}
-              style={{ background: 'rgba(255,255,255,0.08)', border: '1px solid rgba(255,255,255,0.1)', borderRadius: 4, padding: '4px 10px', color: '#aaa', fontSize: 10, cursor: 'pointer' }}
+              onClick={() => setCompareSlots([])}
+              style={{ marginTop: 4, background: 'rgba(255,255,255,0.08)', border: '1px solid rgba(255,255,255,0.1)', borderRadius: 4, padding: '4px 10px', color: '#aaa', fontSize: 10, cursor: 'pointer' }}
             >
               Clear compare
             </button>
-            {compareSlotA && compareSlotB && (
+            {slots.length >= 2 && (
               <div style={{ marginTop: 12, padding: 8, background: 'rgba(0,0,0,0.2)', borderRadius: 4 }}>
                 <div style={{ color: '#f97316', fontSize: 10, fontWeight: 'bold', marginBottom: 6 }}>Comparison</div>
                 <table style={{ width: '100%', fontSize: 10, borderCollapse: 'collapse' }}>
                   <thead>
                     <tr style={{ color: '#888' }}>
-                      <th style={{ textAlign: 'left', padding: '2px 4px' }}>Metric</th>
-                      <th style={{ textAlign: 'center', padding: '2px 4px' }}>A</th>
-                      <th style={{ textAlign: 'center', padding: '2px 4px' }}>B</th>
+                      <th style={{ textAlign: 'left', padding: '2px 4px' }}>Slot</th>
+                      {COMPARE_METRICS.map((m) => (
+                        <th key={m.key} title={m.label} style={{ textAlign: 'center', padding: '2px 4px' }}>{m.short}</th>
+                      ))}
                     </tr>
                   </thead>
                   <tbody style={{ color: '#ddd' }}>
-                    <tr><td style={{ padding: '2px 4px' }}>Score</td><td style={{ textAlign: 'center' }}>{(compareSlotA.score ?? 0).toFixed(4)}</td><td style={{ textAlign: 'center' }}>{(compareSlotB.score ?? 0).toFixed(4)}</td></tr>
-                    <tr><td style={{ padding: '2px 4px' }}>Heat flow (mW/m²)</td><td style={{ textAlign: 'center' }}>{compareSlotA.hf != null ? compareSlotA.hf : '—'}</td><td style={{ textAlign: 'center' }}>{compareSlotB.hf != null ? compareSlotB.hf : '—'}</td></tr>
-                    <tr><td style={{ padding: '2px 4px' }}>Boundary (km)</td><td style={{ textAlign: 'center' }}>{compareSlotA.bd != null ? compareSlotA.bd.toFixed(1) : '—'}</td><td style={{ textAlign: 'center' }}>{compareSlotB.bd != null ? compareSlotB.bd.toFixed(1) : '—'}</td></tr>
+                    {slots.map((slot) => {
+                      const [r, g, b] = SLOT_COLORS[slot.letter];
+                      return (
+                        <tr key={slot.letter}>
+                          <td style={{ padding: '2px 4px', color: `rgb(${r},${g},${b})`, fontWeight: 'bold' }}>{slot.letter}</td>
+                          {COMPARE_METRICS.map((m) => {
+                            const rank = slotRanks[m.key][slot.letter];
+                            return (
+                              <td key={m.key} style={{ textAlign: 'center', color: rank === 1 ? '#f97316' : '#ddd' }}>
+                                {slot[m.key] != null ? m.format(slot[m.key]) : '—'}
+                                {rank != null && <sup style={{ color: '#666', marginLeft: 1 }}>{rank}</sup>}
+                              </td>
+                            );
+                          })}
+                        </tr>
+                      );
+                    })}
                   </tbody>
                 </table>
-                <div style={{ marginTop: 6, fontSize: 10, color: '#b0b0b0' }}>
-                  Winner: {getWinnerExplanation(compareSlotA, compareSlotB)}
+                <div style={{ marginTop: 8 }}>
+                  <CompareChart slots={slots} />
+                </div>
+                <div style={{ marginTop: 6, fontSize: 10, color: '#b0b0b0', lineHeight: 1.4 }}>
+                  {ranking.lines.map((line, i) => (
+                    <div key={i}>{line}</div>
+                  ))}
                 </div>
               </div>
             )}
           </div>
 
+          {(importedScored.length > 0 || importStatus) && (
+            <>
+              <div style={{ padding: '8px 12px', borderBottom: '1px solid rgba(255,255,255,0.06)', color: '#f97316', fontWeight: 'bold', fontSize: 10, letterSpacing: 2 }}>
+                IMPORTED SITES
+              </div>
+              <div style={{ padding: '8px 12px 10px', borderBottom: '1px solid rgba(255,255,255,0.06)' }}>
+                {importStatus && <p style={{ color: '#888', fontSize: 10, margin: '0 0 8px', lineHeight: 1.4 }}>{importStatus}</p>}
+                {[...importedScored]
+                  .sort((a, b) => (b.score ?? -1) - (a.score ?? -1))
+                  .map((site, i) => (
+                    <div
+                      key={`${site.name}-${i}`}
+                      onClick={() => {
+                        const [lon, lat] = site.coordinates;
+                        setSnapDistanceKm(null);
+                        showClickLocation(lat, lon);
+                        selectPoint(site);
+                        flyTo(lon, lat);
+                      }}
+                      style={{ display: 'flex', gap: 6, fontSize: 10, color: '#888', marginBottom: 4, cursor: 'pointer' }}
+                    >
+                      <span style={{ color: `rgb(${IMPORTED_COLOR.join(',')})` }}>●</span>
+                      <span style={{ flex: 1, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap', color: '#ddd' }}>{site.name}</span>
+                      <span>{site.score != null ? site.score.toFixed(3) : '—'}</span>
+                    </div>
+                  ))}
+                {importedScored.length > 0 && (
+                  <button
+                    type="button"
+                    onClick={() => {
+                      setImportedSites([]);
+                      setImportStatus(null);
+                      setCompareSlots((prev) => prev.filter((s) => !s.imported));
+                    }}
+                    style={{ marginTop: 4, background: 'rgba(255,255,255,0.08)', border: '1px solid rgba(255,255,255,0.1)', borderRadius: 4, padding: '4px 10px', color: '#aaa', fontSize: 10, cursor: 'pointer' }}
+                  >
+                    Clear imported
+                  </button>
+                )}
+              </div>
+            </>
+          )}
+
           <div style={{ padding: '8px 12px 7px', color: '#f97316', fontWeight: 'bold', fontSize: 10, letterSpacing: 2 }}>
-            TOP 20 SITES
+            TOP {topN} SITES
+          </div>
+          <div style={{ padding: '0 12px 8px', borderBottom: '1px solid rgba(255,255,255,0.06)' }}>
+            <div style={{ display: 'flex', gap: 4, marginBottom: 6 }}>
+              {TOP_N_OPTIONS.map((n) => (
+                <button
+                  key={n}
+                  type="button"
+                  onClick={() => setTopN(n)}
+                  style={{
+                    flex: 1,
+                    background: topN === n ? 'rgba(249,115,22,0.2)' : 'rgba(255,255,255,0.06)',
+                    border: `1px solid ${topN === n ? 'rgba(249,115,22,0.5)' : 'rgba(255,255,255,0.1)'}`,
+                    borderRadius: 4,
+                    padding: '3px 0',
+                    color: topN === n ? '#f97316' : '#aaa',
+                    fontSize: 10,
+                    cursor: 'pointer',
+                  }}
+                >
+                  {n}
+                </button>
+              ))}
+            </div>
+            <label
+              style={{ color: '#888', fontSize: 10, display: 'block', marginBottom: 2 }}
+              title={`scripts/process_dataset.py uses ${PIPELINE_MIN_SEPARATION_KM} km for public/top_sites.json`}
+            >
+              Min separation: {minSeparationKm > 0 ? `${minSeparationKm} km` : 'off'}
+            </label>
+            <input
+              type="range"
+              min={MIN_SEPARATION_RANGE.min}
+              max={MIN_SEPARATION_RANGE.max}
+              step={MIN_SEPARATION_RANGE.step}
+              value={minSeparationKm}
+              onChange={(e) => setMinSeparationKm(Number(e.target.value))}
+              style={{ width: '100%', accentColor: '#f97316' }}
+            />
+            {minSeparationKm > 0 && (
+              <label style={{ display: 'flex', alignItems: 'center', gap: 8, cursor: 'pointer', marginTop: 4 }}>
+                <input
+                  type="checkbox"
+                  checked={groupNeighbours}
+                  onChange={(e) => setGroupNeighbours(e.target.checked)}
+                  style={{ accentColor: '#f97316' }}
+                />
+                <span style={{ fontSize: 10, color: '#888' }}>Show suppressed neighbours</span>
+              </label>
+            )}
           </div>
           {topSitesComputed.map((site) => {
             const isActive =
               selected?.coordinates?.[0] === site.lon &&
               selected?.coordinates?.[1] === site.lat;
+            const showGroup = groupNeighbours && minSeparationKm > 0 && site.neighbourCount > 0;
             return (
-              <div
-                key={`${site.rank}-${site.lon}-${site.lat}`}
-                onClick={() => {
-                  setClickCoordinate([site.lon, site.lat]);
-                  if (site.resolvedPlace) {
-                    setResolvedLocation({ label: site.resolvedPlace, lat: site.lat, lon: site.lon });
-                  } else {
-                    setLocationResolving(true);
-                    resolveLocation(site.lat, site.lon)
-                      .then((res) => {
-                        setResolvedLocation(res);
-                        setLocationResolving(false);
-                      })
-                      .catch(() => {
-                        setResolvedLocation({ country: null, region: null, city: null, label: 'Unable to load map data', lat: site.lat, lon: site.lon });
-                        setLocationResolving(false);
-                      });
-                  }
-                  selectPoint({
-                    coordinates: [site.lon, site.lat],
-                    score: site.score,
-                    hf: site.hf,
-                    bd: site.bd,
-                  });
-                  flyTo(site.lon, site.lat);
-                }}
-                style={{
-                  padding: '8px 12px',
-                  cursor: 'pointer',
-                  borderBottom: 'none',
-                  display: 'flex',
-                  alignItems: 'center',
-                  gap: 9,
-                  background: isActive ? 'rgba(249,115,22,0.13)' : 'transparent',
-                  borderLeft: isActive ? '2px solid #f97316' : '2px solid transparent',
-                  transition: 'background 0.12s',
-                }}
-              >
-                <span style={{ color: '#f97316', width: 20, textAlign: 'right', flexShrink: 0, fontSize: 11 }}>
-                  #{site.rank}
-                </span>
-                <div>
-                  <div style={{ color: '#ddd', fontSize: 11 }}>
-                    {site.lat.toFixed(2)}°, {site.lon.toFixed(2)}°
-                  </div>
-                  <div style={{ color: '#666', fontSize: 10, marginTop: 1 }}>
-                    {site.score.toFixed(3)} score · {site.hf} mW/m²
+              <React.Fragment key={`${site.rank}-${site.lon}-${site.lat}`}>
+                <div
+                  onClick={() => pickListedSite(site)}
+                  style={{
+                    padding: '8px 12px',
+                    cursor: 'pointer',
+                    borderBottom: 'none',
+                    display: 'flex',
+                    alignItems: 'center',
+                    gap: 9,
+                    background: isActive ? 'rgba(249,115,22,0.13)' : 'transparent',
+                    borderLeft: isActive ? '2px solid #f97316' : '2px solid transparent',
+                    transition: 'background 0.12s',
+                  }}
+                >
+                  <span style={{ color: '#f97316', width: 20, textAlign: 'right', flexShrink: 0, fontSize: 11 }}>
+                    #{site.rank}
+                  </span>
+                  <div>
+                    <div style={{ color: '#ddd', fontSize: 11 }}>
+                      {site.lat.toFixed(2)}°, {site.lon.toFixed(2)}°
+                    </div>
+                    <div style={{ color: '#666', fontSize: 10, marginTop: 1 }}>
+                      {site.score.toFixed(3)} score · {site.hf} mW/m²
+                      {thresholdMode === 'percentile' && ` · P${Math.round(scoreScale(site.score) * 100)}`}
+                    </div>
                   </div>
                 </div>
-              </div>
+                {showGroup && (
+                  <div style={{ padding: '0 12px 6px 41px' }}>
+                    {site.neighbours.map((n) => {
+                      const nActive = selected?.coordinates?.[0] === n.lon && selected?.coordinates?.[1] === n.lat;
+                      return (
+                        <div
+                          key={`${n.lon}-${n.lat}`}
+                          onClick={() => pickListedSite(n)}
+                          style={{ display: 'flex', gap: 6, fontSize: 10, color: nActive ? '#f97316' : '#888', padding: '2px 0', cursor: 'pointer' }}
+                        >
+                          <span style={{ flex: 1 }}>↳ {n.lat.toFixed(2)}°, {n.lon.toFixed(2)}°</span>
+                          <span>{n.score.toFixed(3)}</span>
+                        </div>
+                      );
+                    })}
+                    {site.neighbourCount > site.neighbours.length && (
+                      <div style={{ fontSize: 10, color: '#555', padding: '2px 0' }}>
+                        +{site.neighbourCount - site.neighbours.length} more within {minSeparationKm} km
+                      </div>
+                    )}
+                  </div>
+                )}
+              </React.Fragment>
             );
           })}
         </div>
@@ -770,8 +2360,61 @@ export default function GeothermalGlobe() {
         </div>
       )}
 
+      {/* ── Right panel — clicked hexbin / grid cell ──────────────── */}
+      {selectedCell && (
+        <div style={{ ...PANEL, top: 56, right: 12, width: 268, padding: 14, maxHeight: 'calc(100% - 140px)', overflowY: 'auto' }}>
+          <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: 12 }}>
+            <span style={{ color: '#f97316', fontWeight: 'bold', fontSize: 10, letterSpacing: 2 }}>
+              CELL SUMMARY
+            </span>
+            <span onClick={() => setSelectedCell(null)} style={{ cursor: 'pointer', color: '#555', fontSize: 14, lineHeight: 1 }}>
+              ✕
+            </span>
+          </div>
+          <StatRow label="Center" value={`${selectedCell.position[1].toFixed(2)}°, ${selectedCell.position[0].toFixed(2)}°`} />
+          <StatRow label="Sites" value={selectedCell.count.toLocaleString()} accent />
+          {selectedCell.score && (
+            <StatRow
+              label="Score mean / med / max"
+              value={`${selectedCell.score.mean.toFixed(3)} / ${selectedCell.score.median.toFixed(3)} / ${selectedCell.score.max.toFixed(3)}`}
+            />
+          )}
+          {selectedCell.hf && (
+            <StatRow label="Heat flow med / max" value={`${Math.round(selectedCell.hf.median)} / ${Math.round(selectedCell.hf.max)} mW/m²`} />
+          )}
+          {selectedCell.bd && <StatRow label="Closest boundary" value={`${selectedCell.bd.min.toFixed(1)} km`} />}
+          <div style={{ color: '#888', fontSize: 10, margin: '10px 0 4px' }}>
+            {compareMode ? 'Members (click to pin)' : 'Members (click to inspect)'}
+          </div>
+          {selectedCell.members.slice(0, 100).map((site, i) => {
+            const [lon, lat] = site.coordinates;
+            return (
+              <div
+                key={`${lon},${lat},${i}`}
+                onClick={() => {
+                  setSelectedCell(null);
+                  setSnapDistanceKm(null);
+                  if (compareMode) toggleCompareSlot(site, lon, lat);
+                  else setResolvedAndSelect(lon, lat, site);
+                }}
+                style={{ display: 'flex', gap: 6, fontSize: 10, color: '#888', padding: '2px 0', cursor: 'pointer' }}
+              >
+                <span style={{ flex: 1, color: '#ddd', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                  {site.resolvedPlace || `${lat.toFixed(2)}°, ${lon.toFixed(2)}°`}
+                </span>
+                <span>{site.score?.toFixed(3)}</span>
+                <span style={{ width: 52, textAlign: 'right' }}>{site.hf} mW</span>
+              </div>
+            );
+          })}
+          {selectedCell.members.length > 100 && (
+            <div style={{ color: '#555', fontSize: 10, marginTop: 4 }}>+{selectedCell.members.length - 100} more</div>
+          )}
+        </div>
+      )}
+
       {/* ── Right panel — location and optional site detail ──────────────── */}
-      {clickCoordinate != null && (
+      {clickCoordinate != null && !selectedCell && (
         <div style={{ ...PANEL, top: 56, right: 12, width: 268, padding: 14 }}>
           <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: 12 }}>
             <span style={{ color: '#f97316', fontWeight: 'bold', fontSize: 10, letterSpacing: 2 }}>
@@ -781,6 +2424,7 @@ export default function GeothermalGlobe() {
               onClick={() => {
                 setSelected(null);
                 setClickCoordinate(null);
+                setSnapDistanceKm(null);
                 setResolvedLocation(null);
                 setLocationResolving(false);
               }}
@@ -790,20 +2434,43 @@ export default function GeothermalGlobe() {
             </span>
           </div>
 
+          {selectedSite?.imported && <StatRow label="Imported site" value={selectedSite.name} />}
           <StatRow label="Coordinates" value={`${displayLat.toFixed(4)}°, ${displayLon.toFixed(4)}°`} />
           <StatRow label="Location" value={locationResolving ? 'Loading…' : (resolvedLocation?.label ?? '—')} />
-          <StatRow label="Composite score" value={selected?.score?.toFixed(4) ?? '—'} accent />
-          <StatRow label="Heat flow" value={selected?.hf != null ? `${selected.hf} mW/m²` : '—'} />
-          <StatRow label="Plate boundary" value={selected?.bd != null ? `${selected.bd} km` : '—'} />
+          {snapDistanceKm != null && (
+            <StatRow label="Nearest site" value={`${snapDistanceKm.toFixed(1)} km away`} />
+          )}
+          <StatRow label="Composite score" value={selectedSite?.score?.toFixed(4) ?? '—'} accent />
+          <StatRow
+            label={selectedSite?.imported ? 'Heat flow (est.)' : 'Heat flow'}
+            value={selectedSite?.hf != null ? `${selectedSite.hf} mW/m²` : '—'}
+          />
+          {selectedSite?.imported && (
+            <StatRow
+              label="Estimated from"
+              value={selectedSite.hfSamples ? `${selectedSite.hfSamples} pts, nearest ${selectedSite.hfNearestKm} km` : 'no data within range'}
+            />
+          )}
+          <StatRow label="Plate boundary" value={selectedSite?.bd != null ? `${selectedSite.bd} km` : '—'} />
+          <StatRow label="Coast" value={formatCoast(selectedSite?.coastKm ?? resolvedLocation?.coastKm)} />
+          {selectedSite?.bd != null && selectedBoundary && (
+            <StatRow label="Measured to" value={boundaryLabel(selectedBoundary)} />
+          )}
+          {clickBoundary?.coordinates === clickCoordinate && (
+            <>
+              <StatRow label="Boundary line" value={`${clickBoundary.distanceKm.toFixed(1)} km`} />
+              <StatRow label="Nearest plates" value={`${boundaryLabel(clickBoundary)} (${boundaryCodes(clickBoundary)})`} />
+            </>
+          )}
 
           {/* Score bar — only when a heat/site point is selected */}
-          {selected != null && (
+          {selectedSite != null && (
             <div style={{ marginTop: 10 }}>
               <div style={{ height: 4, borderRadius: 2, background: 'rgba(255,255,255,0.08)' }}>
                 <div
                   style={{
                     height: '100%',
-                    width: `${(selected.score ?? 0) * 100}%`,
+                    width: `${(selectedSite.score ?? 0) * 100}%`,
                     borderRadius: 2,
                     background: 'linear-gradient(90deg, #1d9abf, #f97316)',
                     transition: 'width 0.3s',
@@ -812,6 +2479,61 @@ export default function GeothermalGlobe() {
               </div>
             </div>
           )}
+
+          {clickEstimateScored && (
+            <div style={{ marginTop: 12, paddingTop: 10, borderTop: '1px solid rgba(255,255,255,0.06)' }}>
+              <div style={{ color: '#f97316', fontWeight: 'bold', fontSize: 10, letterSpacing: 2, marginBottom: 8 }}>
+                INTERPOLATED HERE
+              </div>
+              <StatRow label="Est. score" value={clickEstimateScored.score?.toFixed(4) ?? '—'} accent />
+              <StatRow
+                label="Est. heat flow"
+                value={clickEstimate.hf != null ? `${clickEstimate.hf} ± ${clickEstimate.hfSpread} mW/m²` : `no data within ${HEAT_FLOW_ESTIMATE_DEFAULTS.maxDistanceKm} km`}
+              />
+              <StatRow label="Uncertainty" value={formatUncertainty(clickEstimate.uncertainty)} />
+              {clickEstimate.hfSamples > 0 && (
+                <StatRow label="Based on" value={`${clickEstimate.hfSamples} pts, nearest ${clickEstimate.hfNearestKm} km`} />
+              )}
+            </div>
+          )}
+
+          {radiusResult && (
+            <div style={{ marginTop: 12, paddingTop: 10, borderTop: '1px solid rgba(255,255,255,0.06)' }}>
+              <div style={{ color: `rgb(${RADIUS_COLOR.join(',')})`, fontWeight: 'bold', fontSize: 10, letterSpacing: 2, marginBottom: 8 }}>
+                WITHIN {radiusKm} KM
+              </div>
+              <StatRow label={radiusAboveOnly ? 'Sites above threshold' : 'Sites'} value={radiusResult.count.toLocaleString()} accent />
+              {radiusResult.best && (
+                <>
+                  <StatRow label="Mean score" value={radiusResult.meanScore.toFixed(4)} />
+                  <StatRow label="Best" value={`${radiusResult.best.site.score.toFixed(4)} · ${radiusResult.best.distanceKm.toFixed(1)} km`} />
+                  <StatRow label="Closest" value={`${radiusResult.nearest.distanceKm.toFixed(1)} km`} />
+                </>
+              )}
+              <div style={{ maxHeight: 200, overflowY: 'auto', marginTop: 4 }}>
+                {radiusResult.hits.slice(0, 200).map(({ site, distanceKm }, i) => {
+                  const isActive = selected?.coordinates === site.coordinates;
+                  return (
+                    <div
+                      key={`${site.coordinates.join()}-${i}`}
+                      onClick={() => selectSiteHit(site)}
+                      style={{ display: 'flex', gap: 6, fontSize: 10, padding: '2px 4px', cursor: 'pointer', color: '#888', background: isActive ? 'rgba(249,115,22,0.13)' : 'transparent' }}
+                    >
+                      <span style={{ width: 18, textAlign: 'right', color: '#f97316' }}>{i + 1}</span>
+                      <span style={{ flex: 1, color: '#ddd', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                        {site.resolvedPlace || `${site.coordinates[1].toFixed(2)}°, ${site.coordinates[0].toFixed(2)}°`}
+                      </span>
+                      <span>{site.score.toFixed(3)}</span>
+                      <span style={{ width: 50, textAlign: 'right' }}>{distanceKm.toFixed(1)} km</span>
+                    </div>
+                  );
+                })}
+                {radiusResult.hits.length > 200 && (
+                  <div style={{ color: '#555', fontSize: 10, marginTop: 4 }}>+{radiusResult.hits.length - 200} more (export for the full list)</div>
+                )}
+              </div>
+            </div>
+          )}
         </div>
       )}
       <InfoModal />
@@ -821,9 +2543,9 @@ export default function GeothermalGlobe() {
 
 function StatRow({ label, value, accent }) {
   return (
-    <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: 6 }}>
+    <div style={{ display: 'flex', justifyContent: 'space-between', gap: 8, marginBottom: 6 }}>
       <span style={{ color: '#555' }}>{label}</span>
-      <span style={{ color: accent ? '#f97316' : '#ddd', fontWeight: accent ? 'bold' : 'normal' }}>
+      <span style={{ color: accent ? '#f97316' : '#ddd', fontWeight: accent ? 'bold' : 'normal', textAlign: 'right' }}>
         {value}
       </span>
     </div>
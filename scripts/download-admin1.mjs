@@ -0,0 +1,45 @@
+#!/usr/bin/env node
+/**
+ * Download Natural Earth admin 1 (states / provinces) GeoJSON into public/geo for
+ * first-level subdivision lookup in every country (src/location/resolveAdmin1.js).
+ * Run once: node scripts/download-admin1.mjs [ISO_A3 ...]
+ *
+ * The full 10m file is large, so only the properties the resolver needs are kept (English
+ * name where Natural Earth has one, country code and name) and coordinates are rounded to
+ * 4 decimals (~10 m). Pass country codes to keep just those countries, e.g.:
+ *   node scripts/download-admin1.mjs IDN KEN CHL ISL NZL USA
+ *
+ * scripts/tag-locations.mjs runs this when the file is missing; re-run it afterwards so
+ * the dataset carries the new labels.
+ */
+
+import { writeFileSync, mkdirSync } from 'fs';
+import { dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const OUT = `${__dirname}/../public/geo/admin1_10m.json`;
+const URL =
+  'https://raw.githubusercontent.com/nvkelso/natural-earth-vector/master/geojson/ne_10m_admin_1_states_provinces.geojson';
+
+const countries = new Set(process.argv.slice(2).map((c) => c.toUpperCase()));
+
+const round = (coords) => (typeof coords[0] === 'number' ? coords.map((v) => Math.round(v * 1e4) / 1e4) : coords.map(round));
+
+const res = await fetch(URL);
+if (!res.ok) throw new Error(`Fetch failed: ${res.status} ${res.statusText}`);
+const json = await res.json();
+const features = json.features
+  .filter((f) => f.geometry && (!countries.size || countries.has(f.properties.adm0_a3)))
+  .map((f) => ({
+    type: 'Feature',
+    properties: {
+      name: f.properties.name_en || f.properties.name,
+      adm0_a3: f.properties.adm0_a3,
+      admin: f.properties.admin,
+    },
+    geometry: { type: f.geometry.type, coordinates: round(f.geometry.coordinates) },
+  }));
+mkdirSync(dirname(OUT), { recursive: true });
+writeFileSync(OUT, JSON.stringify({ type: 'FeatureCollection', features }), 'utf8');
+console.log(`Wrote ${features.length} subdivisions to`, OUT);
@@ -1,17 +1,25 @@
 #!/usr/bin/env node
 /**
- * Download Natural Earth 110m countries GeoJSON into public/geo for same-origin loading.
+ * Download Natural Earth countries GeoJSON into public/geo for same-origin loading.
  * Run once: node scripts/download-countries.mjs
+ *
+ * The 110m file is bundled and used for location lookup and the offline basemap. Pass a
+ * scale to fetch a more detailed file for the offline basemap when zoomed in:
+ *   node scripts/download-countries.mjs 50m
  */
 
 import { writeFileSync, mkdirSync } from 'fs';
 import { dirname } from 'path';
 import { fileURLToPath } from 'url';
 
+const SCALES = ['110m', '50m', '10m'];
+const scale = process.argv[2] ?? '110m';
+if (!SCALES.includes(scale)) throw new Error(`Unknown scale ${scale} (use ${SCALES.join(', ')})`);
+
 const __dirname = dirname(fileURLToPath(import.meta.url));
-const OUT = `${__dirname}/../public/geo/countries_110m.json`;
+const OUT = `${__dirname}/../public/geo/countries_${scale}.json`;
 const URL =
-  'https://cdn.jsdelivr.net/gh/nvkelso/natural-earth-vector@master/geojson/ne_110m_admin_0_countries.geojson';
+  `https://cdn.jsdelivr.net/gh/nvkelso/natural-earth-vector@master/geojson/ne_${scale}_admin_0_countries.geojson`;
 
 const res = await fetch(URL);
 if (!res.ok) throw new Error(`Fetch failed: ${res.status} ${res.statusText}`);
@@ -0,0 +1,30 @@
+#!/usr/bin/env node
+/**
+ * Download Natural Earth 10m marine areas (ne_10m_geography_marine_polys, public domain) and
+ * write public/geo/marine_regions_10m.json, the sea and ocean basin polygons used to name
+ * offshore sites (src/location/resolveMarine.js).
+ * Run once: node scripts/download-marine-regions.mjs
+ *
+ * Each area keeps its English name and a kind ("ocean" or "sea"); seas get the basin they
+ * open onto from the shared borders (see marineRegionsFromNaturalEarth). scripts/tag-locations.mjs
+ * runs this when the file is missing; re-run it afterwards so the dataset carries the new labels.
+ */
+
+import { writeFileSync, mkdirSync } from 'fs';
+import { dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { marineRegionsFromNaturalEarth } from '../src/location/resolveMarine.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const OUT = `${__dirname}/../public/geo/marine_regions_10m.json`;
+const URL =
+  'https://raw.githubusercontent.com/nvkelso/natural-earth-vector/master/geojson/ne_10m_geography_marine_polys.geojson';
+
+const res = await fetch(URL);
+if (!res.ok) throw new Error(`Fetch failed: ${res.status} ${res.statusText}`);
+const regions = marineRegionsFromNaturalEarth(await res.json());
+mkdirSync(dirname(OUT), { recursive: true });
+writeFileSync(OUT, JSON.stringify(regions), 'utf8');
+const unassigned = regions.features.filter((f) => !f.properties.ocean).map((f) => f.properties.name);
+console.log(`Wrote ${regions.features.length} marine regions to`, OUT);
+if (unassigned.length) console.log('No ocean basin (inland):', unassigned.join(', '));
@@ -0,0 +1,108 @@
+"""Plate boundary paths for the globe's PathLayer, labelled with the plates on each side.
+
+datasets/all.csv lists every plate's outline (NNR-MORVEL56: 25 MORVEL plates in lower
+case, 31 Bird (2003) plates in upper case). Each boundary vertex appears in the outline of
+every plate that meets there, so the plate across an edge is the other plate that owns both
+of its vertices. Each shared edge is emitted once, from the plate whose code sorts first.
+
+Run on its own to rebuild public/plate_boundaries.json:  python scripts/plate_boundaries.py
+"""
+
+import csv
+import json
+
+PLATE_NAMES = {
+    # MORVEL (DeMets et al. 2010)
+    'am': 'Amur', 'an': 'Antarctic', 'ar': 'Arabia', 'au': 'Australia', 'ca': 'Caribbean',
+    'co': 'Cocos', 'cp': 'Capricorn', 'eu': 'Eurasia', 'in': 'India', 'jf': 'Juan de Fuca',
+    'lw': 'Lwandle', 'mq': 'Macquarie', 'na': 'North America', 'nu': 'Nubia', 'nz': 'Nazca',
+    'pa': 'Pacific', 'ps': 'Philippine Sea', 'ri': 'Rivera', 'sa': 'South America',
+    'sc': 'Scotia', 'sm': 'Somalia', 'sr': 'Sur', 'su': 'Sunda', 'sw': 'Sandwich', 'yz': 'Yangtze',
+    # Bird (2003)
+    'AP': 'Altiplano', 'AS': 'Aegean Sea', 'AT': 'Anatolia', 'BH': "Bird's Head",
+    'BR': 'Balmoral Reef', 'BS': 'Banda Sea', 'BU': 'Burma', 'CL': 'Caroline',
+    'CR': 'Conway Reef', 'EA': 'Easter', 'FT': 'Futuna', 'GP': 'Galapagos',
+    'JZ': 'Juan Fernandez', 'KE': 'Kermadec', 'MA': 'Mariana', 'MN': 'Manus', 'MO': 'Maoke',
+    'MS': 'Molucca Sea', 'NB': 'North Bismarck', 'ND': 'North Andes', 'NH': 'New Hebrides',
+    'NI': "Niuafo'ou", 'OK': 'Okhotsk', 'ON': 'Okinawa', 'PM': 'Panama',
+    'SB': 'South Bismarck', 'SL': 'Shetland', 'SS': 'Solomon Sea', 'TI': 'Timor',
+    'TO': 'Tonga', 'WL': 'Woodlark',
+}
+
+# Split outlines at large geographic jumps (antimeridian wraps, separate islands) so paths
+# do not draw long "stitch" lines across the map.
+MAX_GAP_DEG = 5
+
+
+def _key(lon, lat):
+    return (round(lon, 4), round(lat, 4))
+
+
+def load_outlines(csv_path='datasets/all.csv'):
+    """[(plate, [[lon, lat], ...]), ...] in file order, split at plate changes and gaps."""
+    outlines = []
+    current, prev_plate, prev = [], None, None
+    with open(csv_path, newline='') as f:
+        for row in csv.DictReader(f):
+            if not row['lat'] or not row['lon']:
+                continue
+            plate, lon, lat = row['plate'], float(row['lon']), float(row['lat'])
+            if prev_plate is not None:
+                gap = ((lat - prev[1]) ** 2 + (lon - prev[0]) ** 2) ** 0.5
+                if plate != prev_plate or gap > MAX_GAP_DEG:
+                    if len(current) >= 2:
+                        outlines.append((prev_plate, current))
+                    current = []
+            current.append([round(lon, 4), round(lat, 4)])
+            prev_plate, prev = plate, (lon, lat)
+    if len(current) >= 2:
+        outlines.append((prev_plate, current))
+    return outlines
+
+
+def build_boundary_segments(csv_path='datasets/all.csv'):
+    """Boundary paths as [{plate, neighbor, plateName, neighborName, path}, ...]."""
+    outlines = load_outlines(csv_path)
+    owners = {}
+    for plate, path in outlines:
+        for lon, lat in path:
+            owners.setdefault(_key(lon, lat), set()).add(plate)
+
+    segments = []
+    for plate, path in outlines:
+        run, run_neighbor = [path[0]], None
+        for a, b in zip(path, path[1:]):
+            shared = (owners[_key(*a)] & owners[_key(*b)]) - {plate}
+            neighbor = min(shared, key=str.lower) if shared else None
+            if len(run) >= 2 and neighbor != run_neighbor:
+                segments.append((plate, run_neighbor, run))
+                run = [a]
+            run.append(b)
+            run_neighbor = neighbor
+        segments.append((plate, run_neighbor, run))
+
+    out = []
+    for plate, neighbor, path in segments:
+        # The neighbour's outline carries the same edge; keep one copy.
+        if neighbor is not None and neighbor.lower() < plate.lower():
+            continue
+        out.append({
+            'plate': plate,
+            'neighbor': neighbor,
+            'plateName': PLATE_NAMES.get(plate, plate),
+            'neighborName': PLATE_NAMES.get(neighbor, neighbor) if neighbor else None,
+            'path': path,
+        })
+    return out
+
+
+def write_boundary_paths(out_path='public/plate_boundaries.json', csv_path='datasets/all.csv'):
+    segments = build_boundary_segments(csv_path)
+    with open(out_path, 'w') as f:
+        json.dump(segments, f, separators=(',', ':'))
+    print(f"Exported {len(segments)} plate boundary paths")
+    return segments
+
+
+if __name__ == '__main__':
+    write_boundary_paths()
@@ -3,6 +3,7 @@ import json
 import numpy as np
 from sklearn.neighbors import BallTree
 from collections import defaultdict
+from plate_boundaries import write_boundary_paths
 
 # ── 1. Load heat flow measurements ───────────────────────────────────────────
 df = pd.read_excel(
@@ -56,6 +57,7 @@ records = [
 with open('public/geothermal_data.json', 'w') as f:
     json.dump(records, f, separators=(',', ':'))
 print(f"Exported {len(records)} heatmap records")
+print("Run `npm run tag-locations` to add country/state/continent tags to public/geothermal_data.json")
 
 # ── 6. Top 20 sites: greedy pick by score with 500 km minimum separation ──────
 df_sorted = df.sort_values('score', ascending=False)
@@ -90,35 +92,6 @@ with open('public/top_sites.json', 'w') as f:
 print(f"Exported {len(top_sites)} top sites")
 
 # ── 7. Plate boundary paths for PathLayer ─────────────────────────────────────
-# Group consecutive same-plate rows into path segments
-boundaries_raw = pd.read_csv('datasets/all.csv')
-# Split into segments at plate-name changes OR large geographic jumps.
-# Without this, one path per plate draws long "stitch" lines across the map.
-MAX_GAP_DEG = 5
-segments = []
-current_seg = []
-prev_plate = None
-prev_lat = prev_lon = None
-
-for _, row in boundaries_raw.dropna(subset=['lat', 'lon']).iterrows():
-    plate = row['plate']
-    lat, lon = float(row['lat']), float(row['lon'])
-
-    if prev_plate is not None:
-        gap = ((lat - prev_lat) ** 2 + (lon - prev_lon) ** 2) ** 0.5
-        if plate != prev_plate or gap > MAX_GAP_DEG:
-            if len(current_seg) >= 2:
-                segments.append({'plate': prev_plate, 'path': current_seg})
-            current_seg = []
-
-    current_seg.append([round(lon, 4), round(lat, 4)])
-    prev_plate, prev_lat, prev_lon = plate, lat, lon
-
-if len(current_seg) >= 2:
-    segments.append({'plate': prev_plate, 'path': current_seg})
-
-boundary_paths = segments
-
-with open('public/plate_boundaries.json', 'w') as f:
-    json.dump(boundary_paths, f, separators=(',', ':'))
-print(f"Exported {len(boundary_paths)} plate boundary paths")
+# One path per stretch of boundary between two plates, with both plate codes and names
+# (see scripts/plate_boundaries.py).
+write_boundary_paths('public/plate_boundaries.json', 'datasets/all.csv')
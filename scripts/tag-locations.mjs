@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+/**
+ * Tag every dataset record with resolvedPlace, countryName, stateName, continentName,
+ * subregionName, countryCode / countryCode2 (ISO alpha-3 / alpha-2), onshore and coastKm
+ * (signed distance to the coast) at build time, so the browser does not have to run
+ * point-in-polygon for the whole dataset on page load.
+ *
+ * Run after scripts/process_dataset.py (and after downloading countries, see public/geo):
+ *   node scripts/tag-locations.mjs [input.json] [output.json]
+ *
+ * Every country gets first-level subdivisions ("West Java, Indonesia") from the full
+ * Natural Earth admin 1 file, public/geo/admin1_10m.json, which is downloaded here with
+ * scripts/download-admin1.mjs when it is missing. If that fails (offline), only US states
+ * are tagged. Offshore records get their sea or ocean basin from
+ * public/geo/marine_regions_10m.json (scripts/download-marine-regions.mjs, likewise
+ * downloaded when missing); without it they are "Open ocean".
+ *
+ * Defaults to rewriting public/geothermal_data.json in place. Uses the same resolver
+ * modules as the app, so labels match runtime enrichment exactly.
+ */
+
+import { execFileSync } from 'child_process';
+import { existsSync, readFileSync, writeFileSync } from 'fs';
+import { dirname, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { resolveLocationWithCollection, withMarineRegion, withRegion, USA_COUNTRY_NAMES } from '../src/location/resolveLocation.js';
+import { resolveUSState } from '../src/location/resolveUSState.js';
+import { createAdmin1Index, resolveAdmin1WithIndex } from '../src/location/resolveAdmin1.js';
+import { createMarineIndex, resolveMarineWithIndex } from '../src/location/resolveMarine.js';
+import { getRegionTags } from '../src/location/regionUtils.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const ROOT = `${__dirname}/..`;
+const IN = resolve(process.argv[2] ?? `${ROOT}/public/geothermal_data.json`);
+const OUT = resolve(process.argv[3] ?? IN);
+const COUNTRIES = `${ROOT}/public/geo/countries_110m.json`;
+const ADMIN1 = `${ROOT}/public/geo/admin1_10m.json`;
+const MARINE = `${ROOT}/public/geo/marine_regions_10m.json`;
+
+/** Run a download script when its output file is missing; failures leave the file missing. */
+function ensureDownloaded(file, script) {
+  if (existsSync(file)) return;
+  try {
+    execFileSync(process.execPath, [`${__dirname}/${script}`], { stdio: 'inherit' });
+  } catch {
+    console.log(`${script} failed`);
+  }
+}
+
+ensureDownloaded(ADMIN1, 'download-admin1.mjs');
+ensureDownloaded(MARINE, 'download-marine-regions.mjs');
+
+const records = JSON.parse(readFileSync(IN, 'utf8'));
+const countries = JSON.parse(readFileSync(COUNTRIES, 'utf8'));
+const admin1 = existsSync(ADMIN1) ? createAdmin1Index(JSON.parse(readFileSync(ADMIN1, 'utf8'))) : null;
+if (!admin1) console.log('No admin 1 data (scripts/download-admin1.mjs); tagging US states only');
+const marine = existsSync(MARINE) ? createMarineIndex(JSON.parse(readFileSync(MARINE, 'utf8'))) : null;
+if (!marine) console.log('No marine regions (scripts/download-marine-regions.mjs); offshore records are "Open ocean"');
+
+const tagged = records.map((pt, i) => {
+  const [lon, lat] = pt.coordinates;
+  let res = resolveLocationWithCollection(lat, lon, countries);
+  if (admin1 && res.country) res = withRegion(res, resolveAdmin1WithIndex(admin1, res.lat, res.lon, res.countryCode));
+  if (!res.region && USA_COUNTRY_NAMES.includes(res.country)) res = withRegion(res, resolveUSState(lat, lon));
+  if (marine && !res.country) res = withMarineRegion(res, resolveMarineWithIndex(marine, res.lat, res.lon));
+  if ((i + 1) % 5000 === 0) console.log(`Tagged ${i + 1}/${records.length}`);
+  return { ...pt, ...getRegionTags(res) };
+});
+
+writeFileSync(OUT, JSON.stringify(tagged), 'utf8');
+console.log(`Wrote ${tagged.length} tagged records to`, OUT);
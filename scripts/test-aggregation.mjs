@@ -0,0 +1,63 @@
+/**
+ * Minimal tests for hexbin / grid cell values and summaries, and country choropleth aggregates.
+ * Run: node scripts/test-aggregation.mjs
+ */
+
+import { aggregateValue, summarizeCell } from '../src/aggregation/cellStats.js';
+import { countryMetricExtent, summarizeCountries } from '../src/aggregation/countryStats.js';
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+const points = [
+  { score: 0.9, hf: 120, bd: 40 },
+  { score: 0.5, hf: 80, bd: 10 },
+  { score: 0.7, hf: null, bd: 25 },
+];
+
+const tests = [
+  () => {
+    assert(Math.abs(aggregateValue(points, 'score', 'mean') - 0.7) < 1e-9, 'mean score');
+    assert(aggregateValue(points, 'hf', 'max') === 120, 'max heat flow');
+    assert(aggregateValue(points, 'hf', 'mean') === 100, 'missing values skipped');
+    assert(aggregateValue(points, 'hf', 'count') === 3, 'count ignores field');
+    assert(aggregateValue([{ hf: null }], 'hf', 'mean') === null, 'no values');
+  },
+  () => {
+    const cell = summarizeCell(points);
+    assert(cell.count === 3 && cell.members[0].score === 0.9 && cell.members[2].score === 0.5, 'members by score');
+    assert(cell.score.median === 0.7 && cell.hf.median === 100, 'medians');
+    assert(cell.bd.min === 10, 'closest boundary');
+    assert(summarizeCell([]).score === null, 'empty cell');
+  },
+  () => {
+    const records = [
+      { countryName: 'Iceland', hf: 200 },
+      { countryName: 'Iceland', hf: 100 },
+      { countryName: 'Iceland', hf: null },
+      { countryName: 'Kenya', hf: 90 },
+      { countryName: '', hf: 50 },
+    ];
+    const scores = Float64Array.from([0.9, 0.5, 0.7, 0.4, 0.1]);
+    const stats = summarizeCountries(records, [0, 1, 2, 3, 4], scores, (i) => scores[i] >= 0.6);
+    assert(Object.keys(stats).join() === 'Iceland,Kenya', 'untagged records skipped');
+    const { Iceland } = stats;
+    assert(Iceland.count === 3 && Iceland.aboveThreshold === 2 && Iceland.maxScore === 0.9, 'count, above and max');
+    assert(Math.abs(Iceland.meanScore - 0.7) < 1e-9 && Iceland.medianHf === 150, 'mean score and median heat flow');
+    const extent = countryMetricExtent(stats, 'medianHf');
+    assert(extent.min === 90 && extent.max === 150, 'metric extent across countries');
+  },
+];
+
+let passed = 0;
+for (const t of tests) {
+  try {
+    t();
+    passed++;
+  } catch (err) {
+    console.error('FAIL:', err.message);
+  }
+}
+console.log(`cellStats: ${passed}/${tests.length} passed`);
+process.exit(passed === tests.length ? 0 : 1);
@@ -0,0 +1,61 @@
+/**
+ * Minimal tests for area (lasso) selection: point-in-polygon, statistics and area filtering.
+ * Run: node scripts/test-area.mjs
+ */
+
+import { areaToGeoJSON, closeRing, createPolygonTest, summarizeArea, thinPath } from '../src/area/areaSelection.js';
+import { querySites } from '../src/sites/siteQuery.js';
+import { DEFAULT_SCORE_PARAMS } from '../src/scoring/compositeScore.js';
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+// Triangle around the East African Rift.
+const polygon = [[30, -10], [42, -10], [36, 10]];
+const records = [
+  { coordinates: [36, 0], hf: 120, bd: 10, score: 0.8 },
+  { coordinates: [35, -5], hf: 45, bd: 300, score: 0.3 },
+  { coordinates: [0, 0], hf: 60, bd: 900, score: 0.2 },
+];
+
+const tests = [
+  () => {
+    const inside = createPolygonTest(polygon);
+    assert(inside(36, 0) && inside(35, -5), 'inside');
+    assert(!inside(0, 0) && !inside(41, 9), 'outside (bbox and shape)');
+    assert(closeRing(polygon).length === 4 && closeRing(closeRing(polygon)).length === 4, 'ring closed once');
+  },
+  () => {
+    const stats = summarizeArea(records, [0, 1], Float64Array.from([0.8, 0.3, 0.2]), Uint8Array.from([1, 0, 0]));
+    assert(stats.count === 2 && stats.aboveThreshold === 1 && stats.shareAbove === 0.5, 'counts and share');
+    assert(Math.abs(stats.score.mean - 0.55) < 1e-9 && stats.score.max === 0.8, 'score stats');
+    const bins = Object.fromEntries(stats.hfHistogram.map((b) => [b.from, b.count]));
+    assert(bins[100] === 1 && bins[40] === 1 && bins[0] === 0, 'heat flow histogram');
+  },
+  () => {
+    const params = { threshold: 0, scoreParams: DEFAULT_SCORE_PARAMS };
+    const stats = querySites(records, { ...params, area: { polygon, filter: false } });
+    assert(stats.filtered.length === 3 && stats.areaStats.count === 2, 'area summarized, not filtering');
+    const filtered = querySites(records, { ...params, area: { polygon, filter: true } });
+    assert(filtered.filtered.length === 2 && [...filtered.filtered].join() === '0,1', 'area as filter');
+    assert(querySites(records, params).areaStats === null, 'no area, no stats');
+  },
+  () => {
+    assert(thinPath([[0, 0], [0.01, 0], [1, 0]], 10).length === 2, 'freehand thinning');
+    const fc = JSON.parse(areaToGeoJSON(polygon, null));
+    assert(fc.features[0].geometry.coordinates[0].length === 4, 'exported ring is closed');
+  },
+];
+
+let passed = 0;
+for (const t of tests) {
+  try {
+    t();
+    passed++;
+  } catch (err) {
+    console.error('FAIL:', err.message);
+  }
+}
+console.log(`areaSelection: ${passed}/${tests.length} passed`);
+process.exit(passed === tests.length ? 0 : 1);
@@ -0,0 +1,41 @@
+/**
+ * Minimal tests for basemap selection and tile failure fallback.
+ * Run: node scripts/test-basemap.mjs
+ */
+
+import { TILE_FAILURE_LIMIT, nextTileHealth, resolveBasemap, tilesUnavailable } from '../src/basemap/basemap.js';
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+const tests = [
+  () => {
+    assert(resolveBasemap('auto', { tilesFailed: false, online: true }) === 'tiles', 'auto uses tiles');
+    assert(resolveBasemap('auto', { tilesFailed: true, online: true }) === 'vector', 'auto falls back on tile failure');
+    assert(resolveBasemap('auto', { tilesFailed: false, online: false }) === 'vector', 'auto falls back offline');
+    assert(resolveBasemap('tiles', { tilesFailed: true, online: false }) === 'tiles', 'manual tiles stays');
+    assert(resolveBasemap('vector', { tilesFailed: false, online: true }) === 'vector', 'manual vector');
+  },
+  () => {
+    let health = { consecutiveFailures: 0 };
+    for (let i = 0; i < TILE_FAILURE_LIMIT - 1; i++) health = nextTileHealth(health, 'error');
+    assert(!tilesUnavailable(health), 'below limit');
+    health = nextTileHealth(nextTileHealth(health, 'load'), 'error');
+    assert(!tilesUnavailable(health) && health.consecutiveFailures === 1, 'a loaded tile resets the count');
+    for (let i = 0; i < TILE_FAILURE_LIMIT; i++) health = nextTileHealth(health, 'error');
+    assert(tilesUnavailable(health), 'limit reached');
+  },
+];
+
+let passed = 0;
+for (const t of tests) {
+  try {
+    t();
+    passed++;
+  } catch (err) {
+    console.error('FAIL:', err.message);
+  }
+}
+console.log(`basemap: ${passed}/${tests.length} passed`);
+process.exit(passed === tests.length ? 0 : 1);
@@ -0,0 +1,66 @@
+/**
+ * Minimal tests for N-way compare ranking and explanations.
+ * Run: node scripts/test-compare.mjs
+ */
+
+import { nextFreeLetter, rankSlots, normalizeSlotMetrics, explainRanking } from '../src/compare/compareSites.js';
+import { createScorer, DEFAULT_SCORE_PARAMS } from '../src/scoring/compositeScore.js';
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+const slots = [
+  { letter: 'A', score: 0.8, hf: 300, bd: 50 },
+  { letter: 'B', score: 0.9, hf: 500, bd: 100 },
+  { letter: 'C', score: 0.6, hf: 300, bd: 10 },
+];
+
+const tests = [
+  () => {
+    assert(nextFreeLetter([]) === 'A', 'first letter');
+    assert(nextFreeLetter([{ letter: 'A' }, { letter: 'C' }]) === 'B', 'fills gaps');
+    const full = 'ABCDEFGH'.split('').map((letter) => ({ letter }));
+    assert(nextFreeLetter(full) === null, 'full');
+  },
+  () => {
+    const ranks = rankSlots(slots);
+    assert(ranks.score.B === 1 && ranks.score.C === 3, 'score rank');
+    assert(ranks.hf.A === 2 && ranks.hf.C === 2, 'ties share a rank');
+    assert(ranks.bd.C === 1 && ranks.bd.B === 3, 'boundary: lower is better');
+  },
+  () => {
+    const norm = normalizeSlotMetrics(slots);
+    assert(norm.B.score === 1 && norm.C.score === 0, 'score normalized');
+    assert(norm.C.bd === 1 && norm.B.bd === 0, 'boundary inverted');
+  },
+  () => {
+    const scorer = createScorer({ ...DEFAULT_SCORE_PARAMS, cap: 1000 });
+    const { order, lines } = explainRanking(slots, scorer);
+    assert(order.map((s) => s.letter).join('') === 'BAC', 'order by score');
+    assert(lines[0] === 'B ranks first (0.9000).', 'leader line');
+    assert(lines[1].startsWith('B beats A by 0.1000: higher heat flow'), 'gap reason');
+    assert(lines[2] === 'A beats C by 0.2000.', 'no reason when A has neither advantage');
+  },
+  () => {
+    const scorer = createScorer({ ...DEFAULT_SCORE_PARAMS, cap: 250 });
+    const capped = [
+      { letter: 'A', hf: 900, bd: 20 },
+      { letter: 'B', hf: 400, bd: 80 },
+    ].map((s) => ({ ...s, score: scorer(s.hf, s.bd).score }));
+    const { lines } = explainRanking(capped, scorer);
+    assert(lines[1].endsWith(': closer to plate boundary (−60.0 km).'), 'no heat-flow reason when both sites are capped');
+  },
+];
+
+let passed = 0;
+for (const t of tests) {
+  try {
+    t();
+    passed++;
+  } catch (err) {
+    console.error('FAIL:', err.message);
+  }
+}
+console.log(`compareSites: ${passed}/${tests.length} passed`);
+process.exit(passed === tests.length ? 0 : 1);
@@ -0,0 +1,48 @@
+/**
+ * Minimal tests for site export formats.
+ * Run: node scripts/test-export.mjs
+ */
+
+import { sitesToCSV, sitesToGeoJSON, sitesToKML } from '../src/export/exportSites.js';
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+const sites = [
+  { rank: 1, lon: 175.98, lat: -38.83, score: 0.992, hf: 3588, bd: 8.1, resolvedPlace: 'New Zealand', countryName: 'New Zealand', continentName: 'Oceania' },
+  { coordinates: [-111.38, 27.05], score: 0.99, hf: 8910, bd: 6.2, resolvedPlace: 'Baja California Sur, "MX" & co', countryName: 'Mexico', stateName: null },
+];
+
+const tests = [
+  () => {
+    const lines = sitesToCSV(sites).trim().split('\n');
+    assert(lines[0] === 'rank,lon,lat,score,hf,bd,resolvedPlace,country,state,continent,name', 'CSV header');
+    assert(lines[1] === '1,175.98,-38.83,0.992,3588,8.1,New Zealand,New Zealand,,Oceania,', 'CSV row');
+    assert(lines[2].includes('"Baja California Sur, ""MX"" & co"'), 'CSV quoting');
+  },
+  () => {
+    const fc = JSON.parse(sitesToGeoJSON(sites));
+    assert(fc.type === 'FeatureCollection' && fc.features.length === 2, 'FeatureCollection');
+    assert(fc.features[1].geometry.coordinates.join() === '-111.38,27.05', 'coordinates from record');
+    assert(fc.features[0].properties.hf === 3588 && fc.features[0].properties.lon === undefined, 'properties');
+  },
+  () => {
+    const kml = sitesToKML(sites, 'Test');
+    assert(kml.includes('<name>#1 New Zealand</name>'), 'KML ranked name');
+    assert(kml.includes('<coordinates>-111.38,27.05,0</coordinates>'), 'KML coordinates');
+    assert(kml.includes('&quot;MX&quot; &amp; co'), 'KML escaping');
+  },
+];
+
+let passed = 0;
+for (const t of tests) {
+  try {
+    t();
+    passed++;
+  } catch (err) {
+    console.error('FAIL:', err.message);
+  }
+}
+console.log(`exportSites: ${passed}/${tests.length} passed`);
+process.exit(passed === tests.length ? 0 : 1);
@@ -0,0 +1,97 @@
+/**
+ * Minimal tests for candidate site import (file parsing, measurements at imported points)
+ * and heat-flow interpolation (IDW, kriging, uncertainty and the surface grid).
+ * Run: node scripts/test-import.mjs
+ */
+
+import { parseSitesCSV, parseSitesGeoJSON } from '../src/import/parseSiteFile.js';
+import { estimateHeatFlow, estimatePoint, estimateSurface } from '../src/spatial/heatFlowEstimate.js';
+import { createSiteIndex } from '../src/spatial/siteIndex.js';
+import { createBoundarySegmentIndex } from '../src/plates/boundarySegments.js';
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+const tests = [
+  () => {
+    const { sites, skipped } = parseSitesCSV('Name,Latitude,Longitude\n"Parcel, north",44.5,-110.8\nBad,abc,1\nNo name,,\n');
+    assert(sites.length === 1 && skipped === 2, 'valid and skipped rows');
+    assert(sites[0].name === 'Parcel, north' && sites[0].coordinates.join() === '-110.8,44.5', 'name and lon/lat order');
+  },
+  () => {
+    const { sites } = parseSitesCSV('id;lat;lon\nA;10;20\n');
+    assert(sites[0].name === 'A' && sites[0].coordinates.join() === '20,10', 'semicolon delimiter');
+    let threw = false;
+    try {
+      parseSitesCSV('a,b\n1,2\n');
+    } catch {
+      threw = true;
+    }
+    assert(threw, 'missing lat/lon columns throws');
+  },
+  () => {
+    const { sites, skipped } = parseSitesGeoJSON({
+      type: 'FeatureCollection',
+      features: [
+        { type: 'Feature', geometry: { type: 'Point', coordinates: [-19, 64] }, properties: { name: 'Iceland' } },
+        { type: 'Feature', geometry: { type: 'MultiPoint', coordinates: [[1, 2], [3, 4]] }, properties: {} },
+        { type: 'Feature', geometry: { type: 'LineString', coordinates: [[0, 0], [1, 1]] }, properties: {} },
+      ],
+    });
+    assert(sites.length === 3 && skipped === 1, 'points kept, lines skipped');
+    assert(sites[0].name === 'Iceland' && sites[2].coordinates.join() === '3,4', 'names and coordinates');
+  },
+  () => {
+    const records = [
+      { coordinates: [0, 0], hf: 100 },
+      { coordinates: [1, 0], hf: 200 },
+      { coordinates: [50, 50], hf: 9999 },
+    ];
+    const index = createSiteIndex(records);
+    const exact = estimateHeatFlow(index, 0, 0);
+    assert(exact.value === 100, 'measurement at the point is used as is');
+    const mid = estimateHeatFlow(index, 0.5, 0);
+    assert(Math.abs(mid.value - 150) < 1e-6 && mid.count === 2, 'equidistant points average; far point out of range');
+    assert(estimateHeatFlow(index, -120, -60).value === null, 'no data in range');
+  },
+  () => {
+    // A plane hf = 50 + 10·lon + 3·lat sampled on a 0.5° grid.
+    const records = [];
+    for (let i = 0; i < 10; i++) for (let j = 0; j < 10; j++) records.push({ coordinates: [i / 2, j / 2], hf: 50 + 5 * i + 1.5 * j });
+    const index = createSiteIndex(records);
+    const idw = estimateHeatFlow(index, 1.2, 1.3);
+    const kriged = estimateHeatFlow(index, 1.2, 1.3, { method: 'kriging' });
+    assert(Math.abs(kriged.value - 65.9) < 0.5 && Math.abs(idw.value - 65.9) < 1.5, 'kriging and IDW recover the plane');
+    assert(kriged.spread > 0 && kriged.spread < 10 && kriged.uncertainty < 0.3, 'dense close samples: low uncertainty');
+    const edge = estimateHeatFlow(index, 6, 6, { method: 'kriging' });
+    assert(edge.count < 8 && edge.uncertainty > 0.9, 'few distant samples: high uncertainty');
+    assert(estimateHeatFlow(index, 60, 60).uncertainty === 1, 'no samples: uncertainty 1');
+  },
+  () => {
+    // An imported point midway between two boundary vertices 1000 km apart, 50 km off the line.
+    const segments = createBoundarySegmentIndex([{ plate: 'eu', neighbor: 'na', path: [[-4.5, 0], [4.5, 0]] }]);
+    const site = estimatePoint(createSiteIndex([{ coordinates: [0, 0.5], hf: 90 }]), segments, 0, 0.45);
+    assert(Math.abs(site.bd - 50) < 0.1, 'bd is the segment distance, not the ~500 km vertex distance');
+    assert(site.hf === 90 && site.hfSamples === 1, 'heat flow estimated alongside');
+    assert(estimatePoint(null, segments, 0, 0.45).hf === null, 'no dataset: no heat flow');
+  },
+  () => {
+    const records = [{ coordinates: [10, 10], hf: 120 }];
+    const surface = estimateSurface(createSiteIndex(records), { cellDeg: 2 });
+    assert(surface.hf.length === 4 && surface.hf.every((v) => v === 120), 'only cells within range of a measurement');
+    assert([...surface.lon].sort((a, b) => a - b).join() === '9,9,11,11' && surface.uncertainty.every((u) => u > 0.5 && u < 1), 'cell centers and uncertainty');
+  },
+];
+
+let passed = 0;
+for (const t of tests) {
+  try {
+    t();
+    passed++;
+  } catch (err) {
+    console.error('FAIL:', err.message);
+  }
+}
+console.log(`import: ${passed}/${tests.length} passed`);
+process.exit(passed === tests.length ? 0 : 1);
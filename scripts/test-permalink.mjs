@@ -0,0 +1,110 @@
+/**
+ * Minimal tests for permalink encode / decode.
+ * Run: node scripts/test-permalink.mjs
+ */
+
+import { encodePermalink, decodePermalink, sameExceptView, PERMALINK_DEFAULTS } from '../src/permalink/permalink.js';
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+const state = {
+  ...PERMALINK_DEFAULTS,
+  view: { longitude: -70.51234, latitude: -23.1, zoom: 4.2 },
+  threshold: 0.72,
+  thresholdMax: 0.9,
+  thresholdMode: 'percentile',
+  continent: 'South America',
+  subregion: 'South America',
+  country: 'Chile',
+  region: 'Antofagasta',
+  shore: 'onshore',
+  maxOffshoreKm: 25,
+  topN: 50,
+  minSeparationKm: 500,
+  groupNeighbours: true,
+  interpolation: 'kriging',
+  showSurface: true,
+  compareMode: true,
+  slots: [[-67.9, -22.3], [-69.2, -19.6], [-70, -20]],
+  clickCoordinate: [-68, -21],
+  selectedSite: [-67.95, -21.1],
+};
+
+const tests = [
+  () => {
+    assert(encodePermalink(PERMALINK_DEFAULTS) === '', 'defaults encode to empty hash');
+  },
+  () => {
+    const hash = encodePermalink(state);
+    const back = decodePermalink(hash);
+    assert(back.view.longitude === -70.512 && back.view.zoom === 4.2, 'view round trip');
+    assert(back.threshold === 0.72 && back.thresholdMax === 0.9 && back.thresholdMode === 'percentile' && back.continent === 'South America', 'threshold band and continent');
+    assert(back.subregion === 'South America' && back.country === 'Chile' && back.region === 'Antofagasta', 'subregion, country and region');
+    assert(back.shore === 'onshore' && back.maxOffshoreKm === 25, 'shore filter');
+    assert(back.topN === 50 && back.minSeparationKm === 500 && back.groupNeighbours, 'top N list options');
+    assert(back.interpolation === 'kriging' && back.showSurface, 'interpolation method and surface');
+    assert(back.compareMode && back.slots.map((s) => s.join()).join(';') === '-67.9,-22.3;-69.2,-19.6;-70,-20', 'slots');
+    assert(back.selectedSite.join() === '-67.95,-21.1', 'selected site');
+    assert(encodePermalink(back) === hash, 'encoding is canonical');
+  },
+  () => {
+    const back = decodePermalink(encodePermalink({ ...state, selectedSite: state.clickCoordinate }));
+    assert(back.selectedSite.join() === '-68,-21', 'selected site defaults to click');
+  },
+  () => {
+    const back = decodePermalink('#th=abc&lat=200&a=1&pb=0');
+    assert(back.threshold === 0.5 && back.view.latitude === 20, 'malformed values fall back');
+    assert(back.slots.length === 0 && back.showBoundaries === false, 'bad slot ignored, boundaries off');
+    const top = decodePermalink('#topn=7&sep=5000');
+    assert(top.topN === 20 && top.minSeparationKm === 0, 'unlisted N and out-of-range separation fall back');
+  },
+  () => {
+    const back = decodePermalink('#cmp=1&a=1,2&b=3,4');
+    assert(back.slots.length === 2 && back.slots[1].join() === '3,4', 'legacy a/b slots');
+  },
+  () => {
+    const hash = encodePermalink({ ...PERMALINK_DEFAULTS, aggregation: { mode: 'hexagon', field: 'hf', op: 'max', cellKm: 200 } });
+    assert(hash === '#agg=hexagon&aggf=hf&aggop=max&cell=200', 'aggregation keys');
+    const back = decodePermalink('#agg=cubes&aggop=max&cell=9999');
+    assert(back.aggregation.mode === 'points' && back.aggregation.op === 'max' && back.aggregation.cellKm === 150, 'aggregation fallbacks');
+    const countries = decodePermalink('#agg=countries&aggc=medianHf').aggregation;
+    assert(countries.mode === 'countries' && countries.countryMetric === 'medianHf', 'country choropleth metric');
+  },
+  () => {
+    const hash = encodePermalink({ ...PERMALINK_DEFAULTS, hiddenPlates: ['pa', 'AP'] });
+    assert(hash === '#hp=AP%2Cpa', 'hidden plates sorted');
+    assert(decodePermalink('#hp=AP,pa,x!').hiddenPlates.join() === 'AP,pa', 'bad plate codes dropped');
+    assert(decodePermalink(encodePermalink({ ...PERMALINK_DEFAULTS, basemap: 'vector' })).basemap === 'vector', 'basemap round trip');
+    assert(decodePermalink('#bm=satellite').basemap === 'auto', 'unknown basemap falls back');
+    assert(encodePermalink({ ...PERMALINK_DEFAULTS, touchTooltips: false }) === '#tt=0' && !decodePermalink('#tt=0').touchTooltips, 'touch tooltips off');
+    assert(decodePermalink('').touchTooltips, 'touch tooltips on by default');
+  },
+  () => {
+    const area = { polygon: [[30, -5], [40, -5], [35, 5]], filter: true };
+    const back = decodePermalink(encodePermalink({ ...PERMALINK_DEFAULTS, area }));
+    assert(back.area.filter && back.area.polygon.map((p) => p.join()).join(';') === '30,-5;40,-5;35,5', 'area round trip');
+    assert(decodePermalink('#area=1,2;3,4').area === null && decodePermalink('#area=1,2;3,4;x,y').area === null, 'bad areas dropped');
+  },
+  () => {
+    assert(decodePermalink(encodePermalink({ ...PERMALINK_DEFAULTS, radiusKm: 250 })).radiusKm === 250, 'radius round trip');
+    assert(decodePermalink('#rad=5000').radiusKm === 100 && decodePermalink('').radiusKm === null, 'radius fallback and default off');
+  },
+  () => {
+    assert(sameExceptView('#lon=1&lat=2&z=3&th=0.6', '#th=0.6'), 'view-only change');
+    assert(!sameExceptView('#th=0.6', '#th=0.7'), 'analysis change');
+  },
+];
+
+let passed = 0;
+for (const t of tests) {
+  try {
+    t();
+    passed++;
+  } catch (err) {
+    console.error('FAIL:', err.message);
+  }
+}
+console.log(`permalink: ${passed}/${tests.length} passed`);
+process.exit(passed === tests.length ? 0 : 1);
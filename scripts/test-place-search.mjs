@@ -0,0 +1,54 @@
+/**
+ * Minimal tests for offline place search (name matching, coordinates, camera bounds).
+ * Run: node scripts/test-place-search.mjs
+ */
+
+import { readFileSync } from 'node:fs';
+import { boundsToView, buildPlaceIndex, featureBounds, parseCoordinates, searchPlaces } from '../src/location/placeSearch.js';
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+const countries = JSON.parse(readFileSync(new URL('../public/geo/countries_110m.json', import.meta.url)));
+const states = JSON.parse(readFileSync(new URL('../src/data/us_states.json', import.meta.url)));
+const index = buildPlaceIndex(countries, states);
+
+const tests = [
+  () => {
+    assert(searchPlaces(index, 'ice')[0].name === 'Iceland', 'prefix match first');
+    const nev = searchPlaces(index, 'nevada');
+    assert(nev[0].kind === 'state' && nev[0].countryName === 'USA', 'US states are searchable');
+    assert(searchPlaces(index, 'cote')[0].name.startsWith('C'), 'accents are ignored');
+    assert(searchPlaces(index, 'united states')[0].countryName === 'USA', 'US filter value matches record tags');
+  },
+  () => {
+    const russia = countries.features.find((f) => f.properties.NAME === 'Russia');
+    const [minLon, , maxLon] = featureBounds(russia);
+    assert(maxLon - minLon < 180 && maxLon > 180, 'antimeridian feature gets a narrow box');
+    const view = boundsToView(featureBounds(countries.features.find((f) => f.properties.NAME === 'Iceland')));
+    assert(Math.abs(view.longitude + 19) < 2 && Math.abs(view.latitude - 65) < 1 && view.zoom > 4, 'camera centered on the box');
+  },
+  () => {
+    const near = (a, b) => Math.abs(a - b) < 1e-4;
+    let c = parseCoordinates('-23.1, -70.5');
+    assert(near(c.lat, -23.1) && near(c.lon, -70.5), 'decimal lat, lon');
+    c = parseCoordinates('64°08\'49"N 21°56\'33"W');
+    assert(near(c.lat, 64 + 8 / 60 + 49 / 3600) && near(c.lon, -(21 + 56 / 60 + 33 / 3600)), 'DMS with hemispheres');
+    c = parseCoordinates('21.5W 64.1N');
+    assert(near(c.lat, 64.1) && near(c.lon, -21.5), 'hemisphere letters fix the order');
+    assert(parseCoordinates('Iceland') === null && parseCoordinates('95, 10') === null, 'names and out-of-range values rejected');
+  },
+];
+
+let passed = 0;
+for (const t of tests) {
+  try {
+    t();
+    passed++;
+  } catch (err) {
+    console.error('FAIL:', err.message);
+  }
+}
+console.log(`placeSearch: ${passed}/${tests.length} passed`);
+process.exit(passed === tests.length ? 0 : 1);
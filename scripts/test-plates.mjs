@@ -0,0 +1,84 @@
+/**
+ * Minimal tests for plate boundary pairs, legend list, nearest-boundary lookup and the
+ * live distance to the nearest boundary segment.
+ * Run: node scripts/test-plates.mjs
+ */
+
+import fs from 'node:fs';
+import {
+  boundaryCodes,
+  boundaryLabel,
+  boundaryPairKey,
+  createBoundaryIndex,
+  isBoundaryVisible,
+  listPlates,
+  pairColor,
+} from '../src/plates/plateBoundaries.js';
+import { createBoundarySegmentIndex, greatCirclePath, pointToSegment } from '../src/plates/boundarySegments.js';
+import { haversineKm } from '../src/spatial/siteIndex.js';
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+const boundaries = [
+  { plate: 'eu', neighbor: 'na', plateName: 'Eurasia', neighborName: 'North America', path: [[-30, 60], [-25, 65]] },
+  { plate: 'na', neighbor: 'pa', plateName: 'North America', neighborName: 'Pacific', path: [[-125, 40], [-120, 35]] },
+];
+
+const tests = [
+  () => {
+    assert(boundaryPairKey(boundaries[0]) === 'eu-na', 'pair key');
+    assert(boundaryLabel(boundaries[0]) === 'Eurasia – North America', 'pair label');
+    assert(boundaryCodes(boundaries[0]) === 'EU / NA', 'plate codes');
+    assert(pairColor(boundaries[1]).join() === pairColor({ plate: 'na', neighbor: 'pa' }).join(), 'stable color');
+  },
+  () => {
+    const plates = listPlates(boundaries);
+    assert(plates.map((p) => p.code).join() === 'eu,na,pa', 'plates sorted by name');
+    assert(plates[1].pairs.length === 2, 'North America borders two pairs');
+  },
+  () => {
+    const hidden = new Set(['pa']);
+    assert(isBoundaryVisible(boundaries[0], hidden) && !isBoundaryVisible(boundaries[1], hidden), 'hidden plate hides its boundaries');
+  },
+  () => {
+    const [hit] = createBoundaryIndex(boundaries).nearest(-121, 36);
+    assert(hit.item.boundary === boundaries[1] && hit.distanceKm < 150, 'nearest boundary');
+  },
+  () => {
+    const mid = pointToSegment(0, 1, [-1, 0], [1, 0]);
+    assert(Math.abs(mid.distanceKm - 111.195) < 0.01 && Math.abs(mid.point[0]) < 1e-9 && Math.abs(mid.point[1]) < 1e-9, 'foot of the perpendicular inside the segment');
+    const past = pointToSegment(5, 0, [-1, 0], [1, 0]);
+    assert(past.point.join() === '1,0' && Math.abs(past.distanceKm - 4 * 111.195) < 0.05, 'past the end: nearest endpoint');
+  },
+  () => {
+    // Far from both vertices of a long segment, the vertex distance overstates; the segment does not.
+    const hit = createBoundarySegmentIndex(boundaries).nearest(-27.5, 62.5);
+    const [vertex] = createBoundaryIndex(boundaries).nearest(-27.5, 62.5);
+    assert(hit.boundary === boundaries[0] && hit.distanceKm < 20 && vertex.distanceKm > 250, 'segment distance beats vertex distance');
+    assert(Math.abs(haversineKm(-27.5, 62.5, ...hit.point) - hit.distanceKm) < 1e-6, 'distance is to the returned point');
+  },
+  () => {
+    const path = greatCirclePath([0, 0], [10, 0], 300);
+    assert(path.length === 5 && path[0].join() === '0,0' && path[4].join() === '10,0', 'densified great circle ends at both points');
+    assert(path.every(([, lat]) => Math.abs(lat) < 1e-9), 'equator path stays on the equator');
+  },
+  () => {
+    const data = JSON.parse(fs.readFileSync(new URL('../public/plate_boundaries.json', import.meta.url), 'utf8'));
+    assert(data.every((b) => b.plate && b.plateName && b.path.length >= 2), 'pipeline output carries plate codes and names');
+    assert(data.some((b) => b.plate === 'na' && b.neighbor === 'pa'), 'North America – Pacific boundary present');
+  },
+];
+
+let passed = 0;
+for (const t of tests) {
+  try {
+    t();
+    passed++;
+  } catch (err) {
+    console.error('FAIL:', err.message);
+  }
+}
+console.log(`plateBoundaries: ${passed}/${tests.length} passed`);
+process.exit(passed === tests.length ? 0 : 1);
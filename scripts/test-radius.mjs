@@ -0,0 +1,47 @@
+/**
+ * Minimal tests for radius search (geodesic circle and ranking of the sites inside).
+ * Run: node scripts/test-radius.mjs
+ */
+
+import { destinationPoint, geodesicCircle, rankRadiusHits } from '../src/spatial/radiusSearch.js';
+import { haversineKm } from '../src/spatial/siteIndex.js';
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+const tests = [
+  () => {
+    const [lon, lat] = destinationPoint(0, 0, 90, 111.195);
+    assert(Math.abs(lon - 1) < 1e-3 && Math.abs(lat) < 1e-9, 'due east along the equator');
+    const wrapped = destinationPoint(179.5, 0, 90, 111.195);
+    assert(Math.abs(wrapped[0] + 179.5) < 1e-3, 'longitude wraps across the antimeridian');
+  },
+  () => {
+    const ring = geodesicCircle(-19, 64, 250, 64);
+    assert(ring.length === 65, 'steps + 1 points');
+    assert(ring[0][0] === ring[64][0] && ring[0][1] === ring[64][1], 'ring is closed');
+    for (const [lon, lat] of ring) assert(Math.abs(haversineKm(-19, 64, lon, lat) - 250) < 1e-6, 'every point at the radius');
+  },
+  () => {
+    const hit = (score, distanceKm) => ({ site: { score }, distanceKm });
+    const result = rankRadiusHits([hit(0.5, 10), hit(0.9, 80), hit(0.9, 40), hit(0.2, 5)]);
+    assert(result.hits.map((h) => h.distanceKm).join() === '40,80,10,5', 'sorted by score, nearer first on ties');
+    assert(result.count === 4 && Math.abs(result.meanScore - 0.625) < 1e-9, 'count and mean');
+    assert(result.best.distanceKm === 40 && result.nearest.distanceKm === 5, 'best and nearest');
+    const empty = rankRadiusHits([]);
+    assert(empty.count === 0 && empty.meanScore === null && empty.best === null && empty.nearest === null, 'empty result');
+  },
+];
+
+let passed = 0;
+for (const t of tests) {
+  try {
+    t();
+    passed++;
+  } catch (err) {
+    console.error('FAIL:', err.message);
+  }
+}
+console.log(`radiusSearch: ${passed}/${tests.length} passed`);
+process.exit(passed === tests.length ? 0 : 1);
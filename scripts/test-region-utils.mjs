@@ -1,9 +1,14 @@
 /**
- * Minimal tests for parseResolvedPlace (regionUtils).
+ * Minimal tests for parseResolvedPlace (regionUtils), the admin 1 lookup (resolveAdmin1),
+ * marine regions (resolveMarine) and the coastline distance (coastline).
  * Run: node scripts/test-region-utils.mjs
  */
 
-import { parseResolvedPlace, getContinentFromCountry } from '../src/location/regionUtils.js';
+import { parseResolvedPlace, getContinentFromCountry, getRegionTags, hasRegionTags, featureCountryName } from '../src/location/regionUtils.js';
+import { createAdmin1Index, resolveAdmin1WithIndex } from '../src/location/resolveAdmin1.js';
+import { withMarineRegion, withRegion, resolveLocationWithCollection } from '../src/location/resolveLocation.js';
+import { createMarineIndex, marineRegionsFromNaturalEarth, resolveMarineWithIndex } from '../src/location/resolveMarine.js';
+import { createCoastIndex, extractCoastline, signedCoastDistanceKm } from '../src/location/coastline.js';
 
 function assert(condition, message) {
   if (!condition) throw new Error(message);
@@ -31,6 +36,10 @@ const tests = [
     const { countryName } = parseResolvedPlace('Some Region, United Kingdom');
     assert(countryName === 'United Kingdom', 'last segment is country');
   },
+  () => {
+    const { countryName, stateName } = parseResolvedPlace('West Java, Indonesia');
+    assert(countryName === 'Indonesia' && stateName === 'West Java', 'region, country');
+  },
   () => {
     const { countryName, stateName } = parseResolvedPlace('');
     assert(countryName === '' && stateName === null, 'empty string');
@@ -38,8 +47,117 @@ const tests = [
   () => {
     assert(getContinentFromCountry('USA') === 'North America', 'USA continent');
     assert(getContinentFromCountry('France') === 'Europe', 'France continent');
+    assert(getContinentFromCountry('Japan') === 'Asia' && getContinentFromCountry('Kenya') === 'Africa', 'fallback table');
+    assert(getContinentFromCountry('Mauritius', { continent: 'Seven seas (open ocean)', unRegion: 'Africa' }) === 'Africa', 'seven seas → UN region');
     assert(getContinentFromCountry('Unknown') === 'Other', 'unknown → Other');
   },
+  () => {
+    const russia = {
+      type: 'Feature',
+      properties: { NAME: 'Russia', ISO_A3: 'RUS', ISO_A2: 'RU', CONTINENT: 'Europe', REGION_UN: 'Europe', SUBREGION: 'Eastern Europe' },
+      geometry: { type: 'Polygon', coordinates: [[[30, 40], [179, 40], [179, 70], [30, 70], [30, 40]]] },
+    };
+    const collection = { type: 'FeatureCollection', features: [russia] };
+    const kamchatka = getRegionTags(resolveLocationWithCollection(52, 158, collection));
+    assert(kamchatka.continentName === 'Asia' && kamchatka.subregionName === 'Northern Asia', 'Russia: Kamchatka in Asia');
+    const moscow = getRegionTags(resolveLocationWithCollection(55.75, 37.62, collection));
+    assert(moscow.continentName === 'Europe' && moscow.subregionName === 'Eastern Europe', 'Russia: Moscow in Europe');
+  },
+  () => {
+    const tags = getRegionTags({ label: 'Texas, USA', countryCode: 'USA' });
+    assert(tags.countryName === 'USA' && tags.stateName === 'Texas', 'tags: country/state');
+    assert(tags.continentName === 'North America' && tags.countryCode === 'USA', 'tags: continent/code');
+    assert(hasRegionTags({ ...tags }) && !hasRegionTags({ coordinates: [0, 0] }), 'hasRegionTags');
+  },
+  () => {
+    const kenya = {
+      type: 'Feature',
+      properties: { NAME: 'Kenya', ISO_A3: 'KEN', ISO_A2: 'KE', CONTINENT: 'Africa', REGION_UN: 'Africa', SUBREGION: 'Eastern Africa' },
+      geometry: { type: 'Polygon', coordinates: [[[34, -4], [41, -4], [41, 5], [34, 5], [34, -4]]] },
+    };
+    const res = resolveLocationWithCollection(-0.9, 36.3, { type: 'FeatureCollection', features: [kenya] });
+    assert(res.countryCode2 === 'KE' && res.subregion === 'Eastern Africa', 'resolve: Natural Earth metadata');
+    const tags = getRegionTags(res);
+    assert(tags.continentName === 'Africa' && tags.subregionName === 'Eastern Africa' && tags.countryCode2 === 'KE', 'tags: metadata');
+  },
+  () => {
+    // Natural Earth marine areas: a basin, a gulf on it, a bay reached only through the gulf, an inland sea and an override.
+    const area = (name, featurecla, x0, x1, y0, y1) => ({
+      type: 'Feature',
+      properties: { name, featurecla },
+      geometry: { type: 'Polygon', coordinates: [[[x0, y0], [x1, y0], [x1, y1], [x0, y1], [x0, y0]]] },
+    });
+    const regions = marineRegionsFromNaturalEarth({
+      type: 'FeatureCollection',
+      features: [
+        area('North Pacific Ocean', 'ocean', -130, -110, 10, 30),
+        area('Gulf of California', 'gulf', -110, -105, 20, 30),
+        area('Inner Bay', 'bay', -105, -103, 20, 30),
+        area('Caspian Sea', 'sea', 47, 54, 37, 47),
+        area('Java Sea', 'sea', 106, 116, -7, -3),
+      ],
+    });
+    const byName = Object.fromEntries(regions.features.map((f) => [f.properties.name, f.properties]));
+    assert(regions.features.at(-1).properties.name === 'North Pacific Ocean' && byName['North Pacific Ocean'].kind === 'ocean', 'marine: oceans listed last');
+    assert(byName['Gulf of California'].ocean === 'North Pacific Ocean' && byName['Gulf of California'].kind === 'sea', 'marine: sea takes the basin it borders');
+    assert(byName['Inner Bay'].ocean === 'North Pacific Ocean', 'marine: basin passed on through seas');
+    assert(byName['Caspian Sea'].ocean === null && byName['Java Sea'].ocean === 'Indian Ocean', 'marine: inland sea and override');
+    const index = createMarineIndex(regions);
+    const gulf = resolveMarineWithIndex(index, 25, -108);
+    assert(gulf?.name === 'Gulf of California' && gulf.ocean === 'North Pacific Ocean', 'marine: sea within its basin');
+    assert(resolveMarineWithIndex(index, 15, -120)?.name === 'North Pacific Ocean' && resolveMarineWithIndex(index, 0, 0) === null, 'marine: basin or nothing');
+  },
+  () => {
+    // Two countries sharing the border at lon 1: only the outer ring is coast.
+    const box = (x0, x1) => ({ type: 'Feature', properties: {}, geometry: { type: 'Polygon', coordinates: [[[x0, 0], [x1, 0], [x1, 1], [x0, 1], [x0, 0]]] } });
+    const countries = { type: 'FeatureCollection', features: [box(0, 1), box(1, 2)] };
+    assert(extractCoastline(countries).length === 6, 'coast: shared border dropped');
+    const index = createCoastIndex(countries);
+    const inland = signedCoastDistanceKm(index, 1, 0.5, true);
+    assert(inland < -50 && inland > -60, 'coast: inland distance ignores the land border');
+    const offshore = signedCoastDistanceKm(index, 2.5, 0.5, false);
+    assert(offshore > 50 && offshore < 60, 'coast: offshore distance is positive');
+    const res = resolveLocationWithCollection(0.5, 1.2, countries);
+    assert(res.onshore && res.coastKm < 0, 'resolve: onshore with signed coast distance');
+  },
+  () => {
+    const located = resolveLocationWithCollection(26.1418, -44.8078, { type: 'FeatureCollection', features: [] });
+    assert(located.label === 'Open ocean' && located.country === null && located.onshore === false, 'resolve: offshore without marine regions');
+    const res = withMarineRegion(located, { name: 'North Atlantic Ocean', kind: 'ocean', ocean: 'North Atlantic Ocean' });
+    assert(res.label === 'North Atlantic Ocean' && res.marineRegion === 'North Atlantic Ocean', 'resolve: offshore label');
+    const tags = getRegionTags(res);
+    assert(tags.continentName === 'Oceans' && tags.subregionName === 'North Atlantic Ocean' && tags.countryName === 'North Atlantic Ocean', 'tags: Oceans group');
+  },
+  () => {
+    assert(featureCountryName({ properties: { NAME: 'United States of America' } }) === 'USA', 'US feature → USA tag');
+    assert(featureCountryName({ properties: { NAME: 'Iceland' } }) === 'Iceland', 'feature name');
+  },
+  () => {
+    const square = (name, adm0_a3, x0, y0) => ({
+      type: 'Feature',
+      properties: { name, adm0_a3 },
+      geometry: { type: 'Polygon', coordinates: [[[x0, y0], [x0 + 1, y0], [x0 + 1, y0 + 1], [x0, y0 + 1], [x0, y0]]] },
+    });
+    const index = createAdmin1Index({
+      type: 'FeatureCollection',
+      features: [square('West Java', 'IDN', 106, -7), square('Central Java', 'IDN', 107, -7), square('Elsewhere', 'KEN', 106, -7)],
+    });
+    assert(resolveAdmin1WithIndex(index, -6.5, 107.5, 'IDN') === 'Central Java', 'admin1: containing subdivision');
+    assert(resolveAdmin1WithIndex(index, -6.5, 106.5, 'KEN') === 'Elsewhere', 'admin1: scoped to country');
+    assert(resolveAdmin1WithIndex(index, 10, 10, 'IDN') === null && resolveAdmin1WithIndex(index, -6.5, 106.5, null) === null, 'admin1: no match');
+  },
+  () => {
+    const index = createAdmin1Index({
+      type: 'FeatureCollection',
+      features: [{ type: 'Feature', properties: { name: 'Jawa Barat', name_en: 'West Java', adm0_a3: 'IDN' }, geometry: { type: 'Polygon', coordinates: [[[106, -7], [107, -7], [107, -6], [106, -6], [106, -7]]] } }],
+    });
+    assert(resolveAdmin1WithIndex(index, -6.5, 106.5, 'IDN') === 'West Java', 'admin1: English name preferred');
+  },
+  () => {
+    const us = withRegion({ label: 'United States of America', country: 'United States of America', region: null }, 'Nevada');
+    assert(us.label === 'Nevada, USA' && us.region === 'Nevada', 'withRegion: US label');
+    assert(withRegion({ label: 'Chile', country: 'Chile', region: null }, 'Antofagasta').label === 'Antofagasta, Chile', 'withRegion: label');
+  },
 ];
 
 let passed = 0;
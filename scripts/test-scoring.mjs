@@ -0,0 +1,61 @@
+/**
+ * Minimal tests for the composite scoring module.
+ * Run: node scripts/test-scoring.mjs
+ */
+
+import {
+  DEFAULT_SCORE_PARAMS,
+  quantileSorted,
+  computeHeatFlowCap,
+  createScorer,
+  rescoreRecords,
+} from '../src/scoring/compositeScore.js';
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+const near = (a, b, eps = 1e-4) => Math.abs(a - b) < eps;
+
+const tests = [
+  () => {
+    assert(quantileSorted([1, 2, 3, 4], 0.5) === 2.5, 'median interpolates');
+    assert(quantileSorted([1, 2, 3, 4], 1) === 4, 'q=1 is max');
+    assert(quantileSorted([], 0.5) === null, 'empty → null');
+  },
+  () => {
+    const cap = computeHeatFlowCap([{ hf: 10 }, { hf: 20 }, { hf: null }, { hf: 30 }], 50);
+    assert(cap === 20, 'cap ignores missing hf');
+  },
+  () => {
+    const scorer = createScorer({ ...DEFAULT_SCORE_PARAMS, cap: 100 });
+    const { score } = scorer(50, 300);
+    assert(near(score, 0.7 * 0.5 + 0.3 * Math.exp(-1)), '70/30 formula');
+    assert(scorer(500, 0).score === 1, 'heat flow above cap clips to 1');
+    assert(scorer(null, 10) === null, 'missing hf → null');
+  },
+  () => {
+    const scorer = createScorer({ heatFlowWeight: 1, sigmaKm: 300, cap: 100 });
+    assert(scorer(25, 5000).score === 0.25, 'weight 1 ignores boundary');
+  },
+  () => {
+    const records = [{ hf: 50, bd: 300, score: 0 }, { score: 0.4 }];
+    const scorer = createScorer({ ...DEFAULT_SCORE_PARAMS, cap: 100 });
+    const out = rescoreRecords(records, scorer);
+    assert(out[0].score > 0 && out[1] === records[1], 'rescore keeps records without hf/bd');
+    const same = rescoreRecords(out, scorer);
+    assert(same === out, 'unchanged input returned as-is');
+  },
+];
+
+let passed = 0;
+for (const t of tests) {
+  try {
+    t();
+    passed++;
+  } catch (err) {
+    console.error('FAIL:', err.message);
+  }
+}
+console.log(`compositeScore: ${passed}/${tests.length} passed`);
+process.exit(passed === tests.length ? 0 : 1);
@@ -0,0 +1,84 @@
+/**
+ * Minimal tests for the great-circle site index.
+ * Run: node scripts/test-site-index.mjs
+ */
+
+import { createSiteIndex, haversineKm } from '../src/spatial/siteIndex.js';
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+// Deterministic pseudo-random points so failures are reproducible.
+let seed = 42;
+const rand = () => {
+  seed = (seed * 1664525 + 1013904223) % 4294967296;
+  return seed / 4294967296;
+};
+const points = Array.from({ length: 2000 }, () => ({
+  coordinates: [rand() * 360 - 180, Math.asin(rand() * 2 - 1) * (180 / Math.PI)],
+}));
+const index = createSiteIndex(points);
+
+const bruteNearest = (lon, lat, filter = () => true) =>
+  points
+    .filter(filter)
+    .map((p) => ({ item: p, distanceKm: haversineKm(lon, lat, p.coordinates[0], p.coordinates[1]) }))
+    .sort((a, b) => a.distanceKm - b.distanceKm);
+
+const tests = [
+  () => {
+    const d = haversineKm(0, 0, 0, 1);
+    assert(Math.abs(d - 111.19) < 0.1, 'one degree of latitude ≈ 111 km');
+  },
+  () => {
+    for (let t = 0; t < 50; t++) {
+      const lon = rand() * 360 - 180;
+      const lat = rand() * 180 - 90;
+      const [hit] = index.nearest(lon, lat);
+      const [expected] = bruteNearest(lon, lat);
+      assert(hit.item === expected.item, `nearest matches brute force at ${lat}, ${lon}`);
+    }
+  },
+  () => {
+    const hits = index.nearest(10, 10, { k: 5 });
+    const expected = bruteNearest(10, 10).slice(0, 5);
+    assert(hits.length === 5, 'k=5 returns five');
+    assert(hits.every((h, i) => h.item === expected[i].item), 'k nearest in order');
+  },
+  () => {
+    const filter = (p) => p.coordinates[1] > 0;
+    const [hit] = index.nearest(0, -30, { filter });
+    const [expected] = bruteNearest(0, -30, filter);
+    assert(hit.item === expected.item, 'filter respected');
+  },
+  () => {
+    const hits = index.withinRadius(30, 40, 1500);
+    const expected = bruteNearest(30, 40).filter((h) => h.distanceKm <= 1500);
+    assert(hits.length === expected.length, 'radius count matches brute force');
+    assert(hits.every((h, i) => Math.abs(h.distanceKm - expected[i].distanceKm) < 1e-6), 'radius distances sorted');
+  },
+  () => {
+    const wrap = createSiteIndex([{ coordinates: [179.9, 0] }, { coordinates: [170, 0] }]);
+    const [hit] = wrap.nearest(-179.9, 0);
+    assert(hit.item.coordinates[0] === 179.9, 'nearest across the antimeridian');
+    assert(Math.abs(hit.distanceKm - 22.2) < 0.1, 'antimeridian distance in km');
+  },
+  () => {
+    const polar = createSiteIndex([{ coordinates: [0, 89] }, { coordinates: [90, 80] }]);
+    const [hit] = polar.nearest(180, 89);
+    assert(hit.item.coordinates[1] === 89, 'nearest near the pole');
+  },
+];
+
+let passed = 0;
+for (const t of tests) {
+  try {
+    t();
+    passed++;
+  } catch (err) {
+    console.error('FAIL:', err.message);
+  }
+}
+console.log(`siteIndex: ${passed}/${tests.length} passed`);
+process.exit(passed === tests.length ? 0 : 1);
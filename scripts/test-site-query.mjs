@@ -0,0 +1,122 @@
+/**
+ * Minimal tests for site filter / threshold queries (siteQuery).
+ * Run: node scripts/test-site-query.mjs
+ */
+
+import { querySites, createNormalizer, createScoreScale, percentileRank, passesShoreFilter, TOP_SITES_COUNT } from '../src/sites/siteQuery.js';
+import { DEFAULT_SCORE_PARAMS } from '../src/scoring/compositeScore.js';
+import { bandFromBins, countInBand, createHistogram } from '../src/sites/scoreHistogram.js';
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+const records = Array.from({ length: 40 }, (_, i) => ({
+  coordinates: [i, 0],
+  score: i / 40,
+  continentName: i < 10 ? 'Europe' : 'Asia',
+  subregionName: i < 10 ? 'Western Europe' : 'Eastern Asia',
+  countryName: i < 10 ? 'France' : 'Japan',
+  stateName: i < 10 ? null : i < 20 ? 'Hokkaido' : 'Kyushu',
+  onshore: i < 30,
+  coastKm: i < 30 ? -i : (i - 30) * 10,
+}));
+
+const tests = [
+  () => {
+    const norm = createNormalizer({ min: 2, max: 4 });
+    assert(norm(3) === 0.5 && norm(10) === 1 && norm(0) === 0, 'normalizer clamps and scales');
+    assert(createNormalizer({ min: 1, max: 1 })(1) === 0, 'zero range does not divide by zero');
+  },
+  () => {
+    const res = querySites(records, { threshold: 0, scoreParams: DEFAULT_SCORE_PARAMS });
+    assert(res.filtered.length === 40 && res.high.length === 40, 'All keeps everything');
+    assert(res.top.length === TOP_SITES_COUNT && res.top[0] === 39, 'top sorted by score');
+    assert(res.countries.join() === 'France,Japan', 'unique countries');
+  },
+  () => {
+    const res = querySites(records, { continent: 'Europe', threshold: 0.5, scoreParams: DEFAULT_SCORE_PARAMS });
+    assert(res.filtered.length === 10, 'continent filter');
+    assert(res.extent.min === 0 && res.extent.max === 9 / 40, 'extent over filtered set');
+    assert(res.high.length === 5, 'threshold normalized within the filter');
+  },
+  () => {
+    const res = querySites(records, { threshold: 0.25, thresholdMax: 0.5, scoreParams: DEFAULT_SCORE_PARAMS });
+    assert([...res.high].every((i) => i / 39 >= 0.25 && i / 39 <= 0.5) && res.high.length === 10, 'threshold band keeps min..max');
+    const { score } = res.histograms;
+    assert(score.counts.reduce((a, b) => a + b, 0) === 40, 'every filtered site binned');
+    assert(score.kept.reduce((a, b) => a + b, 0) === res.high.length, 'kept bins match the band');
+  },
+  () => {
+    const sorted = Float64Array.from([0.1, 0.2, 0.2, 0.4, 0.8]);
+    assert(percentileRank(sorted, 0.1) === 0 && percentileRank(sorted, 0.8) === 1, 'percentile rank ends');
+    assert(percentileRank(sorted, 0.2) === 0.25 && percentileRank(sorted, 0.3) === 0.75, 'ties share a rank');
+    const stats = { extent: { min: 0.1, max: 0.5 }, sortedScores: sorted };
+    assert(createScoreScale('absolute', stats)(0.4) === 0.4, 'absolute keeps the score');
+    assert(Math.abs(createScoreScale('normalized', stats)(0.3) - 0.5) < 1e-9, 'normalized rescales to the extent');
+  },
+  () => {
+    const europe = querySites(records, { continent: 'Europe', threshold: 0.2, thresholdMode: 'absolute', scoreParams: DEFAULT_SCORE_PARAMS });
+    assert([...europe.high].join() === '8,9', 'absolute threshold is not rescaled to the filter');
+    const pct = querySites(records, { threshold: 0.9, thresholdMode: 'percentile', scoreParams: DEFAULT_SCORE_PARAMS });
+    assert(pct.high.length === 4 && pct.top[0] === 39, 'percentile keeps the top share');
+  },
+  () => {
+    const res = querySites(records, { country: 'France', threshold: 0.5, withCountryStats: true, scoreParams: DEFAULT_SCORE_PARAMS });
+    assert(res.filtered.length === 10, 'country filter still applies to the sites');
+    const { France, Japan } = res.countryStats;
+    assert(France.count === 10 && Japan.count === 30, 'country stats ignore the country filter');
+    assert(Japan.maxScore === 39 / 40 && Japan.aboveThreshold === 20, 'threshold on the national scale');
+  },
+  () => {
+    const res = querySites(records, { country: 'Japan', region: 'Kyushu', threshold: 0, scoreParams: DEFAULT_SCORE_PARAMS });
+    assert(res.filtered.length === 20 && res.filtered[0] === 20, 'region filter within the country');
+    assert(res.regions.join() === 'Hokkaido,Kyushu', 'regions of the selected country');
+    assert(querySites(records, { scoreParams: DEFAULT_SCORE_PARAMS }).regions.length === 0, 'no regions without a country');
+    const sub = querySites(records, { subregion: 'Western Europe', scoreParams: DEFAULT_SCORE_PARAMS });
+    assert(sub.filtered.length === 10 && sub.subregions.join() === 'Eastern Asia,Western Europe', 'subregion filter and options');
+    assert(querySites(records, { continent: 'Asia', scoreParams: DEFAULT_SCORE_PARAMS }).subregions.join() === 'Eastern Asia', 'subregions within the continent');
+  },
+  () => {
+    const shore = (params) => querySites(records, { ...params, scoreParams: DEFAULT_SCORE_PARAMS }).filtered.length;
+    assert(shore({ shore: 'onshore' }) === 30 && shore({ shore: 'offshore' }) === 10, 'onshore / offshore only');
+    assert(shore({ maxOffshoreKm: 40 }) === 35, 'max km offshore keeps onshore sites');
+    assert(shore({ shore: 'offshore', maxOffshoreKm: 40 }) === 5, 'offshore within the limit');
+    assert(!passesShoreFilter({ coastKm: null }, 'onshore', null) && passesShoreFilter({}, 'both', null), 'unclassified records');
+  },
+  () => {
+    // Records sit 1° (~111 km) apart along the equator, best at lon 39.
+    const res = querySites(records, { topN: 5, minSeparationKm: 250, groupNeighbours: true, scoreParams: DEFAULT_SCORE_PARAMS });
+    assert([...res.top].join() === '39,36,33,30,27', 'greedy pick keeps sites 250 km apart');
+    assert([...res.topGroups[0].neighbours].join() === '38,37' && res.topGroups[4].count === 2, 'suppressed neighbours grouped under the kept site');
+    const plain = querySites(records, { topN: 5, minSeparationKm: 250, scoreParams: DEFAULT_SCORE_PARAMS });
+    assert([...plain.top].join() === '39,36,33,30,27' && plain.topGroups === null, 'same pick without groups');
+  },
+  () => {
+    const band = bandFromBins(30, 10);
+    assert(band.min === 0.2 && band.max === 0.62, 'drag in either direction spans both bins');
+    assert(bandFromBins(25, 25).max === 1, 'click sets only the floor');
+    const hist = createHistogram(0, 1, 50);
+    hist.counts[9] = 3;
+    hist.counts[10] = 4;
+    hist.counts[30] = 5;
+    assert(countInBand(hist, band) === 9, 'band estimate sums the bins inside it');
+  },
+  () => {
+    const scored = [{ coordinates: [0, 0], hf: 100, bd: 0, score: 0 }];
+    const res = querySites(scored, { threshold: 0, scoreParams: DEFAULT_SCORE_PARAMS });
+    assert(res.scores[0] === 1 && res.heatFlowCap === 100, 'records with hf/bd are rescored');
+  },
+];
+
+let passed = 0;
+for (const t of tests) {
+  try {
+    t();
+    passed++;
+  } catch (err) {
+    console.error('FAIL:', err.message);
+  }
+}
+console.log(`siteQuery: ${passed}/${tests.length} passed`);
+process.exit(passed === tests.length ? 0 : 1);
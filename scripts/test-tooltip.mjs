@@ -0,0 +1,63 @@
+/**
+ * Minimal tests for hover tooltip content (rank within the filter, caching and HTML).
+ * Run: node scripts/test-tooltip.mjs
+ */
+
+import { boundaryTooltipContent, createRankLookup, createTooltipCache, siteTooltipContent, tooltipHtml } from '../src/sites/siteTooltip.js';
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+const scores = Float64Array.from([0.2, 0.9, 0.5, 0.9, 0.7]);
+
+const tests = [
+  () => {
+    const rankOf = createRankLookup(scores, [0, 2, 3, 4]);
+    assert(rankOf(0.9).rank === 1 && rankOf(0.9).of === 4, 'best filtered site ranks first');
+    assert(rankOf(0.5).rank === 3 && rankOf(0.2).rank === 4, 'rank counts better filtered sites');
+    const tied = createRankLookup(scores, [1, 3, 2]);
+    assert(tied(0.9).rank === 1 && tied(0.5).rank === 3, 'ties share a rank');
+  },
+  () => {
+    const rankOf = createRankLookup(scores, [0, 1, 2, 3, 4]);
+    const site = { coordinates: [-19.02, 64.1], score: 0.7, hf: 180, bd: 12.3, resolvedPlace: 'Iceland', rank: 2 };
+    const content = siteTooltipContent(site, rankOf);
+    const rows = Object.fromEntries(content.rows);
+    assert(content.title === 'Iceland', 'title is the resolved place');
+    assert(rows['Heat flow'] === '180 mW/m²' && rows['Plate boundary'] === '12.3 km', 'heat flow and boundary distance');
+    assert(rows['Rank in filter'] === '#3 of 5' && rows['Top list'] === '#2', 'filter rank and list rank');
+    const untagged = siteTooltipContent({ coordinates: [10, -5], score: 0.2 }, rankOf);
+    assert(untagged.title === '-5.00°, 10.00°' && Object.fromEntries(untagged.rows)['Heat flow'] === '—', 'coordinates when untagged');
+    const blank = siteTooltipContent({ coordinates: [10, -5], score: 0.2, resolvedPlace: '' }, rankOf);
+    assert(blank.title === '-5.00°, 10.00°', "coordinates when resolvedPlace is ''");
+  },
+  () => {
+    let builds = 0;
+    const cache = createTooltipCache((b) => {
+      builds++;
+      return boundaryTooltipContent(b);
+    });
+    const boundary = { plate: 'eu', neighbor: 'na', plateName: 'Eurasia', neighborName: 'North America' };
+    const first = cache.get(boundary);
+    assert(cache.get(boundary) === first && builds === 1, 'content built once per object');
+    assert(first.title === 'Eurasia – North America' && first.rows[0][1] === 'EU / NA', 'boundary label and codes');
+  },
+  () => {
+    const html = tooltipHtml({ title: 'Reykjanes <Iceland>', rows: [['Score', '0.7000'], ['Plates', 'EU / NA']] });
+    assert(html.includes('Reykjanes &lt;Iceland&gt;') && !html.includes('<Iceland>'), 'title is escaped');
+    assert((html.match(/justify-content/g) ?? []).length === 2 && html.includes('>EU / NA</span>'), 'one row per entry');
+  },
+];
+
+let passed = 0;
+for (const t of tests) {
+  try {
+    t();
+    passed++;
+  } catch (err) {
+    console.error('FAIL:', err.message);
+  }
+}
+console.log(`siteTooltip: ${passed}/${tests.length} passed`);
+process.exit(passed === tests.length ? 0 : 1);
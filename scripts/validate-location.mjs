@@ -6,19 +6,22 @@
  * Known points:
  *   Sudan:      lat 15.5,  lon 32.56  -> Sudan
  *   Algeria:   lat 28,    lon 2       -> Algeria
- *   Red Sea:   lat 20,    lon 38      -> Open ocean (not a country)
+ *   Red Sea:   lat 20,    lon 38      -> Red Sea (not a country; Natural Earth marine areas)
  *   France:    lat 46,    lon 2       -> France
  */
 
-import { resolveLocationWithCollection } from '../src/location/resolveLocation.js';
+import { resolveLocationWithCollection, withMarineRegion } from '../src/location/resolveLocation.js';
+import { createMarineIndex, marineRegionsFromNaturalEarth, resolveMarineWithIndex } from '../src/location/resolveMarine.js';
 
 const COUNTRIES_URL =
   'https://cdn.jsdelivr.net/gh/nvkelso/natural-earth-vector@master/geojson/ne_110m_admin_0_countries.geojson';
+const MARINE_URL =
+  'https://cdn.jsdelivr.net/gh/nvkelso/natural-earth-vector@master/geojson/ne_10m_geography_marine_polys.geojson';
 
 const TESTS = [
   { lat: 15.5, lon: 32.56, expectCountry: 'Sudan', desc: 'Sudan' },
   { lat: 28, lon: 2, expectCountry: 'Algeria', desc: 'Algeria' },
-  { lat: 20, lon: 38, expectCountry: null, expectLabel: 'Open ocean', desc: 'Red Sea' },
+  { lat: 20, lon: 38, expectCountry: null, expectLabel: 'Red Sea', desc: 'Red Sea' },
   { lat: 46, lon: 2, expectCountry: 'France', desc: 'France' },
 ];
 
@@ -27,11 +30,16 @@ async function main() {
   const res = await fetch(COUNTRIES_URL);
   if (!res.ok) throw new Error(`Fetch failed: ${res.status}`);
   const collection = await res.json();
+  console.log('Fetching marine areas GeoJSON...');
+  const marineRes = await fetch(MARINE_URL);
+  if (!marineRes.ok) throw new Error(`Fetch failed: ${marineRes.status}`);
+  const marine = createMarineIndex(marineRegionsFromNaturalEarth(await marineRes.json()));
   console.log('Running validation tests...\n');
 
   let failed = 0;
   for (const t of TESTS) {
-    const result = resolveLocationWithCollection(t.lat, t.lon, collection);
+    const located = resolveLocationWithCollection(t.lat, t.lon, collection);
+    const result = withMarineRegion(located, resolveMarineWithIndex(marine, located.lat, located.lon));
     const countryOk = t.expectCountry !== undefined ? result.country === t.expectCountry : true;
     const labelOk =
       t.expectLabel !== undefined ? result.label === t.expectLabel : result.country === t.expectCountry;
@@ -0,0 +1,56 @@
+import React from 'react';
+import { COMPARE_METRICS, SLOT_COLORS, normalizeSlotMetrics } from './compare/compareSites.js';
+
+const WIDTH = 206;
+const HEIGHT = 120;
+const PAD_X = 18;
+const PAD_TOP = 14;
+const PAD_BOTTOM = 18;
+
+/**
+ * Parallel-coordinates chart of compare slots: one vertical axis per metric, one line
+ * per slot. Metrics are min-max normalized across the pinned slots with "better" at the
+ * top, so boundary distance reads as proximity.
+ *
+ * @param {{ slots: Array<{ letter: string, score?: number, hf?: number, bd?: number }> }} props
+ */
+export default function CompareChart({ slots }) {
+  const norm = normalizeSlotMetrics(slots);
+  const axisX = (i) => PAD_X + (i * (WIDTH - 2 * PAD_X)) / (COMPARE_METRICS.length - 1);
+  const valueY = (v) => PAD_TOP + (1 - v) * (HEIGHT - PAD_TOP - PAD_BOTTOM);
+
+  return (
+    <svg width={WIDTH} height={HEIGHT} style={{ display: 'block' }} role="img" aria-label="Normalized comparison of pinned sites">
+      {COMPARE_METRICS.map((m, i) => (
+        <g key={m.key}>
+          <line x1={axisX(i)} x2={axisX(i)} y1={PAD_TOP} y2={HEIGHT - PAD_BOTTOM} stroke="rgba(255,255,255,0.15)" />
+          <text x={axisX(i)} y={HEIGHT - 5} fill="#888" fontSize={9} textAnchor="middle">
+            {m.key === 'bd' ? 'Proximity' : m.short}
+          </text>
+        </g>
+      ))}
+      <text x={2} y={PAD_TOP + 3} fill="#555" fontSize={8}>best</text>
+      <text x={2} y={HEIGHT - PAD_BOTTOM} fill="#555" fontSize={8}>worst</text>
+      {slots.map((s) => {
+        const [r, g, b] = SLOT_COLORS[s.letter];
+        const points = COMPARE_METRICS.map((m, i) => [axisX(i), norm[s.letter][m.key]])
+          .filter(([, v]) => v != null)
+          .map(([x, v]) => [x, valueY(v)]);
+        return (
+          <g key={s.letter}>
+            <polyline
+              points={points.map((p) => p.join(',')).join(' ')}
+              fill="none"
+              stroke={`rgb(${r},${g},${b})`}
+              strokeWidth={1.5}
+              strokeOpacity={0.85}
+            />
+            {points.map(([x, y], i) => (
+              <circle key={i} cx={x} cy={y} r={2.5} fill={`rgb(${r},${g},${b})`} />
+            ))}
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
@@ -0,0 +1,122 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { EXPORT_FORMATS, serializeSites, downloadFile } from './export/exportSites.js';
+
+const MENU_STYLE = {
+  position: 'absolute',
+  top: 'calc(100% + 8px)',
+  right: 0,
+  minWidth: 220,
+  padding: 10,
+  background: 'rgba(8, 8, 18, 0.95)',
+  border: '1px solid rgba(255,255,255,0.09)',
+  borderRadius: 8,
+  boxShadow: '0 12px 40px rgba(0,0,0,0.4)',
+  zIndex: 15,
+  whiteSpace: 'normal',
+};
+
+const SMALL_BUTTON = {
+  background: 'rgba(255,255,255,0.08)',
+  border: '1px solid rgba(255,255,255,0.1)',
+  borderRadius: 4,
+  padding: '4px 10px',
+  color: '#ddd',
+  fontSize: 10,
+  cursor: 'pointer',
+  fontFamily: 'inherit',
+};
+
+/**
+ * Top-bar Export dropdown: pick which set of sites to export, then a format.
+ *
+ * @param {{ scopes: Array<{ id: string, label: string, sites: object[] }> }} props
+ */
+export default function ExportMenu({ scopes }) {
+  const [open, setOpen] = useState(false);
+  const [scopeId, setScopeId] = useState(scopes[0]?.id);
+  const rootRef = useRef(null);
+
+  useEffect(() => {
+    if (!open) return;
+    const onPointerDown = (e) => {
+      if (!rootRef.current?.contains(e.target)) setOpen(false);
+    };
+    const onKeyDown = (e) => {
+      if (e.key === 'Escape') setOpen(false);
+    };
+    window.addEventListener('pointerdown', onPointerDown);
+    window.addEventListener('keydown', onKeyDown);
+    return () => {
+      window.removeEventListener('pointerdown', onPointerDown);
+      window.removeEventListener('keydown', onKeyDown);
+    };
+  }, [open]);
+
+  const scope = scopes.find((s) => s.id === scopeId) ?? scopes[0];
+
+  const exportAs = (format) => {
+    if (!scope?.sites.length) return;
+    const { extension, mime } = EXPORT_FORMATS[format];
+    const content = serializeSites(scope.sites, format, `Geothermal sites — ${scope.label}`);
+    downloadFile(`geothermal-sites-${scope.id}.${extension}`, content, mime);
+    setOpen(false);
+  };
+
+  return (
+    <div ref={rootRef} style={{ position: 'relative' }}>
+      <button
+        type="button"
+        onClick={() => setOpen((o) => !o)}
+        aria-expanded={open}
+        style={{
+          background: open ? 'rgba(249,115,22,0.2)' : 'rgba(255,255,255,0.06)',
+          color: open ? '#f97316' : '#666',
+          border: `1px solid ${open ? 'rgba(249,115,22,0.5)' : 'rgba(255,255,255,0.08)'}`,
+          borderRadius: 4,
+          padding: '3px 10px',
+          cursor: 'pointer',
+          fontSize: 11,
+          fontFamily: 'inherit',
+          transition: 'all 0.15s',
+        }}
+      >
+        Export ▾
+      </button>
+
+      {open && (
+        <div style={MENU_STYLE}>
+          <div style={{ color: '#f97316', fontWeight: 'bold', fontSize: 10, letterSpacing: 2, marginBottom: 8 }}>EXPORT</div>
+          {scopes.map((s) => (
+            <label
+              key={s.id}
+              style={{ display: 'flex', alignItems: 'center', gap: 8, cursor: 'pointer', marginBottom: 6, fontSize: 11, color: s.sites.length ? '#ddd' : '#555' }}
+            >
+              <input
+                type="radio"
+                name="export-scope"
+                checked={scope?.id === s.id}
+                onChange={() => setScopeId(s.id)}
+                style={{ accentColor: '#f97316' }}
+              />
+              <span>{s.label}</span>
+              <span style={{ marginLeft: 'auto', color: '#666', fontSize: 10 }}>{s.sites.length.toLocaleString()}</span>
+            </label>
+          ))}
+          <div style={{ display: 'flex', gap: 6, marginTop: 10 }}>
+            {Object.entries(EXPORT_FORMATS).map(([id, f]) => (
+              <button
+                key={id}
+                type="button"
+                disabled={!scope?.sites.length}
+                onClick={() => exportAs(id)}
+                style={{ ...SMALL_BUTTON, opacity: scope?.sites.length ? 1 : 0.4, cursor: scope?.sites.length ? 'pointer' : 'default' }}
+              >
+                {f.label}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -17,15 +17,29 @@ const CONTENT = {
     },
     {
       title: 'Composite score, how it is calculated',
-      body: 'The score is provided in the dataset and combines heat flow (mW/m²) and distance to the nearest plate boundary (km). Values are normalized before combining into a single 0–1 score. Higher heat flow and closer proximity to a boundary improve the score. This is an experimental indicator, not a guarantee of viability.',
+      body: 'The score combines heat flow (mW/m²) and distance to the nearest plate boundary (km). Heat flow is capped at a high percentile and scaled to 0–1; boundary proximity decays exponentially with distance. By default the score is 70% heat flow and 30% proximity (99.5th percentile cap, 300 km decay), as in the dataset pipeline. Higher heat flow and closer proximity to a boundary improve the score. This is an experimental indicator, not a guarantee of viability.',
     },
     {
       title: 'Feature guide',
       bullets: [
-        'Threshold slider: sets the minimum score for “high potential” dots and the Top 20 list.',
-        'Continent and Country filters: limit which dots, Top 20 entries, and compare candidates are shown.',
-        'Top 20 list: shows the 20 highest-scoring sites in the current filtered set, sorted by score.',
-        'Compare mode: pin two points as Slot A and B; the panel shows metrics and a winner summary (higher score wins; explanation uses heat flow and boundary distance).',
+        'Threshold slider: sets the minimum score for “high potential” dots and the Top N list. The histogram above it shades the kept sites; drag across score bars to keep a min–max band instead.',
+        'Threshold mode: compare against the score normalized within the filter, the absolute score, or the percentile rank within the filter; dot colors follow the mode.',
+        'Scoring controls: change the heat flow / boundary weighting, the heat flow percentile cap and the boundary decay distance; dots, the Top N list and compare results rescore live.',
+        'Continent, Subregion, Country and Region filters: limit which dots, Top N entries, and compare candidates are shown. Subregions follow the UN geoscheme; Region lists the selected country\'s states or provinces. Offshore sites are grouped under Oceans by basin and sea.',
+        'Onshore / offshore: keep sites that can be drilled from land, or offshore sites within a maximum distance of the coast.',
+        'Area: draw a polygon (click vertices, or freehand by dragging) to get statistics for the sites inside it; tick “Use as filter” to limit everything to the area, or export the polygon as GeoJSON.',
+        'Radius search: tick “Search within radius” and click the globe to list every site inside a geodesic circle, sorted by score with distances; the slider resizes the ring live.',
+        'Place search: type a country, US state or coordinates (decimal or DMS) in the top bar to fly there; optionally apply the matching region filter.',
+        'Top N list: shows the 10, 20, 50 or 100 highest-scoring sites in the current filtered set. Set a minimum separation to keep one site per cluster (the data pipeline uses 500 km), and show the suppressed neighbours under each ranked site.',
+        'Hover: point at a dot, Top N pin or plate boundary for its score, heat flow, boundary distance, place and rank within the filter. Untick “Hover tooltips on touch screens” under Map view to turn them off for touch.',
+        'Copy Link: the address bar always holds the current view, filters and pinned sites, so the link reopens exactly what you see.',
+        'Compare mode: pin up to eight points as slots A–H; the panel ranks each metric, charts them side by side and explains every gap in the ranking (higher score ranks first; explanation uses heat flow and boundary distance).',
+        'Basemap: choose map tiles or the offline basemap (country outlines bundled with the app). Auto switches to offline when tiles cannot load.',
+        'Plates: boundaries are colored by the pair of plates they separate; use the Plates list to hide individual plates. The site panel names the boundary each distance is measured to, and every click shows its distance to the nearest boundary line with a line drawn to it.',
+        'Map view: switch the dots to hexbins or grid cells colored by mean / max score or heat flow, or by site count; click a cell to list its sites and their statistics.',
+        'Countries: fill each country by mean or max score, sites above threshold or median heat flow; hover for the numbers, click to filter to that country.',
+        'Interpolation: clicking open ground also estimates that spot — heat flow from nearby measurements (inverse distance or kriging), boundary distance and score, with an uncertainty. Tick “Interpolated surface” to see the estimate everywhere; faint cells are uncertain.',
+        'Import: drop a CSV (lat/lon columns) or GeoJSON file of your own candidate sites on the globe. Heat flow is estimated from nearby measurements and boundary distance is measured to the nearest plate boundary, so imported sites get the same composite score and can be compared and exported.',
       ],
     },
   ],
@@ -0,0 +1,149 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { loadPlaceIndex, parseCoordinates, searchPlaces } from './location/placeSearch.js';
+
+const MENU_STYLE = {
+  position: 'absolute',
+  top: 'calc(100% + 8px)',
+  left: 0,
+  minWidth: 240,
+  padding: 6,
+  background: 'rgba(8, 8, 18, 0.95)',
+  border: '1px solid rgba(255,255,255,0.09)',
+  borderRadius: 8,
+  boxShadow: '0 12px 40px rgba(0,0,0,0.4)',
+  zIndex: 15,
+  whiteSpace: 'normal',
+};
+
+/**
+ * Top-bar place search: autocompletes countries and US states (offline) and accepts
+ * "lat, lon" or DMS coordinates. Arrow keys move through the results, Enter picks.
+ *
+ * @param {{ onPick: (result: { kind: 'coordinate', lat: number, lon: number }|ReturnType<typeof searchPlaces>[number],
+ *   options: { applyFilter: boolean }) => void, canFilter?: (entry: object) => boolean }} props
+ *   canFilter tells whether a place has a matching region filter (sites in the dataset).
+ */
+export default function PlaceSearch({ onPick, canFilter = () => false }) {
+  const [query, setQuery] = useState('');
+  const [open, setOpen] = useState(false);
+  const [index, setIndex] = useState(null);
+  const [loadError, setLoadError] = useState(false);
+  const [active, setActive] = useState(0);
+  const [applyFilter, setApplyFilter] = useState(false);
+  const rootRef = useRef(null);
+
+  useEffect(() => {
+    if (!open) return;
+    const onPointerDown = (e) => {
+      if (!rootRef.current?.contains(e.target)) setOpen(false);
+    };
+    window.addEventListener('pointerdown', onPointerDown);
+    return () => window.removeEventListener('pointerdown', onPointerDown);
+  }, [open]);
+
+  const ensureIndex = () => {
+    if (index) return;
+    loadPlaceIndex()
+      .then((loaded) => {
+        setIndex(loaded);
+        setLoadError(false);
+      })
+      .catch(() => setLoadError(true));
+  };
+
+  const coordinate = parseCoordinates(query);
+  const results = [
+    ...(coordinate ? [{ kind: 'coordinate', ...coordinate }] : []),
+    ...(index && !coordinate ? searchPlaces(index, query) : []),
+  ];
+
+  const pick = (result) => {
+    if (!result) return;
+    onPick(result, { applyFilter: applyFilter && result.kind !== 'coordinate' && canFilter(result) });
+    setQuery(result.kind === 'coordinate' ? query : result.name);
+    setOpen(false);
+  };
+
+  const onKeyDown = (e) => {
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setActive((a) => Math.min(a + 1, results.length - 1));
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActive((a) => Math.max(a - 1, 0));
+    } else if (e.key === 'Enter') {
+      pick(results[active]);
+    } else if (e.key === 'Escape') {
+      setOpen(false);
+      e.currentTarget.blur();
+    }
+  };
+
+  return (
+    <div ref={rootRef} style={{ position: 'relative' }}>
+      <input
+        type="search"
+        value={query}
+        placeholder="Search place or lat, lon"
+        onFocus={() => {
+          ensureIndex();
+          setOpen(true);
+        }}
+        onChange={(e) => {
+          setQuery(e.target.value);
+          setActive(0);
+          setOpen(true);
+        }}
+        onKeyDown={onKeyDown}
+        aria-label="Search countries, US states or coordinates"
+        style={{
+          width: 170,
+          padding: '3px 8px',
+          background: 'rgba(255,255,255,0.06)',
+          border: '1px solid rgba(255,255,255,0.08)',
+          borderRadius: 4,
+          color: '#ddd',
+          fontSize: 11,
+          fontFamily: 'inherit',
+        }}
+      />
+
+      {open && query.trim() && (
+        <div style={MENU_STYLE}>
+          {results.map((r, i) => (
+            <div
+              key={r.kind === 'coordinate' ? 'coordinate' : `${r.kind}-${r.name}`}
+              onPointerEnter={() => setActive(i)}
+              onClick={() => pick(r)}
+              style={{
+                display: 'flex',
+                gap: 8,
+                padding: '5px 8px',
+                borderRadius: 4,
+                cursor: 'pointer',
+                fontSize: 11,
+                background: i === active ? 'rgba(249,115,22,0.13)' : 'transparent',
+              }}
+            >
+              <span style={{ color: '#ddd' }}>
+                {r.kind === 'coordinate' ? `${r.lat.toFixed(4)}°, ${r.lon.toFixed(4)}°` : r.name}
+              </span>
+              <span style={{ marginLeft: 'auto', color: '#666', fontSize: 10 }}>{r.kind === 'coordinate' ? 'Coordinate' : r.detail}</span>
+            </div>
+          ))}
+          {!results.length && (
+            <div style={{ padding: '5px 8px', color: '#666', fontSize: 11 }}>
+              {loadError ? 'Place names unavailable' : index ? 'No matches' : 'Loading places…'}
+            </div>
+          )}
+          <label
+            style={{ display: 'flex', alignItems: 'center', gap: 8, cursor: 'pointer', padding: '6px 8px 2px', marginTop: 4, borderTop: '1px solid rgba(255,255,255,0.06)' }}
+          >
+            <input type="checkbox" checked={applyFilter} onChange={(e) => setApplyFilter(e.target.checked)} style={{ accentColor: '#f97316' }} />
+            <span style={{ fontSize: 10, color: '#888' }}>Also apply the region filter</span>
+          </label>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,93 @@
+import React, { useRef, useState } from 'react';
+import { bandFromBins, countInBand } from './sites/scoreHistogram.js';
+
+const WIDTH = 206;
+const BAR_HEIGHT = 56;
+const LABEL_HEIGHT = 12;
+
+/**
+ * Bar chart of the filtered sites with the kept part of each bar shaded. With onBandChange,
+ * bars are interactive: click a bar to set the floor, or drag across bars to set a min/max
+ * band (previewed while dragging, applied on release).
+ *
+ * @param {{ histogram: { edges: number[], counts: number[], kept: number[] }, band?: { min: number, max: number },
+ *   onBandChange?: (band: { min: number, max: number }) => void, keptCount: number, total: number,
+ *   formatEdge?: (v: number) => string, color?: string }} props
+ */
+export default function ScoreHistogram({ histogram, band, onBandChange, keptCount, total, formatEdge = (v) => v.toFixed(1), color = '#f97316' }) {
+  const svgRef = useRef(null);
+  const [drag, setDrag] = useState(null);
+  const bins = histogram.counts.length;
+  const maxCount = Math.max(1, ...histogram.counts);
+  const barWidth = WIDTH / bins;
+  const draftBand = drag ? bandFromBins(drag.start, drag.end, bins) : null;
+
+  const binAt = (clientX) => {
+    const rect = svgRef.current.getBoundingClientRect();
+    return Math.max(0, Math.min(bins - 1, Math.floor(((clientX - rect.left) / rect.width) * bins)));
+  };
+  const inDraft = (i) => histogram.edges[i] >= draftBand.min - 1e-9 && histogram.edges[i + 1] <= draftBand.max + 1e-9;
+
+  const pointerHandlers = onBandChange
+    ? {
+        onPointerDown: (e) => {
+          e.currentTarget.setPointerCapture(e.pointerId);
+          const bin = binAt(e.clientX);
+          setDrag({ start: bin, end: bin });
+        },
+        onPointerMove: (e) => {
+          if (drag) setDrag({ ...drag, end: binAt(e.clientX) });
+        },
+        onPointerUp: () => {
+          if (!drag) return;
+          onBandChange(draftBand);
+          setDrag(null);
+        },
+        onPointerCancel: () => setDrag(null),
+      }
+    : {};
+
+  const shown = draftBand ? countInBand(histogram, draftBand) : keptCount;
+  const share = total ? (shown / total) * 100 : 0;
+
+  return (
+    <div>
+      <svg
+        ref={svgRef}
+        width={WIDTH}
+        height={BAR_HEIGHT + LABEL_HEIGHT}
+        style={{ display: 'block', cursor: onBandChange ? 'ew-resize' : 'default', touchAction: 'none' }}
+        role="img"
+        aria-label="Distribution of filtered sites"
+        {...pointerHandlers}
+      >
+        {histogram.counts.map((count, i) => {
+          const h = (count / maxCount) * BAR_HEIGHT;
+          const keptH = draftBand ? (inDraft(i) ? h : 0) : (histogram.kept[i] / maxCount) * BAR_HEIGHT;
+          return (
+            <g key={i}>
+              <rect x={i * barWidth + 0.5} y={BAR_HEIGHT - h} width={Math.max(1, barWidth - 1)} height={h} fill="rgba(255,255,255,0.12)" />
+              {keptH > 0 && <rect x={i * barWidth + 0.5} y={BAR_HEIGHT - keptH} width={Math.max(1, barWidth - 1)} height={keptH} fill={color} />}
+            </g>
+          );
+        })}
+        {band && !draftBand && (
+          <>
+            <line x1={band.min * WIDTH} x2={band.min * WIDTH} y1={0} y2={BAR_HEIGHT} stroke="#fff" strokeOpacity={0.6} />
+            {band.max < 1 && <line x1={band.max * WIDTH} x2={band.max * WIDTH} y1={0} y2={BAR_HEIGHT} stroke="#fff" strokeOpacity={0.6} />}
+          </>
+        )}
+        <text x={0} y={BAR_HEIGHT + LABEL_HEIGHT - 2} fill="#555" fontSize={8}>
+          {formatEdge(histogram.edges[0])}
+        </text>
+        <text x={WIDTH} y={BAR_HEIGHT + LABEL_HEIGHT - 2} fill="#555" fontSize={8} textAnchor="end">
+          {formatEdge(histogram.edges[bins])}
+        </text>
+      </svg>
+      <div style={{ color: '#888', fontSize: 10, marginTop: 2 }}>
+        {draftBand ? '≈ ' : ''}
+        <span style={{ color: '#ddd' }}>{shown.toLocaleString()}</span> of {total.toLocaleString()} kept ({share.toFixed(1)}%)
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,87 @@
+/**
+ * cellStats.js
+ *
+ * Aggregated map view: options for the hexbin / grid layers (which field, which
+ * operation, cell size) and per-cell values and summaries. The binning itself is done by
+ * HexagonLayer / GridLayer from @deck.gl/aggregation-layers with CPU aggregation, so
+ * clicked cells carry their member sites.
+ */
+
+import { DEFAULT_COUNTRY_METRIC } from './countryStats.js';
+
+/** Map view modes. 'points' is the plain dot layer; 'countries' is the country choropleth (countryStats.js). */
+export const MAP_VIEW_MODES = [
+  { id: 'points', label: 'Dots' },
+  { id: 'hexagon', label: 'Hexbins' },
+  { id: 'grid', label: 'Grid' },
+  { id: 'countries', label: 'Countries' },
+];
+
+/** Fields a cell can be colored by. */
+export const AGGREGATE_FIELDS = {
+  score: { label: 'Score', format: (v) => v.toFixed(3) },
+  hf: { label: 'Heat flow', format: (v) => `${Math.round(v)} mW/m²` },
+};
+
+/** Operations over a cell's members. count ignores the field. */
+export const AGGREGATE_OPS = {
+  mean: { label: 'Mean' },
+  max: { label: 'Max' },
+  count: { label: 'Count' },
+};
+
+/** Cell size slider range in km (hexagon radius or grid cell edge). */
+export const CELL_SIZE_RANGE = { min: 25, max: 500, step: 25 };
+
+export const DEFAULT_AGGREGATION = { mode: 'points', field: 'score', op: 'mean', cellKm: 150, countryMetric: DEFAULT_COUNTRY_METRIC };
+
+/**
+ * Value a cell is colored by.
+ * @param {object[]} points - Member sites
+ * @param {keyof AGGREGATE_FIELDS} field
+ * @param {keyof AGGREGATE_OPS} op
+ * @returns {number|null} null when no member has the field
+ */
+export function aggregateValue(points, field, op) {
+  if (op === 'count') return points.length;
+  let sum = 0;
+  let n = 0;
+  let max = -Infinity;
+  for (const p of points) {
+    const v = p[field];
+    if (v == null || !Number.isFinite(v)) continue;
+    sum += v;
+    n++;
+    if (v > max) max = v;
+  }
+  if (!n) return null;
+  return op === 'max' ? max : sum / n;
+}
+
+function fieldStats(points, field) {
+  const values = points.map((p) => p[field]).filter((v) => v != null && Number.isFinite(v)).sort((a, b) => a - b);
+  if (!values.length) return null;
+  const mid = values.length >> 1;
+  return {
+    min: values[0],
+    max: values[values.length - 1],
+    mean: values.reduce((a, b) => a + b, 0) / values.length,
+    median: values.length % 2 ? values[mid] : (values[mid - 1] + values[mid]) / 2,
+  };
+}
+
+/**
+ * Summary of a clicked cell: count, score / heat flow / boundary distance stats and
+ * members sorted by score (best first).
+ * @param {object[]} points
+ * @returns {{ count: number, score: object|null, hf: object|null, bd: object|null, members: object[] }}
+ */
+export function summarizeCell(points) {
+  return {
+    count: points.length,
+    score: fieldStats(points, 'score'),
+    hf: fieldStats(points, 'hf'),
+    bd: fieldStats(points, 'bd'),
+    members: [...points].sort((a, b) => (b.score ?? 0) - (a.score ?? 0)),
+  };
+}
@@ -0,0 +1,74 @@
+/**
+ * countryStats.js
+ *
+ * Country choropleth: per-country aggregates of the scored sites (by the countryName
+ * region tag) and the metric a country polygon is filled by.
+ */
+
+/** Metrics a country can be colored by. */
+export const COUNTRY_METRICS = {
+  meanScore: { label: 'Mean score', format: (v) => v.toFixed(3) },
+  maxScore: { label: 'Max score', format: (v) => v.toFixed(3) },
+  aboveThreshold: { label: 'Sites above threshold', format: (v) => v.toLocaleString() },
+  medianHf: { label: 'Median heat flow', format: (v) => `${Math.round(v)} mW/m²` },
+};
+
+export const DEFAULT_COUNTRY_METRIC = 'meanScore';
+
+/**
+ * Aggregates per country over the given records.
+ *
+ * @param {object[]} records
+ * @param {ArrayLike<number>} indices - Records to include
+ * @param {Float64Array} scores - Current scores, by record index
+ * @param {(i: number) => boolean} isAbove - True where a record passes the threshold
+ * @returns {Record<string, { count: number, aboveThreshold: number, meanScore: number, maxScore: number, medianHf: number|null }>}
+ */
+export function summarizeCountries(records, indices, scores, isAbove) {
+  const groups = new Map();
+  for (const i of indices) {
+    const name = records[i].countryName;
+    if (!name) continue;
+    let g = groups.get(name);
+    if (!g) {
+      g = { count: 0, aboveThreshold: 0, sum: 0, maxScore: -Infinity, hf: [] };
+      groups.set(name, g);
+    }
+    g.count++;
+    g.sum += scores[i];
+    if (scores[i] > g.maxScore) g.maxScore = scores[i];
+    if (isAbove(i)) g.aboveThreshold++;
+    if (records[i].hf != null) g.hf.push(records[i].hf);
+  }
+  const out = {};
+  for (const [name, g] of groups) {
+    g.hf.sort((a, b) => a - b);
+    const mid = g.hf.length >> 1;
+    out[name] = {
+      count: g.count,
+      aboveThreshold: g.aboveThreshold,
+      meanScore: g.sum / g.count,
+      maxScore: g.maxScore,
+      medianHf: g.hf.length ? (g.hf.length % 2 ? g.hf[mid] : (g.hf[mid - 1] + g.hf[mid]) / 2) : null,
+    };
+  }
+  return out;
+}
+
+/**
+ * Range of a metric across countries, for the color ramp and legend. null when no country has it.
+ * @param {ReturnType<typeof summarizeCountries>} stats
+ * @param {keyof COUNTRY_METRICS} metric
+ * @returns {{ min: number, max: number }|null}
+ */
+export function countryMetricExtent(stats, metric) {
+  let min = Infinity;
+  let max = -Infinity;
+  for (const s of Object.values(stats)) {
+    const v = s[metric];
+    if (v == null) continue;
+    if (v < min) min = v;
+    if (v > max) max = v;
+  }
+  return min <= max ? { min, max } : null;
+}
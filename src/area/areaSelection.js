@@ -0,0 +1,129 @@
+/**
+ * areaSelection.js
+ *
+ * User-drawn area (lasso) polygons: point-in-polygon tests, area statistics over the
+ * enclosed sites, freehand path thinning and GeoJSON export. Polygons are rings of
+ * [lon, lat] vertices tested in lon/lat space (like the country lookup), so areas should
+ * not cross the antimeridian.
+ */
+
+import booleanPointInPolygon from '@turf/boolean-point-in-polygon';
+import { haversineKm } from '../spatial/siteIndex.js';
+
+/** Heat-flow histogram bin edges (mW/m²); the last bin is open-ended. */
+export const HF_BIN_EDGES = [0, 40, 60, 80, 100, 150, 250, 500];
+
+/** Minimum vertices for a usable polygon. */
+export const MIN_POLYGON_VERTICES = 3;
+
+/**
+ * Close a vertex list into a GeoJSON ring (first vertex repeated at the end).
+ * @param {Array<[number, number]>} vertices
+ * @returns {Array<[number, number]>}
+ */
+export function closeRing(vertices) {
+  const first = vertices[0];
+  const last = vertices[vertices.length - 1];
+  return first[0] === last[0] && first[1] === last[1] ? vertices : [...vertices, first];
+}
+
+/**
+ * Fast point-in-polygon predicate for a vertex list (bbox check, then turf).
+ * @param {Array<[number, number]>} vertices
+ * @returns {(lon: number, lat: number) => boolean}
+ */
+export function createPolygonTest(vertices) {
+  const polygon = { type: 'Polygon', coordinates: [closeRing(vertices)] };
+  let minLon = Infinity;
+  let minLat = Infinity;
+  let maxLon = -Infinity;
+  let maxLat = -Infinity;
+  for (const [lon, lat] of vertices) {
+    if (lon < minLon) minLon = lon;
+    if (lon > maxLon) maxLon = lon;
+    if (lat < minLat) minLat = lat;
+    if (lat > maxLat) maxLat = lat;
+  }
+  return (lon, lat) =>
+    lon >= minLon && lon <= maxLon && lat >= minLat && lat <= maxLat && booleanPointInPolygon([lon, lat], polygon);
+}
+
+/**
+ * Drop freehand vertices closer than minStepKm to the previously kept one.
+ * @param {Array<[number, number]>} points
+ * @param {number} minStepKm
+ * @returns {Array<[number, number]>}
+ */
+export function thinPath(points, minStepKm) {
+  const out = [];
+  for (const p of points) {
+    const prev = out[out.length - 1];
+    if (!prev || haversineKm(prev[0], prev[1], p[0], p[1]) >= minStepKm) out.push(p);
+  }
+  return out;
+}
+
+function median(sorted) {
+  const mid = sorted.length >> 1;
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Statistics over the sites inside an area.
+ *
+ * @param {object[]} records
+ * @param {ArrayLike<number>} indices - Records inside the area
+ * @param {Float64Array} scores - Current scores, by record index
+ * @param {Uint8Array} highMask - 1 where the record is above the threshold
+ * @returns {{ count: number, score: { mean: number, median: number, max: number }|null,
+ *   hfHistogram: Array<{ from: number, to: number|null, count: number }>, aboveThreshold: number, shareAbove: number }}
+ */
+export function summarizeArea(records, indices, scores, highMask) {
+  const hfHistogram = HF_BIN_EDGES.map((from, i) => ({ from, to: HF_BIN_EDGES[i + 1] ?? null, count: 0 }));
+  const values = [];
+  let aboveThreshold = 0;
+  for (const i of indices) {
+    values.push(scores[i]);
+    if (highMask[i]) aboveThreshold++;
+    const hf = records[i].hf;
+    if (hf == null) continue;
+    let bin = HF_BIN_EDGES.length - 1;
+    while (bin > 0 && hf < HF_BIN_EDGES[bin]) bin--;
+    hfHistogram[bin].count++;
+  }
+  values.sort((a, b) => a - b);
+  const count = values.length;
+  return {
+    count,
+    score: count
+      ? { mean: values.reduce((a, b) => a + b, 0) / count, median: median(values), max: values[count - 1] }
+      : null,
+    hfHistogram,
+    aboveThreshold,
+    shareAbove: count ? aboveThreshold / count : 0,
+  };
+}
+
+/**
+ * The area as a GeoJSON Feature, with its statistics as properties.
+ * @param {Array<[number, number]>} vertices
+ * @param {ReturnType<typeof summarizeArea>|null} stats
+ * @returns {string}
+ */
+export function areaToGeoJSON(vertices, stats) {
+  const properties = stats
+    ? {
+        count: stats.count,
+        scoreMean: stats.score?.mean ?? null,
+        scoreMedian: stats.score?.median ?? null,
+        scoreMax: stats.score?.max ?? null,
+        aboveThreshold: stats.aboveThreshold,
+        shareAbove: stats.shareAbove,
+        hfHistogram: stats.hfHistogram,
+      }
+    : {};
+  return JSON.stringify({
+    type: 'FeatureCollection',
+    features: [{ type: 'Feature', geometry: { type: 'Polygon', coordinates: [closeRing(vertices)] }, properties }],
+  });
+}
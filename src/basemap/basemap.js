@@ -0,0 +1,53 @@
+/**
+ * basemap.js
+ *
+ * Basemap choice: raster tiles from CARTO, or an offline vector basemap drawn from the
+ * bundled Natural Earth countries (public/geo). "Auto" uses tiles and falls back to the
+ * vector basemap when the browser is offline or tiles keep failing to load.
+ */
+
+export const BASEMAP_OPTIONS = [
+  { id: 'auto', label: 'Auto' },
+  { id: 'tiles', label: 'Tiles' },
+  { id: 'vector', label: 'Offline' },
+];
+
+export const TILE_URL = 'https://basemaps.cartocdn.com/dark_all/{z}/{x}/{y}@2x.png';
+
+/** Bundled countries, always available (also used for location lookup). */
+export const VECTOR_BASE_URL = '/geo/countries_110m.json';
+
+/**
+ * Optional higher-resolution countries used once zoomed in. Not bundled; create with
+ * `node scripts/download-countries.mjs 50m`. Missing files are skipped silently.
+ */
+export const VECTOR_DETAIL = { url: '/geo/countries_50m.json', minZoom: 3 };
+
+/** Consecutive tile failures (with no successful tile in between) before Auto switches to vector. */
+export const TILE_FAILURE_LIMIT = 3;
+
+/**
+ * Record a tile load or error.
+ * @param {{ consecutiveFailures: number }} health
+ * @param {'load'|'error'} event
+ * @returns {{ consecutiveFailures: number }}
+ */
+export function nextTileHealth(health, event) {
+  return { consecutiveFailures: event === 'load' ? 0 : health.consecutiveFailures + 1 };
+}
+
+/** True once tiles have failed often enough to give up on them. */
+export function tilesUnavailable(health) {
+  return health.consecutiveFailures >= TILE_FAILURE_LIMIT;
+}
+
+/**
+ * Basemap to draw for a choice.
+ * @param {'auto'|'tiles'|'vector'} choice
+ * @param {{ tilesFailed: boolean, online: boolean }} status
+ * @returns {'tiles'|'vector'}
+ */
+export function resolveBasemap(choice, { tilesFailed, online }) {
+  if (choice === 'tiles' || choice === 'vector') return choice;
+  return !online || tilesFailed ? 'vector' : 'tiles';
+}
@@ -0,0 +1,145 @@
+/**
+ * compareSites.js
+ *
+ * N-way compare mode: lettered slots, per-metric ranking, normalization for the
+ * comparison chart, and a plain-language explanation of the ranking.
+ */
+
+/** Up to eight pinned sites, lettered A–H. */
+export const COMPARE_LETTERS = ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H'];
+export const MAX_COMPARE_SLOTS = COMPARE_LETTERS.length;
+
+/** One color per letter, used by map markers, the table and the chart. */
+export const SLOT_COLORS = {
+  A: [255, 255, 255],
+  B: [255, 200, 100],
+  C: [96, 200, 255],
+  D: [160, 255, 140],
+  E: [255, 120, 200],
+  F: [190, 150, 255],
+  G: [255, 240, 90],
+  H: [120, 255, 230],
+};
+
+/**
+ * Metrics shown in the comparison table and chart. better: which direction wins.
+ * The chart plots boundary distance as proximity, so "closer" is always outward.
+ */
+export const COMPARE_METRICS = [
+  { key: 'score', label: 'Score', short: 'Score', better: 'high', format: (v) => v.toFixed(4) },
+  { key: 'hf', label: 'Heat flow (mW/m²)', short: 'HF', better: 'high', format: (v) => `${Math.round(v)}` },
+  { key: 'bd', label: 'Boundary (km)', short: 'BD', better: 'low', format: (v) => v.toFixed(1) },
+];
+
+/**
+ * First letter not used by an existing slot, or null when all are taken.
+ * @param {Array<{ letter: string }>} slots
+ * @returns {string|null}
+ */
+export function nextFreeLetter(slots) {
+  const used = new Set(slots.map((s) => s.letter));
+  return COMPARE_LETTERS.find((l) => !used.has(l)) ?? null;
+}
+
+/**
+ * Rank every slot on each metric (1 = best). Slots missing a metric get no rank.
+ * Ties share a rank.
+ * @param {object[]} slots
+ * @returns {Record<string, Record<string, number>>} metric key → letter → rank
+ */
+export function rankSlots(slots) {
+  const ranks = {};
+  for (const m of COMPARE_METRICS) {
+    const withValue = slots.filter((s) => s[m.key] != null);
+    const sorted = [...withValue].sort((a, b) => (m.better === 'high' ? b[m.key] - a[m.key] : a[m.key] - b[m.key]));
+    ranks[m.key] = {};
+    sorted.forEach((s, i) => {
+      const prev = sorted[i - 1];
+      ranks[m.key][s.letter] = prev && prev[m.key] === s[m.key] ? ranks[m.key][prev.letter] : i + 1;
+    });
+  }
+  return ranks;
+}
+
+/**
+ * Min-max normalize each metric across the slots into [0, 1], oriented so 1 is best.
+ * When all slots share a value the metric is 1 for everyone. Missing values are null.
+ * @param {object[]} slots
+ * @returns {Record<string, Record<string, number|null>>} letter → metric key → value
+ */
+export function normalizeSlotMetrics(slots) {
+  const out = {};
+  for (const s of slots) out[s.letter] = {};
+  for (const m of COMPARE_METRICS) {
+    const values = slots.map((s) => s[m.key]).filter((v) => v != null);
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    for (const s of slots) {
+      const v = s[m.key];
+      if (v == null) out[s.letter][m.key] = null;
+      else if (max === min) out[s.letter][m.key] = 1;
+      else {
+        const t = (v - min) / (max - min);
+        out[s.letter][m.key] = m.better === 'high' ? t : 1 - t;
+      }
+    }
+  }
+  return out;
+}
+
+/**
+ * Score components from available fields (hf, bd). With a scorer (see compositeScore.js),
+ * also the heat flow capped as the score sees it and the weighted heat-flow and proximity
+ * contributions to the composite score.
+ * @param {object|null} site
+ * @param {Function} [scorer]
+ */
+export function getScoreBreakdown(site, scorer) {
+  if (!site) return { heatFlowComponent: 0, cappedHeatFlow: null, boundaryDistanceKm: null, heatFlowContribution: null, proximityContribution: null };
+  const parts = scorer?.(site.hf, site.bd) ?? null;
+  return {
+    heatFlowComponent: site.hf ?? 0,
+    cappedHeatFlow: parts?.cappedHf ?? null,
+    boundaryDistanceKm: site.bd ?? null,
+    heatFlowContribution: parts?.heatFlowContribution ?? null,
+    proximityContribution: parts?.proximityContribution ?? null,
+  };
+}
+
+/**
+ * Reasons a higher-ranked site beats a lower one (higher heat flow, closer to boundary).
+ * Heat flow is compared after the cap, so two sites at or above it differ only by distance.
+ */
+function gapReasons(winner, loser, scorer) {
+  const w = getScoreBreakdown(winner, scorer);
+  const l = getScoreBreakdown(loser, scorer);
+  const reasons = [];
+  const hfDiff = (w.cappedHeatFlow ?? w.heatFlowComponent) - (l.cappedHeatFlow ?? l.heatFlowComponent);
+  const bdDiff = (l.boundaryDistanceKm ?? 0) - (w.boundaryDistanceKm ?? 0);
+  if (hfDiff > 0) reasons.push({ text: `higher heat flow (+${hfDiff.toFixed(0)} mW/m²)`, weight: (w.heatFlowContribution ?? 0) - (l.heatFlowContribution ?? 0) });
+  if (bdDiff > 0) reasons.push({ text: `closer to plate boundary (−${bdDiff.toFixed(1)} km)`, weight: (w.proximityContribution ?? 0) - (l.proximityContribution ?? 0) });
+  // Lead with whichever component moved the composite score more.
+  reasons.sort((a, b) => b.weight - a.weight);
+  return reasons.map((r) => r.text);
+}
+
+/**
+ * Rank slots by composite score and explain each gap between neighbours.
+ *
+ * @param {object[]} slots - Slots with letter, score, hf, bd
+ * @param {Function} [scorer] - From createScorer; used to order reasons by impact
+ * @returns {{ order: object[], lines: string[] }} order is best first; lines has one sentence per slot
+ */
+export function explainRanking(slots, scorer) {
+  const order = [...slots].sort((a, b) => (b.score ?? 0) - (a.score ?? 0) || a.letter.localeCompare(b.letter));
+  const lines = order.map((slot, i) => {
+    if (i === 0) return `${slot.letter} ranks first (${(slot.score ?? 0).toFixed(4)}).`;
+    const above = order[i - 1];
+    const gap = (above.score ?? 0) - (slot.score ?? 0);
+    if (gap < 0.0005) return `${slot.letter} is level with ${above.letter}.`;
+    const reasons = gapReasons(above, slot, scorer);
+    if (reasons.length === 0) return `${above.letter} beats ${slot.letter} by ${gap.toFixed(4)}.`;
+    return `${above.letter} beats ${slot.letter} by ${gap.toFixed(4)}: ${reasons.join(' and ')}.`;
+  });
+  return { order, lines };
+}
@@ -0,0 +1,137 @@
+/**
+ * exportSites.js
+ *
+ * Serializes site lists to CSV, GeoJSON and KML for use in GIS tools (QGIS, Google Earth)
+ * and triggers a browser download. Every format carries the same fields per site.
+ */
+
+/** Export formats offered in the UI, keyed by id. */
+export const EXPORT_FORMATS = {
+  csv: { label: 'CSV', extension: 'csv', mime: 'text/csv;charset=utf-8' },
+  geojson: { label: 'GeoJSON', extension: 'geojson', mime: 'application/geo+json' },
+  kml: { label: 'KML', extension: 'kml', mime: 'application/vnd.google-earth.kml+xml' },
+};
+
+/**
+ * Flat export row for a site (dataset record, Top 20 entry or compare slot).
+ * @param {object} site
+ * @returns {{ rank: number|null, lon: number, lat: number, score: number|null, hf: number|null, bd: number|null,
+ *   resolvedPlace: string, country: string, state: string, continent: string, name: string }}
+ */
+export function siteToRow(site) {
+  const lon = site.lon ?? site.coordinates?.[0];
+  const lat = site.lat ?? site.coordinates?.[1];
+  return {
+    rank: site.rank ?? null,
+    lon,
+    lat,
+    score: site.score ?? null,
+    hf: site.hf ?? null,
+    bd: site.bd ?? null,
+    resolvedPlace: site.resolvedPlace ?? '',
+    country: site.countryName ?? '',
+    state: site.stateName ?? '',
+    continent: site.continentName ?? '',
+    name: site.name ?? '',
+  };
+}
+
+const CSV_COLUMNS = ['rank', 'lon', 'lat', 'score', 'hf', 'bd', 'resolvedPlace', 'country', 'state', 'continent', 'name'];
+
+function csvCell(value) {
+  if (value == null) return '';
+  const str = String(value);
+  return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * @param {object[]} sites
+ * @returns {string} CSV with a header row
+ */
+export function sitesToCSV(sites) {
+  const lines = [CSV_COLUMNS.join(',')];
+  for (const site of sites) {
+    const row = siteToRow(site);
+    lines.push(CSV_COLUMNS.map((c) => csvCell(row[c])).join(','));
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * @param {object[]} sites
+ * @returns {string} GeoJSON FeatureCollection of Points
+ */
+export function sitesToGeoJSON(sites) {
+  return JSON.stringify({
+    type: 'FeatureCollection',
+    features: sites.map((site) => {
+      const { lon, lat, ...properties } = siteToRow(site);
+      return { type: 'Feature', geometry: { type: 'Point', coordinates: [lon, lat] }, properties };
+    }),
+  });
+}
+
+function xmlEscape(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * @param {object[]} sites
+ * @param {string} [name] - Document name shown in Google Earth
+ * @returns {string} KML document with one Placemark per site
+ */
+export function sitesToKML(sites, name = 'Geothermal sites') {
+  const placemarks = sites.map((site, i) => {
+    const { lon, lat, ...fields } = siteToRow(site);
+    const title = `${fields.rank != null ? `#${fields.rank} ` : ''}${fields.name || fields.resolvedPlace || `Site ${i + 1}`}`;
+    const data = Object.entries(fields)
+      .filter(([, v]) => v != null && v !== '')
+      .map(([k, v]) => `<Data name="${k}"><value>${xmlEscape(v)}</value></Data>`)
+      .join('');
+    return `<Placemark><name>${xmlEscape(title)}</name><ExtendedData>${data}</ExtendedData><Point><coordinates>${lon},${lat},0</coordinates></Point></Placemark>`;
+  });
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    `<Document><name>${xmlEscape(name)}</name>`,
+    ...placemarks,
+    '</Document>',
+    '</kml>',
+    '',
+  ].join('\n');
+}
+
+/**
+ * Serialize sites in the given format.
+ * @param {object[]} sites
+ * @param {keyof EXPORT_FORMATS} format
+ * @param {string} [name]
+ * @returns {string}
+ */
+export function serializeSites(sites, format, name) {
+  if (format === 'csv') return sitesToCSV(sites);
+  if (format === 'geojson') return sitesToGeoJSON(sites);
+  if (format === 'kml') return sitesToKML(sites, name);
+  throw new Error(`Unknown export format: ${format}`);
+}
+
+/**
+ * Download text content as a file (browser only).
+ * @param {string} filename
+ * @param {string} content
+ * @param {string} mime
+ */
+export function downloadFile(filename, content, mime) {
+  const url = URL.createObjectURL(new Blob([content], { type: mime }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
@@ -0,0 +1,145 @@
+/**
+ * parseSiteFile.js
+ *
+ * Parses user point files (CSV with lat/lon columns, or GeoJSON Point / MultiPoint
+ * features) into candidate sites for import. Rows without valid WGS84 coordinates are
+ * skipped and counted rather than failing the whole file.
+ */
+
+const LAT_COLUMNS = ['lat', 'latitude', 'lat_ns', 'y'];
+const LON_COLUMNS = ['lon', 'lng', 'long', 'longitude', 'long_ew', 'x'];
+const NAME_COLUMNS = ['name', 'label', 'title', 'id', 'site', 'parcel'];
+
+/**
+ * Split CSV text into rows of cells. Handles quoted cells with embedded delimiters,
+ * doubled quotes and newlines.
+ * @param {string} text
+ * @param {string} delimiter
+ * @returns {string[][]}
+ */
+export function parseCSVRows(text, delimiter = ',') {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (c === '"') quoted = false;
+      else cell += c;
+    } else if (c === '"') quoted = true;
+    else if (c === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else cell += c;
+  }
+  if (cell !== '' || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((v) => v.trim() !== ''));
+}
+
+/** Pick the delimiter that splits the header line into the most columns. */
+function detectDelimiter(text) {
+  const header = text.split(/\r?\n/, 1)[0] ?? '';
+  return [',', ';', '\t'].reduce((best, d) => (header.split(d).length > header.split(best).length ? d : best), ',');
+}
+
+function findColumn(header, candidates) {
+  const lower = header.map((h) => h.trim().toLowerCase());
+  for (const c of candidates) {
+    const i = lower.indexOf(c);
+    if (i !== -1) return i;
+  }
+  return -1;
+}
+
+function validLonLat(lon, lat) {
+  return Number.isFinite(lon) && Number.isFinite(lat) && lat >= -90 && lat <= 90 && lon >= -180 && lon <= 180;
+}
+
+/**
+ * @param {string} text
+ * @returns {{ sites: Array<{ name: string, coordinates: [number, number], properties: object }>, skipped: number }}
+ */
+export function parseSitesCSV(text) {
+  const rows = parseCSVRows(text.replace(/^﻿/, ''), detectDelimiter(text));
+  if (rows.length < 2) throw new Error('CSV has no data rows');
+  const [header, ...body] = rows;
+  const latCol = findColumn(header, LAT_COLUMNS);
+  const lonCol = findColumn(header, LON_COLUMNS);
+  if (latCol === -1 || lonCol === -1) throw new Error('CSV needs lat and lon (or latitude and longitude) columns');
+  const nameCol = findColumn(header, NAME_COLUMNS);
+  const sites = [];
+  let skipped = 0;
+  for (const row of body) {
+    const lat = Number(row[latCol]);
+    const lon = Number(row[lonCol]);
+    if (!validLonLat(lon, lat) || row[latCol]?.trim() === '' || row[lonCol]?.trim() === '') {
+      skipped++;
+      continue;
+    }
+    const properties = Object.fromEntries(header.map((h, i) => [h.trim(), row[i] ?? '']));
+    const name = nameCol !== -1 && row[nameCol]?.trim() ? row[nameCol].trim() : `Imported ${sites.length + 1}`;
+    sites.push({ name, coordinates: [lon, lat], properties });
+  }
+  return { sites, skipped };
+}
+
+/**
+ * @param {object} geojson - FeatureCollection, Feature or bare geometry
+ * @returns {{ sites: Array<{ name: string, coordinates: [number, number], properties: object }>, skipped: number }}
+ */
+export function parseSitesGeoJSON(geojson) {
+  const features =
+    geojson?.type === 'FeatureCollection'
+      ? geojson.features ?? []
+      : geojson?.type === 'Feature'
+        ? [geojson]
+        : [{ type: 'Feature', geometry: geojson, properties: {} }];
+  const sites = [];
+  let skipped = 0;
+  for (const f of features) {
+    const g = f?.geometry;
+    const points = g?.type === 'Point' ? [g.coordinates] : g?.type === 'MultiPoint' ? g.coordinates : null;
+    if (!points) {
+      skipped++;
+      continue;
+    }
+    const properties = f.properties ?? {};
+    const baseName = NAME_COLUMNS.map((k) => properties[k] ?? properties[k.toUpperCase()]).find((v) => v != null && v !== '');
+    points.forEach((p, i) => {
+      const [lon, lat] = (p ?? []).map(Number);
+      if (!validLonLat(lon, lat)) {
+        skipped++;
+        return;
+      }
+      const name = baseName != null ? `${baseName}${points.length > 1 ? ` #${i + 1}` : ''}` : `Imported ${sites.length + 1}`;
+      sites.push({ name: String(name), coordinates: [lon, lat], properties });
+    });
+  }
+  return { sites, skipped };
+}
+
+/**
+ * Parse a dropped or picked file by extension (.csv / .txt / .tsv vs .json / .geojson).
+ * @param {File} file
+ * @returns {Promise<{ sites: Array<{ name: string, coordinates: [number, number], properties: object }>, skipped: number }>}
+ */
+export async function parseSiteFile(file) {
+  const text = await file.text();
+  const name = file.name.toLowerCase();
+  if (name.endsWith('.json') || name.endsWith('.geojson')) return parseSitesGeoJSON(JSON.parse(text));
+  if (name.endsWith('.csv') || name.endsWith('.tsv') || name.endsWith('.txt')) return parseSitesCSV(text);
+  throw new Error(`Unsupported file type: ${file.name} (use CSV or GeoJSON)`);
+}
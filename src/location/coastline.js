@@ -0,0 +1,96 @@
+/**
+ * coastline.js
+ *
+ * Coastline from the country polygons, for the onshore / offshore classification and the
+ * signed distance to the coast stored on each record (coastKm: positive offshore,
+ * negative inland).
+ *
+ * The coast is every country ring edge that no other country shares (Natural Earth
+ * borders are topologically consistent, so a land border appears once in each of its two
+ * countries), minus the antimeridian and south pole seams. Edges are densified to a vertex
+ * every COAST_VERTEX_STEP_KM and indexed with createSiteIndex, so distance is to the
+ * nearest coast vertex (within about half a step of the true distance), like the nearest
+ * boundary vertex behind bd.
+ */
+
+import { createSiteIndex, haversineKm } from '../spatial/siteIndex.js';
+
+/** Spacing of the coast vertices the distance is measured to. */
+export const COAST_VERTEX_STEP_KM = 10;
+
+/** Ring edge key that ignores direction, so a shared border matches from both sides. */
+function edgeKey(a, b) {
+  const ka = `${a[0]},${a[1]}`;
+  const kb = `${b[0]},${b[1]}`;
+  return ka < kb ? `${ka}|${kb}` : `${kb}|${ka}`;
+}
+
+/** Edges drawn along the map seam (lon ±180) or the south pole, not a real coast. */
+function isSeamEdge(a, b) {
+  return (Math.abs(a[0]) >= 180 && Math.abs(b[0]) >= 180) || (a[1] <= -89.9 && b[1] <= -89.9);
+}
+
+function forEachRing(collection, fn) {
+  for (const feature of collection?.features ?? []) {
+    const g = feature.geometry;
+    if (!g) continue;
+    const polygons = g.type === 'Polygon' ? [g.coordinates] : g.type === 'MultiPolygon' ? g.coordinates : [];
+    for (const polygon of polygons) for (const ring of polygon) fn(ring);
+  }
+}
+
+/**
+ * Coastline edges of a countries collection.
+ * @param {object} collection - GeoJSON FeatureCollection of country (Multi)Polygons
+ * @returns {Array<[[number, number], [number, number]]>}
+ */
+export function extractCoastline(collection) {
+  const edges = new Map();
+  forEachRing(collection, (ring) => {
+    for (let i = 0; i + 1 < ring.length; i++) {
+      const key = edgeKey(ring[i], ring[i + 1]);
+      const entry = edges.get(key);
+      if (entry) entry.count++;
+      else edges.set(key, { edge: [ring[i], ring[i + 1]], count: 1 });
+    }
+  });
+  const coast = [];
+  for (const { edge, count } of edges.values()) {
+    if (count === 1 && !isSeamEdge(edge[0], edge[1])) coast.push(edge);
+  }
+  return coast;
+}
+
+/**
+ * Spatial index over the coastline, densified to a vertex every stepKm.
+ * @param {object} collection - Countries FeatureCollection
+ * @param {number} [stepKm]
+ * @returns {ReturnType<typeof createSiteIndex>}
+ */
+export function createCoastIndex(collection, stepKm = COAST_VERTEX_STEP_KM) {
+  const vertices = [];
+  for (const [a, b] of extractCoastline(collection)) {
+    const steps = Math.max(1, Math.ceil(haversineKm(a[0], a[1], b[0], b[1]) / stepKm));
+    for (let s = 0; s < steps; s++) {
+      const t = s / steps;
+      vertices.push([a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t]);
+    }
+    vertices.push(b);
+  }
+  return createSiteIndex(vertices, (v) => v);
+}
+
+/**
+ * Signed distance in km from (lon, lat) to the nearest coast vertex: positive offshore,
+ * negative onshore. null when the index is empty.
+ * @param {ReturnType<typeof createCoastIndex>} index
+ * @param {number} lon
+ * @param {number} lat
+ * @param {boolean} onshore - Whether the point is inside a country polygon
+ * @returns {number|null}
+ */
+export function signedCoastDistanceKm(index, lon, lat, onshore) {
+  const [nearest] = index.nearest(lon, lat);
+  if (!nearest) return null;
+  return onshore ? -nearest.distanceKm : nearest.distanceKm;
+}
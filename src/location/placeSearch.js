@@ -0,0 +1,179 @@
+/**
+ * placeSearch.js
+ *
+ * Offline place search for the top-bar search box: autocomplete over the Natural Earth
+ * country names (public/geo/countries_110m.json) and the US state names
+ * (src/data/us_states.json), plus "lat, lon" and degrees-minutes-seconds coordinates.
+ * Results carry a bounding box (from @turf/bbox, like the resolvers) for the camera.
+ */
+
+import bbox from '@turf/bbox';
+import { featureCountryName } from './regionUtils.js';
+
+const COUNTRIES_URL = '/geo/countries_110m.json';
+
+/** Most results shown in the dropdown. */
+export const PLACE_SEARCH_LIMIT = 8;
+
+/**
+ * Bounding box [minLon, minLat, maxLon, maxLat] of a feature. Features spanning the
+ * antimeridian (Russia, Fiji) get a box with maxLon > 180 instead of one around the globe.
+ * @param {object} feature - GeoJSON Feature
+ * @returns {[number, number, number, number]}
+ */
+export function featureBounds(feature) {
+  const box = bbox(feature);
+  if (box[2] - box[0] <= 180) return box;
+  const shifted = bbox({
+    type: 'Feature',
+    geometry: {
+      type: feature.geometry.type,
+      coordinates: JSON.parse(JSON.stringify(feature.geometry.coordinates), (_, v) =>
+        Array.isArray(v) && typeof v[0] === 'number' && v[0] < 0 ? [v[0] + 360, ...v.slice(1)] : v
+      ),
+    },
+  });
+  return shifted[2] - shifted[0] < box[2] - box[0] ? shifted : box;
+}
+
+/** Lowercase, accent-free form used for matching ("Côte d'Ivoire" → "cote d'ivoire"). */
+function fold(text) {
+  return String(text).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+}
+
+/**
+ * Searchable entries for countries and US states.
+ *
+ * @param {object} countries - Natural Earth countries FeatureCollection
+ * @param {object} [states] - US states FeatureCollection
+ * @returns {Array<{ kind: 'country'|'state', name: string, detail: string, bounds: number[], countryName: string, keys: string[] }>}
+ *   countryName is the value records carry in countryName (region filter).
+ */
+export function buildPlaceIndex(countries, states) {
+  const entries = [];
+  for (const feature of countries?.features ?? []) {
+    const p = feature.properties ?? {};
+    const name = p.NAME || p.ADMIN || p.name;
+    if (!name || !feature.geometry) continue;
+    const aliases = [name, p.NAME_LONG, p.ADMIN, p.FORMAL_EN, p.NAME_EN, p.ISO_A3, p.ISO_A2].filter((a) => a && a !== '-99');
+    entries.push({
+      kind: 'country',
+      name,
+      detail: p.CONTINENT || 'Country',
+      bounds: featureBounds(feature),
+      countryName: featureCountryName(feature),
+      keys: [...new Set(aliases.map(fold))],
+    });
+  }
+  for (const feature of states?.features ?? []) {
+    const name = feature.properties?.name || feature.properties?.NAME;
+    if (!name || !feature.geometry) continue;
+    entries.push({ kind: 'state', name, detail: 'US state', bounds: featureBounds(feature), countryName: 'USA', keys: [fold(name)] });
+  }
+  return entries;
+}
+
+/**
+ * Entries matching a query: names starting with it first, then words starting with it,
+ * then names containing it; shorter names first within each group.
+ * @param {ReturnType<typeof buildPlaceIndex>} index
+ * @param {string} query
+ * @param {number} [limit]
+ */
+export function searchPlaces(index, query, limit = PLACE_SEARCH_LIMIT) {
+  const q = fold(query);
+  if (!q) return [];
+  const rank = (key) => {
+    if (key.startsWith(q)) return 0;
+    if (key.includes(` ${q}`)) return 1;
+    return key.includes(q) ? 2 : null;
+  };
+  return index
+    .map((entry) => {
+      const ranks = entry.keys.map(rank).filter((r) => r != null);
+      return ranks.length ? { entry, rank: Math.min(...ranks) } : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.rank - b.rank || a.entry.name.length - b.entry.name.length || a.entry.name.localeCompare(b.entry.name))
+    .slice(0, limit)
+    .map((r) => r.entry);
+}
+
+const HEMISPHERE_SIGN = { N: 1, S: -1, E: 1, W: -1 };
+
+/** One coordinate: decimal or D M S numbers with an optional N/S/E/W letter. */
+function parseAngle(part) {
+  const hemi = part.match(/[NSEW]/i)?.[0]?.toUpperCase() ?? null;
+  const numbers = part.match(/-?\d+(?:\.\d+)?/g);
+  if (!numbers || numbers.length > 3) return null;
+  const [d, m = 0, s = 0] = numbers.map(Number);
+  if (m >= 60 || s >= 60 || m < 0 || s < 0) return null;
+  const sign = d < 0 || /^\s*-/.test(part) ? -1 : 1;
+  const value = sign * (Math.abs(d) + m / 60 + s / 3600);
+  return { value: hemi ? Math.abs(value) * HEMISPHERE_SIGN[hemi] : value, hemi };
+}
+
+/**
+ * Parse a coordinate string: "lat, lon" decimals ("-23.1, -70.5", "-23.1 -70.5") or DMS
+ * ("64°08'49\"N 21°56'33\"W", "64 8 49 N, 21 56 33 W"). Hemisphere letters may swap the
+ * order ("21.9W 64.1N"). Returns null for anything else or out-of-range values.
+ * @param {string} text
+ * @returns {{ lat: number, lon: number }|null}
+ */
+export function parseCoordinates(text) {
+  const cleaned = String(text).trim().replace(/[°º'′"″]/g, ' ');
+  if (!cleaned || /[^\d\s.,;+\-NSEW]/i.test(cleaned)) return null;
+  let parts = cleaned.split(/\s*[,;]\s*/).filter(Boolean);
+  if (parts.length !== 2) {
+    // No separator: split after the first hemisphere letter, or in half for plain numbers.
+    const byHemi = cleaned.match(/^(.*?[NSEW])\s*(.+)$/i);
+    const numbers = cleaned.split(/\s+/);
+    if (byHemi) parts = [byHemi[1], byHemi[2]];
+    else if (numbers.length % 2 === 0) parts = [numbers.slice(0, numbers.length / 2).join(' '), numbers.slice(numbers.length / 2).join(' ')];
+    else return null;
+  }
+  const a = parseAngle(parts[0]);
+  const b = parseAngle(parts[1]);
+  if (!a || !b) return null;
+  const swapped = /[EW]/.test(a.hemi ?? '') || /[NS]/.test(b.hemi ?? '');
+  const lat = swapped ? b.value : a.value;
+  const lon = swapped ? a.value : b.value;
+  if (Math.abs(lat) > 90 || Math.abs(lon) > 180) return null;
+  return { lat, lon };
+}
+
+/**
+ * Camera for a bounding box on the globe: centered on it and zoomed so it roughly fills
+ * the view (the globe shows about 180° across at zoom 1.5).
+ * @param {number[]} bounds - [minLon, minLat, maxLon, maxLat]
+ * @returns {{ longitude: number, latitude: number, zoom: number }}
+ */
+export function boundsToView([minLon, minLat, maxLon, maxLat]) {
+  const latitude = (minLat + maxLat) / 2;
+  let longitude = (minLon + maxLon) / 2;
+  if (longitude > 180) longitude -= 360;
+  const span = Math.max((maxLon - minLon) * Math.cos((latitude * Math.PI) / 180), maxLat - minLat, 0.5) * 1.3;
+  const zoom = Math.max(1.5, Math.min(8, 1.5 + Math.log2(180 / span)));
+  return { longitude, latitude, zoom };
+}
+
+let placeIndexPromise = null;
+
+/** Load the place index once (countries file fetch plus the bundled US states). */
+export function loadPlaceIndex() {
+  if (!placeIndexPromise) {
+    placeIndexPromise = Promise.all([
+      fetch(COUNTRIES_URL).then((r) => {
+        if (!r.ok) throw new Error(`Failed to load countries: ${r.status}`);
+        return r.json();
+      }),
+      import('../data/us_states.json', { with: { type: 'json' } }).then((m) => m.default),
+    ])
+      .then(([countries, states]) => buildPlaceIndex(countries, states))
+      .catch((err) => {
+        placeIndexPromise = null;
+        throw err;
+      });
+  }
+  return placeIndexPromise;
+}
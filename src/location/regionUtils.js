@@ -1,8 +1,15 @@
 /**
  * regionUtils.js
- * Parsing resolvedPlace strings and country-to-continent mapping for region filters.
+ * Parsing resolvedPlace strings, continent lookup and record region tags for region filters.
+ * Continent, subregion and ISO codes come from the Natural Earth country properties that
+ * resolveLocation returns.
  */
 
+import { USA_COUNTRY_NAMES } from './resolveLocation.js';
+
+/** Continent group for offshore records; their subregion is the ocean basin and their country the sea. */
+export const OCEANS_GROUP = 'Oceans';
+
 /** Continent options for the filter select. "Other" for unknown countries. */
 export const CONTINENT_OPTIONS = [
   'All',
@@ -13,12 +20,27 @@ export const CONTINENT_OPTIONS = [
   'North America',
   'Oceania',
   'South America',
+  OCEANS_GROUP,
   'Other',
 ];
 
 /**
- * Minimal country → continent mapping. Unknown countries map to "Other".
- * Covers countries commonly present in geothermal datasets.
+ * Continent overrides, checked before the Natural Earth CONTINENT of a country (see
+ * getContinentFromCountry). Only for names Natural Earth files under "Seven seas (open
+ * ocean)" or does not use (aliases in older labels).
+ */
+const CONTINENT_OVERRIDES = {
+  'Fr. S. Antarctic Lands': 'Antarctica',
+  'Czech Republic': 'Europe',
+  'United States': 'North America',
+  'United States of America': 'North America',
+  USA: 'North America',
+};
+
+/**
+ * Fallback country → continent mapping for records without Natural Earth metadata (tagged
+ * before it was stored, or labels passed without it). Covers countries commonly present in
+ * geothermal datasets.
  */
 const COUNTRY_TO_CONTINENT = {
   Afghanistan: 'Asia',
@@ -107,10 +129,28 @@ const COUNTRY_TO_CONTINENT = {
 };
 
 /**
- * Parse resolvedPlace string into countryName and stateName (for USA).
+ * Countries Natural Earth files under one continent and subregion that span two. Russia is
+ * "Europe" / "Eastern Europe"; east of the Urals (about lon 60, and past the antimeridian in
+ * Chukotka) it is Asia / "Northern Asia".
+ */
+const URALS_SPLIT = { isEast: (lon) => lon > 60 || lon < -160, continent: 'Asia', subregion: 'Northern Asia' };
+const COUNTRY_SPLITS = {
+  Russia: URALS_SPLIT,
+  'Russian Federation': URALS_SPLIT,
+};
+
+/** The split half a country's longitude falls in, or null (no split, or the half Natural Earth already names). */
+function getSplit(countryName, lon) {
+  const split = countryName ? COUNTRY_SPLITS[countryName] : null;
+  return split && Number.isFinite(lon) && split.isEast(lon) ? split : null;
+}
+
+/**
+ * Parse resolvedPlace string into countryName and stateName (first-level subdivision).
  * Rules:
  * - If it ends with ", USA", countryName = "USA", stateName = part before ", USA"
- * - Else if it contains a comma, last segment (trimmed) = countryName
+ * - Else if it contains a comma, last segment (trimmed) = countryName and the part
+ *   before it = stateName ("West Java, Indonesia")
  * - Else countryName = resolvedPlace, stateName = null
  *
  * @param {string} resolvedPlace - Label from resolveLocation (e.g. "Texas, USA", "France")
@@ -131,19 +171,95 @@ export function parseResolvedPlace(resolvedPlace) {
   const lastComma = trimmed.lastIndexOf(',');
   if (lastComma !== -1) {
     const countryPart = trimmed.slice(lastComma + 1).trim();
-    return { countryName: countryPart, stateName: null };
+    const statePart = trimmed.slice(0, lastComma).trim();
+    return { countryName: countryPart, stateName: statePart || null };
   }
 
   return { countryName: trimmed, stateName: null };
 }
 
 /**
- * Get continent name for a country. Returns "Other" if not in mapping.
+ * Continent of a country: a longitude split (COUNTRY_SPLITS) or an override
+ * (CONTINENT_OVERRIDES) first, then Natural Earth's CONTINENT, then its REGION_UN (for
+ * "Seven seas (open ocean)" island countries), then COUNTRY_TO_CONTINENT. "Other" when
+ * none gives a continent option.
  * @param {string} countryName
+ * @param {{ continent?: string|null, unRegion?: string|null, lon?: number|null }} [naturalEarth] - From resolveLocation
  * @returns {string}
  */
-export function getContinentFromCountry(countryName) {
-  if (countryName == null || countryName === '') return 'Other';
-  const continent = COUNTRY_TO_CONTINENT[countryName];
-  return continent ?? 'Other';
+export function getContinentFromCountry(countryName, { continent = null, unRegion = null, lon = null } = {}) {
+  const split = getSplit(countryName, lon);
+  if (split) return split.continent;
+  const override = countryName ? CONTINENT_OVERRIDES[countryName] : null;
+  if (override) return override;
+  for (const name of [continent, unRegion]) {
+    if (name && name !== 'All' && CONTINENT_OPTIONS.includes(name)) return name;
+  }
+  return (countryName && COUNTRY_TO_CONTINENT[countryName]) || 'Other';
+}
+
+/**
+ * Region tags stored on each dataset record (by scripts/tag-locations.mjs at build time,
+ * or by the runtime enrichment fallback in GeothermalGlobe.jsx). Offshore records go in the
+ * Oceans group: countryName is the sea or basin ("Gulf of California") and subregionName
+ * the basin ("North Pacific Ocean").
+ *
+ * @param {{ label?: string, countryCode?: string|null, countryCode2?: string|null, continent?: string|null,
+ *   unRegion?: string|null, subregion?: string|null, marineRegion?: string|null, ocean?: string|null,
+ *   onshore?: boolean, coastKm?: number|null }} resolved - Result of resolveLocation
+ * @returns {{ resolvedPlace: string, countryName: string, stateName: string|null, continentName: string,
+ *   subregionName: string|null, countryCode: string|null, countryCode2: string|null, onshore: boolean|null, coastKm: number|null }}
+ *   onshore is null when the location could not be resolved; coastKm is positive offshore, negative inland.
+ */
+export function getRegionTags(resolved) {
+  const resolvedPlace = resolved?.label ?? '';
+  const { countryName, stateName } = parseResolvedPlace(resolvedPlace);
+  const shore = {
+    onshore: resolved?.onshore ?? null,
+    coastKm: resolved?.coastKm == null ? null : Math.round(resolved.coastKm * 10) / 10,
+  };
+  if (resolved?.marineRegion) {
+    return {
+      resolvedPlace,
+      countryName,
+      stateName: null,
+      continentName: OCEANS_GROUP,
+      subregionName: resolved.ocean ?? null,
+      countryCode: null,
+      countryCode2: null,
+      ...shore,
+    };
+  }
+  return {
+    resolvedPlace,
+    countryName,
+    stateName,
+    continentName: getContinentFromCountry(countryName, resolved ?? {}),
+    subregionName: getSplit(countryName, resolved?.lon)?.subregion ?? resolved?.subregion ?? null,
+    countryCode: resolved?.countryCode ?? null,
+    countryCode2: resolved?.countryCode2 ?? null,
+    ...shore,
+  };
+}
+
+/**
+ * countryName carried by the records inside a Natural Earth country feature. Records in a
+ * US state are tagged "State, USA", so the United States maps to "USA".
+ * @param {object} feature - GeoJSON country Feature
+ * @returns {string|null}
+ */
+export function featureCountryName(feature) {
+  const p = feature?.properties || {};
+  const name = p.NAME || p.ADMIN || p.name || p.admin || null;
+  return USA_COUNTRY_NAMES.includes(name) ? 'USA' : name;
+}
+
+/**
+ * True when a record already carries region tags (including the onshore / offshore
+ * classification), so runtime enrichment can skip it.
+ * @param {object} record
+ * @returns {boolean}
+ */
+export function hasRegionTags(record) {
+  return record?.resolvedPlace != null && record?.continentName != null && record?.onshore !== undefined;
 }
@@ -0,0 +1,96 @@
+/**
+ * resolveAdmin1.js
+ *
+ * Resolves (lat, lon) to a first-level subdivision (state, province, region) for any
+ * country, using polygon containment against Natural Earth admin 1 polygons in
+ * public/geo/admin1_10m.json (create it with scripts/download-admin1.mjs).
+ *
+ * The file is optional: when it is missing, lookups return null and resolveLocation falls
+ * back to the bundled US states (resolveUSState.js), so only US labels get a state.
+ */
+
+import booleanPointInPolygon from '@turf/boolean-point-in-polygon';
+import { point } from '@turf/helpers';
+import bbox from '@turf/bbox';
+
+export const ADMIN1_URL = '/geo/admin1_10m.json';
+
+let indexPromise = null;
+
+function pointInBbox(lon, lat, box) {
+  const [minX, minY, maxX, maxY] = box;
+  if (minX <= maxX) {
+    return lon >= minX && lon <= maxX && lat >= minY && lat <= maxY;
+  }
+  return (lon >= minX || lon <= maxX) && lat >= minY && lat <= maxY;
+}
+
+/** Subdivision name from feature properties: Natural Earth's English name_en ("West Java"), else its local name. */
+function getAdmin1Name(feature) {
+  const p = feature?.properties || {};
+  return p.name_en || p.name || p.NAME || null;
+}
+
+/**
+ * Group admin 1 features by country code (Natural Earth adm0_a3, which matches the
+ * country's ISO_A3 / ISO_A3_EH) with bboxes for a fast prefilter.
+ *
+ * @param {object} collection - Admin 1 FeatureCollection
+ * @returns {Map<string, Array<{ feature: object, bbox: number[], name: string }>>}
+ */
+export function createAdmin1Index(collection) {
+  const byCountry = new Map();
+  for (const feature of collection?.features || []) {
+    const name = getAdmin1Name(feature);
+    const code = feature.properties?.adm0_a3 || feature.properties?.ADM0_A3;
+    if (!name || !code || !feature.geometry) continue;
+    if (!byCountry.has(code)) byCountry.set(code, []);
+    byCountry.get(code).push({ feature, bbox: bbox(feature), name });
+  }
+  return byCountry;
+}
+
+/**
+ * Subdivision containing a point, among the given country's subdivisions.
+ *
+ * @param {ReturnType<typeof createAdmin1Index>} index
+ * @param {number} lat
+ * @param {number} lon - Longitude in -180..180
+ * @param {string|null} countryCode - ISO 3166-1 alpha-3 code of the resolved country
+ * @returns {string|null}
+ */
+export function resolveAdmin1WithIndex(index, lat, lon, countryCode) {
+  const candidates = countryCode ? index.get(countryCode) : null;
+  if (!candidates) return null;
+  const pt = point([lon, lat]);
+  for (const { feature, bbox: box, name } of candidates) {
+    if (!pointInBbox(lon, lat, box)) continue;
+    if (booleanPointInPolygon(pt, feature)) return name;
+  }
+  return null;
+}
+
+/**
+ * Load and index the admin 1 file once. Resolves to null when the file is not available.
+ * @returns {Promise<ReturnType<typeof createAdmin1Index>|null>}
+ */
+export function loadAdmin1Index() {
+  indexPromise ??= fetch(ADMIN1_URL)
+    .then((res) => (res.ok && res.headers.get('content-type')?.includes('json') ? res.json() : null))
+    .then((collection) => (collection?.type === 'FeatureCollection' ? createAdmin1Index(collection) : null))
+    .catch(() => null);
+  return indexPromise;
+}
+
+/**
+ * Resolve (lat, lon) to a subdivision name of the given country, or null (no admin 1
+ * data, or the point is outside every subdivision polygon).
+ * @param {number} lat
+ * @param {number} lon
+ * @param {string|null} countryCode
+ * @returns {Promise<string|null>}
+ */
+export async function resolveAdmin1(lat, lon, countryCode) {
+  const index = await loadAdmin1Index();
+  return index ? resolveAdmin1WithIndex(index, lat, lon, countryCode) : null;
+}
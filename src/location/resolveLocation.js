@@ -17,6 +17,7 @@
 import booleanPointInPolygon from '@turf/boolean-point-in-polygon';
 import { point } from '@turf/helpers';
 import bbox from '@turf/bbox';
+import { createCoastIndex, signedCoastDistanceKm } from './coastline.js';
 
 const COUNTRIES_GEOJSON_URL = '/geo/countries_110m.json';
 const COUNTRIES_CDN_URL =
@@ -24,6 +25,10 @@ const COUNTRIES_CDN_URL =
 
 let cachedCollection = null;
 let cachedFeatures = null;
+/** Per-collection { feature, bbox } lists for resolveLocationWithCollection (bulk tagging calls it per record). */
+const featuresByCollection = new WeakMap();
+/** Per-collection coastline index (coastline.js), built on the first lookup. */
+const coastByCollection = new WeakMap();
 
 /**
  * Normalize longitude to [-180, 180]. Handles antimeridian wrapping.
@@ -90,6 +95,40 @@ function getCountryName(feature) {
   return p.NAME || p.ADMIN || p.name || p.admin || 'Unknown';
 }
 
+/**
+ * Get ISO 3166-1 alpha-3 code from feature properties. Natural Earth sets ISO_A3 to
+ * "-99" for a few countries (e.g. France, Norway) and carries the code in ISO_A3_EH.
+ */
+function getCountryCode(feature) {
+  const p = feature?.properties || {};
+  for (const code of [p.ISO_A3, p.ISO_A3_EH, p.iso_a3]) {
+    if (code && code !== '-99') return code;
+  }
+  return null;
+}
+
+/** ISO 3166-1 alpha-2 code (ISO_A2, or ISO_A2_EH where Natural Earth sets "-99"). */
+function getCountryCode2(feature) {
+  const p = feature?.properties || {};
+  for (const code of [p.ISO_A2, p.ISO_A2_EH, p.iso_a2]) {
+    if (code && code !== '-99') return code;
+  }
+  return null;
+}
+
+/**
+ * Region metadata Natural Earth carries on each country: CONTINENT, REGION_UN and
+ * SUBREGION (UN geoscheme, e.g. "South-Eastern Asia"). Missing values are null.
+ */
+function getCountryRegions(feature) {
+  const p = feature?.properties || {};
+  return {
+    continent: p.CONTINENT || p.continent || null,
+    unRegion: p.REGION_UN || p.region_un || null,
+    subregion: p.SUBREGION || p.subregion || null,
+  };
+}
+
 /**
  * Build features with bbox for a collection (no caching).
  */
@@ -102,60 +141,124 @@ function buildFeaturesWithBbox(collection) {
 
 /**
  * Resolve (latitude, longitude) to country or ocean using a preloaded GeoJSON collection.
- * Used for tests and validation without fetching. Handles MultiPolygon via Turf.
+ * Used for tests and validation without fetching. Handles MultiPolygon via Turf. Points in
+ * no country are labelled "Open ocean" until withMarineRegion names their sea or basin.
+ * Every point is classified onshore (inside a country) or offshore, with coastKm, the signed
+ * distance to the collection's coastline (positive offshore, negative inland).
  *
  * @param {number} lat - Latitude in WGS84 (-90 to 90)
  * @param {number} lon - Longitude in WGS84 (any range; normalized to -180..180)
  * @param {object} collection - GeoJSON FeatureCollection (e.g. Natural Earth countries)
- * @returns {{ country: string|null, region: string|null, city: string|null, label: string, lat: number, lon: number }}
+ * @returns {{ country: string|null, countryCode: string|null, countryCode2: string|null, continent: string|null,
+ *   unRegion: string|null, subregion: string|null, marineRegion: string|null, ocean: string|null,
+ *   onshore: boolean, coastKm: number|null, region: string|null, city: string|null, label: string, lat: number, lon: number }}
+ *   continent, unRegion and subregion are Natural Earth's CONTINENT, REGION_UN and SUBREGION.
+ *   marineRegion and ocean are set by withMarineRegion.
  */
 export function resolveLocationWithCollection(lat, lon, collection) {
   const latNorm = clampLat(lat);
   const lonNorm = normalizeLon(lon);
   const result = {
     country: null,
+    countryCode: null,
+    countryCode2: null,
+    continent: null,
+    unRegion: null,
+    subregion: null,
+    marineRegion: null,
+    ocean: null,
+    onshore: false,
+    coastKm: null,
     region: null,
     city: null,
     label: '',
     lat: latNorm,
     lon: lonNorm,
   };
-  const featuresWithBbox = buildFeaturesWithBbox(collection);
+  let featuresWithBbox = featuresByCollection.get(collection);
+  if (!featuresWithBbox) {
+    featuresWithBbox = buildFeaturesWithBbox(collection);
+    featuresByCollection.set(collection, featuresWithBbox);
+  }
+  let coastIndex = coastByCollection.get(collection);
+  if (!coastIndex) {
+    coastIndex = createCoastIndex(collection);
+    coastByCollection.set(collection, coastIndex);
+  }
   const pt = point([lonNorm, latNorm]);
   for (const { feature, bbox: box } of featuresWithBbox) {
     if (!pointInBbox(lonNorm, latNorm, box)) continue;
     if (booleanPointInPolygon(pt, feature)) {
+      result.onshore = true;
+      result.coastKm = signedCoastDistanceKm(coastIndex, lonNorm, latNorm, true);
       result.country = getCountryName(feature);
+      result.countryCode = getCountryCode(feature);
+      result.countryCode2 = getCountryCode2(feature);
+      Object.assign(result, getCountryRegions(feature));
       result.label = result.country;
       return result;
     }
   }
+  result.coastKm = signedCoastDistanceKm(coastIndex, lonNorm, latNorm, false);
   result.label = 'Open ocean';
   return result;
 }
 
 /** Country name(s) that trigger US state lookup (Natural Earth may use either). */
-const USA_COUNTRY_NAMES = ['United States of America', 'United States'];
+export const USA_COUNTRY_NAMES = ['United States of America', 'United States'];
+
+/**
+ * Add a first-level subdivision to a resolved country: sets region and the label
+ * "Region, Country" (e.g. "West Java, Indonesia"; "Texas, USA" for the United States).
+ * Returns the result unchanged when there is no region.
+ *
+ * @param {ReturnType<typeof resolveLocationWithCollection>} result
+ * @param {string|null} region
+ */
+export function withRegion(result, region) {
+  if (!region || !result.country) return result;
+  const country = USA_COUNTRY_NAMES.includes(result.country) ? 'USA' : result.country;
+  return { ...result, region, label: `${region}, ${country}` };
+}
+
+/**
+ * Add the sea or ocean basin to an offshore result: sets marineRegion, ocean (its basin)
+ * and the label ("Gulf of California"). Returns the result unchanged onshore or when there
+ * is no marine region.
+ *
+ * @param {ReturnType<typeof resolveLocationWithCollection>} result
+ * @param {{ name: string, ocean: string|null }|null} marine - From resolveMarine.js
+ */
+export function withMarineRegion(result, marine) {
+  if (!marine || result.country) return result;
+  return { ...result, marineRegion: marine.name, ocean: marine.ocean ?? null, label: marine.name };
+}
 
 /**
  * Resolve (latitude, longitude) to country or ocean label using polygon containment.
- * When the country is the USA, an additional state lookup runs and the label becomes "State, USA".
+ * A first-level subdivision lookup (resolveAdmin1.js) then makes the label "Region, Country".
+ * Without admin 1 data, only the USA gets a state (bundled us_states.json): "State, USA".
+ * Offshore points get their sea or ocean basin from the marine regions (resolveMarine.js).
  *
  * @param {number} lat - Latitude in WGS84 (-90 to 90)
  * @param {number} lon - Longitude in WGS84 (any range; normalized to -180..180)
- * @returns {Promise<{ country: string|null, region: string|null, city: string|null, label: string, lat: number, lon: number }>}
+ * @returns {Promise<ReturnType<typeof resolveLocationWithCollection>>}
  */
 export async function resolveLocation(lat, lon) {
   const collection = await loadCountries();
   let result = resolveLocationWithCollection(lat, lon, collection);
 
-  if (USA_COUNTRY_NAMES.includes(result.country)) {
+  if (result.country) {
+    const { resolveAdmin1 } = await import('./resolveAdmin1.js');
+    result = withRegion(result, await resolveAdmin1(result.lat, result.lon, result.countryCode));
+  }
+  if (!result.region && USA_COUNTRY_NAMES.includes(result.country)) {
     const { resolveUSState } = await import('./resolveUSState.js');
-    const stateName = resolveUSState(lat, lon);
-    if (stateName) {
-      result = { ...result, label: `${stateName}, USA` };
-      console.log('Resolved USA state:', stateName);
-    }
+    result = withRegion(result, resolveUSState(lat, lon));
+  }
+  if (!result.country) {
+    const { resolveMarineRegion } = await import('./resolveMarine.js');
+    result = withMarineRegion(result, await resolveMarineRegion(result.lat, result.lon));
   }
 
   return result;
@@ -0,0 +1,167 @@
+/**
+ * resolveMarine.js
+ *
+ * Resolves an offshore (lat, lon) to a named sea or ocean basin using polygon containment
+ * against public/geo/marine_regions_10m.json, so mid-ocean ridge sites get labels like
+ * "North Atlantic Ocean" or "Gulf of California" instead of "Open ocean".
+ *
+ * The file is generated from the Natural Earth 10m marine areas (ne_10m_geography_marine_polys,
+ * public domain) by scripts/download-marine-regions.mjs, using marineRegionsFromNaturalEarth
+ * below. Each feature carries its name, kind ("ocean" for Natural Earth's ocean basins, "sea"
+ * for seas, gulfs, bays and straits) and the basin it belongs to in "ocean".
+ *
+ * The file is optional: when it is missing, lookups return null and offshore points are
+ * labelled "Open ocean".
+ */
+
+import booleanPointInPolygon from '@turf/boolean-point-in-polygon';
+import { point } from '@turf/helpers';
+import bbox from '@turf/bbox';
+
+export const MARINE_URL = '/geo/marine_regions_10m.json';
+
+/**
+ * Basins set by name rather than by adjacency: the seas of the Indonesian archipelago are
+ * counted with the Indian Ocean, whose boundary with the Pacific runs along their northern
+ * edges. Seas reached only through them follow.
+ */
+const BASIN_OVERRIDES = {
+  'Java Sea': 'Indian Ocean',
+  'Banda Sea': 'Indian Ocean',
+};
+
+let indexPromise = null;
+
+function pointInBbox(lon, lat, box) {
+  const [minX, minY, maxX, maxY] = box;
+  return lon >= minX && lon <= maxX && lat >= minY && lat <= maxY;
+}
+
+/** Every ring vertex of a Polygon or MultiPolygon, as "lon,lat" keys rounded to 0.01°. */
+function vertexKeys(geometry) {
+  const polygons = geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates];
+  const keys = new Set();
+  for (const rings of polygons) {
+    for (const ring of rings) for (const [x, y] of ring) keys.add(`${x.toFixed(2)},${y.toFixed(2)}`);
+  }
+  return keys;
+}
+
+const round3 = (coords) => (typeof coords[0] === 'number' ? coords.map((v) => Math.round(v * 1e3) / 1e3) : coords.map(round3));
+
+/**
+ * Convert Natural Earth marine areas into the marine regions file. Features whose featurecla
+ * is "ocean" are the basins. Every other area takes the basin of the area it shares the most
+ * border vertices with, among the basins and the areas already assigned, repeated until no
+ * more can be assigned (a gulf inside a sea gets the sea's basin); areas that share no
+ * border with a basin this way (the Caspian) get ocean null. BASIN_OVERRIDES come first.
+ * Seas are listed before oceans and coordinates are rounded to 3 decimals (~100 m).
+ *
+ * @param {object} collection - Natural Earth marine polys FeatureCollection
+ * @returns {object} FeatureCollection of { name, kind: 'sea'|'ocean', ocean: string|null } features
+ */
+export function marineRegionsFromNaturalEarth(collection) {
+  const areas = [];
+  for (const f of collection?.features || []) {
+    const p = f.properties || {};
+    const name = p.name_en || p.name || p.NAME;
+    if (!name || !f.geometry || !['Polygon', 'MultiPolygon'].includes(f.geometry.type)) continue;
+    const isOcean = String(p.featurecla || p.FEATURECLA).toLowerCase() === 'ocean';
+    areas.push({ name, kind: isOcean ? 'ocean' : 'sea', ocean: isOcean ? name : BASIN_OVERRIDES[name] ?? null, geometry: f.geometry, keys: vertexKeys(f.geometry) });
+  }
+
+  const byKey = new Map();
+  areas.forEach((area, i) => {
+    for (const key of area.keys) {
+      if (!byKey.has(key)) byKey.set(key, []);
+      byKey.get(key).push(i);
+    }
+  });
+
+  for (let changed = true; changed; ) {
+    changed = false;
+    const next = areas.map((area) => {
+      if (area.ocean) return area.ocean;
+      const shared = new Map();
+      for (const key of area.keys) {
+        for (const j of byKey.get(key)) {
+          const basin = areas[j].ocean;
+          if (areas[j] !== area && basin) shared.set(basin, (shared.get(basin) ?? 0) + 1);
+        }
+      }
+      let best = null;
+      for (const [basin, count] of shared) if (!best || count > shared.get(best)) best = basin;
+      return best;
+    });
+    areas.forEach((area, i) => {
+      if (!area.ocean && next[i]) {
+        area.ocean = next[i];
+        changed = true;
+      }
+    });
+  }
+
+  const ordered = [...areas.filter((a) => a.kind === 'sea'), ...areas.filter((a) => a.kind === 'ocean')];
+  return {
+    type: 'FeatureCollection',
+    features: ordered.map(({ name, kind, ocean, geometry }) => ({
+      type: 'Feature',
+      properties: { name, kind, ocean },
+      geometry: { type: geometry.type, coordinates: round3(geometry.coordinates) },
+    })),
+  };
+}
+
+/**
+ * Marine regions with bboxes for a fast prefilter, in file order.
+ * @param {object} collection - Marine regions FeatureCollection
+ * @returns {Array<{ feature: object, bbox: number[] }>}
+ */
+export function createMarineIndex(collection) {
+  return (collection?.features || []).filter((feature) => feature.geometry).map((feature) => ({ feature, bbox: bbox(feature) }));
+}
+
+/**
+ * Sea or ocean basin containing a point; the first match wins.
+ *
+ * @param {ReturnType<typeof createMarineIndex>} index
+ * @param {number} lat - Latitude WGS84 (-90 to 90)
+ * @param {number} lon - Longitude WGS84 (-180 to 180)
+ * @returns {{ name: string, kind: 'sea'|'ocean', ocean: string|null }|null} ocean is the
+ *   basin ("North Atlantic Ocean"); null for inland seas (Caspian) or outside every polygon
+ */
+export function resolveMarineWithIndex(index, lat, lon) {
+  const pt = point([lon, lat]);
+  for (const { feature, bbox: box } of index) {
+    if (!pointInBbox(lon, lat, box)) continue;
+    if (booleanPointInPolygon(pt, feature)) {
+      const { name, kind, ocean } = feature.properties;
+      return { name, kind, ocean: ocean ?? null };
+    }
+  }
+  return null;
+}
+
+/**
+ * Load and index the marine regions file once. Resolves to null when the file is not available.
+ * @returns {Promise<ReturnType<typeof createMarineIndex>|null>}
+ */
+export function loadMarineIndex() {
+  indexPromise ??= fetch(MARINE_URL)
+    .then((res) => (res.ok && res.headers.get('content-type')?.includes('json') ? res.json() : null))
+    .then((collection) => (collection?.type === 'FeatureCollection' ? createMarineIndex(collection) : null))
+    .catch(() => null);
+  return indexPromise;
+}
+
+/**
+ * Resolve (lat, lon) to the sea or ocean basin containing it, or null (no marine regions
+ * file, or the point is outside every polygon).
+ * @param {number} lat
+ * @param {number} lon
+ * @returns {Promise<ReturnType<typeof resolveMarineWithIndex>>}
+ */
+export async function resolveMarineRegion(lat, lon) {
+  const index = await loadMarineIndex();
+  return index ? resolveMarineWithIndex(index, lat, lon) : null;
+}
@@ -9,7 +9,7 @@
 import booleanPointInPolygon from '@turf/boolean-point-in-polygon';
 import { point } from '@turf/helpers';
 import bbox from '@turf/bbox';
-import usStatesCollection from '../data/us_states.json';
+import usStatesCollection from '../data/us_states.json' with { type: 'json' };
 
 let cachedFeatures = null;
 
@@ -0,0 +1,222 @@
+/**
+ * permalink.js
+ *
+ * Serializes the globe's view and analysis state to and from the URL hash, e.g.
+ *   #lon=-70.5&lat=-23.1&z=4.2&th=0.72&cont=South%20America&cmp=1&slots=-67.9,-22.3;-69.2,-19.6
+ *
+ * Values equal to their defaults are omitted to keep links short. Decoding is lenient:
+ * unknown keys are ignored and malformed values fall back to the default, so old or
+ * hand-edited links still open.
+ */
+
+import { DEFAULT_SCORE_PARAMS } from '../scoring/compositeScore.js';
+import { BASEMAP_OPTIONS } from '../basemap/basemap.js';
+import {
+  DEFAULT_MAX_OFFSHORE_KM,
+  DEFAULT_SHORE_MODE,
+  DEFAULT_THRESHOLD_MODE,
+  MAX_OFFSHORE_RANGE,
+  SHORE_MODES,
+  THRESHOLD_MODES,
+  TOP_SITES_COUNT,
+} from '../sites/siteQuery.js';
+import { MIN_SEPARATION_RANGE, TOP_N_OPTIONS } from '../sites/topSites.js';
+import { DEFAULT_RADIUS_KM, RADIUS_RANGE } from '../spatial/radiusSearch.js';
+import { HEAT_FLOW_ESTIMATE_DEFAULTS, INTERPOLATION_METHODS } from '../spatial/heatFlowEstimate.js';
+import { AGGREGATE_FIELDS, AGGREGATE_OPS, CELL_SIZE_RANGE, DEFAULT_AGGREGATION, MAP_VIEW_MODES } from '../aggregation/cellStats.js';
+import { COUNTRY_METRICS } from '../aggregation/countryStats.js';
+
+/** Defaults for every linkable field (matches the initial state of GeothermalGlobe). */
+export const PERMALINK_DEFAULTS = {
+  view: { longitude: 0, latitude: 20, zoom: 1.5 },
+  threshold: 0.5,
+  thresholdMax: 1,
+  thresholdMode: DEFAULT_THRESHOLD_MODE,
+  continent: 'All',
+  subregion: 'All',
+  country: 'All',
+  region: 'All',
+  shore: DEFAULT_SHORE_MODE,
+  maxOffshoreKm: null,
+  topN: TOP_SITES_COUNT,
+  minSeparationKm: 0,
+  groupNeighbours: false,
+  interpolation: HEAT_FLOW_ESTIMATE_DEFAULTS.method,
+  showSurface: false,
+  showBoundaries: true,
+  hiddenPlates: [],
+  basemap: 'auto',
+  touchTooltips: true,
+  compareMode: false,
+  slots: [],
+  clickCoordinate: null,
+  selectedSite: null,
+  scoreParams: DEFAULT_SCORE_PARAMS,
+  area: null,
+  radiusKm: null,
+  aggregation: DEFAULT_AGGREGATION,
+};
+
+const round = (v, digits) => Number(Number(v).toFixed(digits));
+
+function encodeLonLat(lonLat) {
+  return `${round(lonLat[0], 4)},${round(lonLat[1], 4)}`;
+}
+
+function decodeLonLat(value) {
+  if (!value) return null;
+  const parts = value.split(',').map(Number);
+  if (parts.length !== 2 || !parts.every(Number.isFinite)) return null;
+  const [lon, lat] = parts;
+  if (lat < -90 || lat > 90 || lon < -180 || lon > 180) return null;
+  return [lon, lat];
+}
+
+function decodeNumber(value, fallback, min, max) {
+  if (value == null || value === '') return fallback;
+  const n = Number(value);
+  return Number.isFinite(n) && n >= min && n <= max ? n : fallback;
+}
+
+/**
+ * Encode state as a hash string (with leading "#", or "" when everything is default).
+ *
+ * @param {{ view: { longitude: number, latitude: number, zoom: number }, threshold: number, thresholdMax: number, thresholdMode: string,
+ *   continent: string, subregion: string, country: string, region: string, shore: string, maxOffshoreKm: number|null,
+ *   topN: number, minSeparationKm: number, groupNeighbours: boolean, interpolation: string, showSurface: boolean, showBoundaries: boolean, hiddenPlates: string[], basemap: string, touchTooltips: boolean, compareMode: boolean,
+ *   slots: Array<[number, number]>,
+ *   clickCoordinate: [number, number]|null, selectedSite: [number, number]|null,
+ *   scoreParams: { heatFlowWeight: number, capPercentile: number, sigmaKm: number },
+ *   area: { polygon: Array<[number, number]>, filter: boolean }|null, radiusKm: number|null,
+ *   aggregation: { mode: string, field: string, op: string, cellKm: number, countryMetric: string } }} state
+ *   Compare slots (in letter order), click and selected site are [lon, lat] coordinates.
+ * @returns {string}
+ */
+export function encodePermalink(state) {
+  const d = PERMALINK_DEFAULTS;
+  const params = new URLSearchParams();
+  const lon = round(state.view.longitude, 3);
+  const lat = round(state.view.latitude, 3);
+  const zoom = round(state.view.zoom, 2);
+  if (lon !== d.view.longitude || lat !== d.view.latitude || zoom !== d.view.zoom) {
+    params.set('lon', lon);
+    params.set('lat', lat);
+    params.set('z', zoom);
+  }
+  if (state.threshold !== d.threshold) params.set('th', round(state.threshold, 2));
+  if (state.thresholdMode && state.thresholdMode !== d.thresholdMode) params.set('thm', state.thresholdMode);
+  if (state.thresholdMax != null && state.thresholdMax !== d.thresholdMax) params.set('thmax', round(state.thresholdMax, 2));
+  if (state.continent !== d.continent) params.set('cont', state.continent);
+  if (state.subregion && state.subregion !== d.subregion) params.set('sub', state.subregion);
+  if (state.country !== d.country) params.set('ctry', state.country);
+  if (state.region && state.region !== d.region) params.set('reg', state.region);
+  if (state.shore && state.shore !== d.shore) params.set('shore', state.shore);
+  if (state.maxOffshoreKm != null) params.set('offkm', state.maxOffshoreKm);
+  if (state.topN != null && state.topN !== d.topN) params.set('topn', state.topN);
+  if (state.minSeparationKm) params.set('sep', state.minSeparationKm);
+  if (state.groupNeighbours) params.set('nbr', '1');
+  if (state.interpolation && state.interpolation !== d.interpolation) params.set('interp', state.interpolation);
+  if (state.showSurface) params.set('surf', '1');
+  if (!state.showBoundaries) params.set('pb', '0');
+  if (state.basemap && state.basemap !== d.basemap) params.set('bm', state.basemap);
+  if (state.touchTooltips === false) params.set('tt', '0');
+  if (state.hiddenPlates?.length) params.set('hp', [...state.hiddenPlates].sort().join(','));
+  if (state.compareMode) params.set('cmp', '1');
+  if (state.slots.length) params.set('slots', state.slots.map(encodeLonLat).join(';'));
+  if (state.clickCoordinate) params.set('pt', encodeLonLat(state.clickCoordinate));
+  if (state.selectedSite && (!state.clickCoordinate || encodeLonLat(state.selectedSite) !== encodeLonLat(state.clickCoordinate))) {
+    params.set('site', encodeLonLat(state.selectedSite));
+  }
+  const sp = state.scoreParams;
+  if (sp.heatFlowWeight !== d.scoreParams.heatFlowWeight) params.set('hfw', sp.heatFlowWeight);
+  if (sp.capPercentile !== d.scoreParams.capPercentile) params.set('cap', sp.capPercentile);
+  if (sp.sigmaKm !== d.scoreParams.sigmaKm) params.set('sig', sp.sigmaKm);
+  if (state.area?.polygon?.length) {
+    params.set('area', state.area.polygon.map(encodeLonLat).join(';'));
+    if (state.area.filter) params.set('af', '1');
+  }
+  // Radius search is on when a radius is set; its center is the click point (pt).
+  if (state.radiusKm != null) params.set('rad', state.radiusKm);
+  const agg = state.aggregation ?? d.aggregation;
+  if (agg.mode !== d.aggregation.mode) params.set('agg', agg.mode);
+  if (agg.field !== d.aggregation.field) params.set('aggf', agg.field);
+  if (agg.op !== d.aggregation.op) params.set('aggop', agg.op);
+  if (agg.cellKm !== d.aggregation.cellKm) params.set('cell', agg.cellKm);
+  if (agg.countryMetric && agg.countryMetric !== d.aggregation.countryMetric) params.set('aggc', agg.countryMetric);
+  const str = params.toString();
+  return str ? `#${str}` : '';
+}
+
+/**
+ * Decode a hash string (with or without leading "#"). Missing fields take their defaults.
+ * @param {string} hash
+ * @returns {typeof PERMALINK_DEFAULTS}
+ */
+export function decodePermalink(hash) {
+  const d = PERMALINK_DEFAULTS;
+  const params = new URLSearchParams((hash ?? '').replace(/^#/, ''));
+  const clickCoordinate = decodeLonLat(params.get('pt'));
+  const areaPolygon = params.get('area')?.split(';').map(decodeLonLat);
+  return {
+    view: {
+      longitude: decodeNumber(params.get('lon'), d.view.longitude, -180, 180),
+      latitude: decodeNumber(params.get('lat'), d.view.latitude, -90, 90),
+      zoom: decodeNumber(params.get('z'), d.view.zoom, 0, 20),
+    },
+    threshold: decodeNumber(params.get('th'), d.threshold, 0, 1),
+    thresholdMax: decodeNumber(params.get('thmax'), d.thresholdMax, 0, 1),
+    thresholdMode: THRESHOLD_MODES.some((m) => m.id === params.get('thm')) ? params.get('thm') : d.thresholdMode,
+    continent: params.get('cont') || d.continent,
+    subregion: params.get('sub') || d.subregion,
+    country: params.get('ctry') || d.country,
+    region: params.get('reg') || d.region,
+    shore: SHORE_MODES.some((m) => m.id === params.get('shore')) ? params.get('shore') : d.shore,
+    maxOffshoreKm: params.has('offkm')
+      ? decodeNumber(params.get('offkm'), DEFAULT_MAX_OFFSHORE_KM, MAX_OFFSHORE_RANGE.min, MAX_OFFSHORE_RANGE.max)
+      : d.maxOffshoreKm,
+    topN: TOP_N_OPTIONS.includes(Number(params.get('topn'))) ? Number(params.get('topn')) : d.topN,
+    minSeparationKm: decodeNumber(params.get('sep'), d.minSeparationKm, MIN_SEPARATION_RANGE.min, MIN_SEPARATION_RANGE.max),
+    groupNeighbours: params.get('nbr') === '1',
+    interpolation: INTERPOLATION_METHODS.some((m) => m.id === params.get('interp')) ? params.get('interp') : d.interpolation,
+    showSurface: params.get('surf') === '1',
+    showBoundaries: params.get('pb') !== '0',
+    basemap: BASEMAP_OPTIONS.some((b) => b.id === params.get('bm')) ? params.get('bm') : d.basemap,
+    touchTooltips: params.get('tt') !== '0',
+    hiddenPlates: params.get('hp')?.split(',').filter((code) => /^[A-Za-z]{2}$/.test(code)) ?? [],
+    compareMode: params.get('cmp') === '1',
+    // Links from the two-slot compare mode used a= and b=.
+    slots: (params.get('slots')?.split(';') ?? [params.get('a'), params.get('b')]).map(decodeLonLat).filter(Boolean),
+    clickCoordinate,
+    selectedSite: decodeLonLat(params.get('site')) ?? clickCoordinate,
+    scoreParams: {
+      heatFlowWeight: decodeNumber(params.get('hfw'), d.scoreParams.heatFlowWeight, 0, 1),
+      capPercentile: decodeNumber(params.get('cap'), d.scoreParams.capPercentile, 0, 100),
+      sigmaKm: decodeNumber(params.get('sig'), d.scoreParams.sigmaKm, 1, 100000),
+    },
+    // A polygon with any malformed vertex is dropped rather than reshaped.
+    area: areaPolygon?.length >= 3 && areaPolygon.every(Boolean) ? { polygon: areaPolygon, filter: params.get('af') === '1' } : d.area,
+    radiusKm: params.has('rad') ? decodeNumber(params.get('rad'), DEFAULT_RADIUS_KM, RADIUS_RANGE.min, RADIUS_RANGE.max) : d.radiusKm,
+    aggregation: {
+      mode: MAP_VIEW_MODES.some((m) => m.id === params.get('agg')) ? params.get('agg') : d.aggregation.mode,
+      field: Object.hasOwn(AGGREGATE_FIELDS, params.get('aggf') ?? '') ? params.get('aggf') : d.aggregation.field,
+      op: Object.hasOwn(AGGREGATE_OPS, params.get('aggop') ?? '') ? params.get('aggop') : d.aggregation.op,
+      cellKm: decodeNumber(params.get('cell'), d.aggregation.cellKm, CELL_SIZE_RANGE.min, CELL_SIZE_RANGE.max),
+      countryMetric: Object.hasOwn(COUNTRY_METRICS, params.get('aggc') ?? '') ? params.get('aggc') : d.aggregation.countryMetric,
+    },
+  };
+}
+
+/**
+ * Same state apart from the camera? Camera-only changes replace the current history entry
+ * instead of pushing a new one, so back/forward steps through analysis changes.
+ * @param {string} hashA
+ * @param {string} hashB
+ */
+export function sameExceptView(hashA, hashB) {
+  const strip = (hash) => {
+    const params = new URLSearchParams((hash ?? '').replace(/^#/, ''));
+    ['lon', 'lat', 'z'].forEach((k) => params.delete(k));
+    return params.toString();
+  };
+  return strip(hashA) === strip(hashB);
+}
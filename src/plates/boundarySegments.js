@@ -0,0 +1,132 @@
+/**
+ * boundarySegments.js
+ *
+ * Live distance from any point to the plate boundaries in public/plate_boundaries.json,
+ * measured to the nearest boundary segment (great-circle arc between consecutive path
+ * vertices) rather than the nearest vertex, with the closest point on that segment and
+ * the plates it separates.
+ *
+ * Segments are indexed by their midpoints with createSiteIndex. A point on a segment is
+ * at most half the segment's length from its midpoint, so after measuring the segment
+ * with the nearest midpoint (distance d), only segments whose midpoint lies within
+ * d + the longest half-length can be closer; those are measured exactly.
+ *
+ * Imported sites, the interpolated estimate and surface are scored with this distance.
+ * Record bd values keep the pipeline's nearest-vertex distance (its BallTree step, see
+ * createBoundaryIndex).
+ */
+
+import { createSiteIndex, EARTH_RADIUS_KM, haversineKm } from '../spatial/siteIndex.js';
+
+const toRad = (deg) => (deg * Math.PI) / 180;
+const toDeg = (rad) => (rad * 180) / Math.PI;
+
+function toVector([lon, lat]) {
+  const phi = toRad(lat);
+  const lambda = toRad(lon);
+  return [Math.cos(phi) * Math.cos(lambda), Math.cos(phi) * Math.sin(lambda), Math.sin(phi)];
+}
+
+function toLonLat([x, y, z]) {
+  return [toDeg(Math.atan2(y, x)), toDeg(Math.atan2(z, Math.hypot(x, y)))];
+}
+
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+const cross = (a, b) => [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+
+function normalize(v) {
+  const len = Math.hypot(v[0], v[1], v[2]);
+  return len < 1e-12 ? null : [v[0] / len, v[1] / len, v[2] / len];
+}
+
+/**
+ * Great-circle distance from (lon, lat) to the arc from a to b, and the closest point on it.
+ *
+ * @param {number} lon
+ * @param {number} lat
+ * @param {[number, number]} a - Segment start [lon, lat]
+ * @param {[number, number]} b - Segment end [lon, lat]
+ * @returns {{ distanceKm: number, point: [number, number] }}
+ */
+export function pointToSegment(lon, lat, a, b) {
+  const da = haversineKm(lon, lat, a[0], a[1]);
+  const db = haversineKm(lon, lat, b[0], b[1]);
+  const endpoint = da <= db ? { distanceKm: da, point: a } : { distanceKm: db, point: b };
+
+  const A = toVector(a);
+  const B = toVector(b);
+  const P = toVector([lon, lat]);
+  const n = normalize(cross(A, B));
+  if (!n) return endpoint;
+  // Project onto the segment's great circle; the foot counts only if it lies between a and b.
+  const pn = dot(P, n);
+  const C = normalize([P[0] - pn * n[0], P[1] - pn * n[1], P[2] - pn * n[2]]);
+  if (!C || dot(cross(A, C), n) < 0 || dot(cross(C, B), n) < 0) return endpoint;
+  const distanceKm = EARTH_RADIUS_KM * Math.atan2(Math.abs(pn), dot(P, C));
+  return distanceKm < endpoint.distanceKm ? { distanceKm, point: toLonLat(C) } : endpoint;
+}
+
+/**
+ * Points along the great circle from a to b, about every stepKm, for drawing the line
+ * from a point to its nearest boundary on the globe.
+ *
+ * @param {[number, number]} a
+ * @param {[number, number]} b
+ * @param {number} [stepKm]
+ * @returns {Array<[number, number]>}
+ */
+export function greatCirclePath(a, b, stepKm = 50) {
+  const A = toVector(a);
+  const B = toVector(b);
+  const omega = Math.acos(Math.max(-1, Math.min(1, dot(A, B))));
+  const steps = Math.max(1, Math.ceil((omega * EARTH_RADIUS_KM) / stepKm));
+  if (omega < 1e-9) return [a, b];
+  const path = [a];
+  for (let s = 1; s < steps; s++) {
+    const t = s / steps;
+    const wa = Math.sin((1 - t) * omega) / Math.sin(omega);
+    const wb = Math.sin(t * omega) / Math.sin(omega);
+    path.push(toLonLat([wa * A[0] + wb * B[0], wa * A[1] + wb * B[1], wa * A[2] + wb * B[2]]));
+  }
+  path.push(b);
+  return path;
+}
+
+/**
+ * Index every boundary segment for nearest-segment lookups.
+ *
+ * @param {object[]} boundaries - plate_boundaries.json entries ({ plate, neighbor, plateName, neighborName, path })
+ * @returns {{ nearest: (lon: number, lat: number) => { distanceKm: number, point: [number, number], boundary: object }|null }}
+ */
+export function createBoundarySegmentIndex(boundaries) {
+  const segments = [];
+  let maxHalfKm = 0;
+  for (const boundary of boundaries) {
+    const path = boundary.path ?? [];
+    for (let i = 0; i + 1 < path.length; i++) {
+      const a = path[i];
+      const b = path[i + 1];
+      const va = toVector(a);
+      const vb = toVector(b);
+      const mid = normalize([va[0] + vb[0], va[1] + vb[1], va[2] + vb[2]]);
+      if (!mid) continue;
+      const halfKm = haversineKm(a[0], a[1], b[0], b[1]) / 2;
+      maxHalfKm = Math.max(maxHalfKm, halfKm);
+      segments.push({ coordinates: toLonLat(mid), a, b, boundary });
+    }
+  }
+  const index = createSiteIndex(segments);
+
+  return {
+    nearest(lon, lat) {
+      const [first] = index.nearest(lon, lat);
+      if (!first) return null;
+      let best = { ...pointToSegment(lon, lat, first.item.a, first.item.b), boundary: first.item.boundary };
+      for (const { item } of index.withinRadius(lon, lat, best.distanceKm + maxHalfKm)) {
+        const hit = pointToSegment(lon, lat, item.a, item.b);
+        if (hit.distanceKm < best.distanceKm) best = { ...hit, boundary: item.boundary };
+      }
+      return best;
+    },
+  };
+}
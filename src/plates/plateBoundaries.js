@@ -0,0 +1,97 @@
+/**
+ * plateBoundaries.js
+ *
+ * Helpers for public/plate_boundaries.json: one path per stretch of boundary between two
+ * plates, as { plate, neighbor, plateName, neighborName, path } (see
+ * scripts/plate_boundaries.py). Colors per plate pair, plate list for the legend and
+ * toggles, and a vertex index that reproduces the pipeline's bd.
+ */
+
+import { createSiteIndex } from '../spatial/siteIndex.js';
+
+/** Distinct colors for boundary pairs; a pair always maps to the same entry. */
+const PAIR_PALETTE = [
+  [255, 190, 60],
+  [255, 110, 90],
+  [120, 200, 255],
+  [170, 255, 120],
+  [255, 130, 220],
+  [200, 160, 255],
+  [255, 240, 120],
+  [90, 240, 200],
+  [255, 160, 120],
+  [150, 170, 255],
+];
+
+/** Stable key for a boundary's plate pair, e.g. "eu-na". */
+export function boundaryPairKey(boundary) {
+  return boundary.neighbor ? `${boundary.plate}-${boundary.neighbor}` : boundary.plate;
+}
+
+/** Human label, e.g. "Eurasia – North America". */
+export function boundaryLabel(boundary) {
+  const a = boundary.plateName ?? boundary.plate;
+  const b = boundary.neighborName ?? boundary.neighbor;
+  return b ? `${a} – ${b}` : a;
+}
+
+/** Plate identifiers, e.g. "EU / NA". */
+export function boundaryCodes(boundary) {
+  return [boundary.plate, boundary.neighbor].filter(Boolean).map((c) => c.toUpperCase()).join(' / ');
+}
+
+/**
+ * RGB color for a boundary's plate pair.
+ * @param {{ plate: string, neighbor?: string|null }} boundary
+ * @returns {[number, number, number]}
+ */
+export function pairColor(boundary) {
+  const key = boundaryPairKey(boundary);
+  let h = 0;
+  for (let i = 0; i < key.length; i++) h = (h * 31 + key.charCodeAt(i)) >>> 0;
+  return PAIR_PALETTE[h % PAIR_PALETTE.length];
+}
+
+/**
+ * Plates present in the boundary data, sorted by name, each with its boundary pairs.
+ * @param {object[]} boundaries
+ * @returns {Array<{ code: string, name: string, pairs: Array<{ key: string, label: string, color: number[] }> }>}
+ */
+export function listPlates(boundaries) {
+  const plates = new Map();
+  const addPair = (code, name, boundary) => {
+    if (!plates.has(code)) plates.set(code, { code, name: name ?? code, pairs: new Map() });
+    const key = boundaryPairKey(boundary);
+    plates.get(code).pairs.set(key, { key, label: boundaryLabel(boundary), color: pairColor(boundary) });
+  };
+  for (const b of boundaries) {
+    addPair(b.plate, b.plateName, b);
+    if (b.neighbor) addPair(b.neighbor, b.neighborName, b);
+  }
+  return [...plates.values()]
+    .map((p) => ({ ...p, pairs: [...p.pairs.values()] }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * A boundary is drawn only while both plates it separates are visible.
+ * @param {object} boundary
+ * @param {Set<string>} hiddenPlates
+ */
+export function isBoundaryVisible(boundary, hiddenPlates) {
+  return !hiddenPlates.has(boundary.plate) && !(boundary.neighbor && hiddenPlates.has(boundary.neighbor));
+}
+
+/**
+ * Index every boundary vertex. Nearest-vertex distance matches the BallTree step in
+ * scripts/process_dataset.py, so it reproduces a record's bd and names the boundary.
+ * @param {object[]} boundaries
+ * @returns {ReturnType<typeof createSiteIndex>} items are { coordinates, boundary }
+ */
+export function createBoundaryIndex(boundaries) {
+  const vertices = [];
+  for (const boundary of boundaries) {
+    for (const coordinates of boundary.path ?? []) vertices.push({ coordinates, boundary });
+  }
+  return createSiteIndex(vertices);
+}
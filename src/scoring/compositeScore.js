@@ -0,0 +1,103 @@
+/**
+ * compositeScore.js
+ *
+ * Recomputes the composite geothermal score in the browser from each record's
+ * heat flow (hf, mW/m²) and plate boundary distance (bd, km). Mirrors the formula
+ * in scripts/process_dataset.py:
+ *
+ *   hf_score  = min(hf, cap) / cap          (cap = Nth percentile of all heat flow)
+ *   proximity = exp(-bd / sigma_km)
+ *   score     = w * hf_score + (1 - w) * proximity
+ *
+ * The pipeline uses w = 0.70, a 99.5th percentile cap and sigma = 300 km. Those are
+ * the defaults here; the sidebar lets users change them without rerunning Python.
+ */
+
+/** Parameters used by scripts/process_dataset.py. */
+export const DEFAULT_SCORE_PARAMS = {
+  heatFlowWeight: 0.7,
+  capPercentile: 99.5,
+  sigmaKm: 300,
+};
+
+/**
+ * Linear-interpolated quantile of an ascending sorted array (same method as pandas).
+ * @param {number[]} sorted - Values sorted ascending
+ * @param {number} q - Quantile in [0, 1]
+ * @returns {number|null} null for an empty array
+ */
+export function quantileSorted(sorted, q) {
+  if (!sorted.length) return null;
+  const pos = (sorted.length - 1) * Math.max(0, Math.min(1, q));
+  const lo = Math.floor(pos);
+  const hi = Math.min(lo + 1, sorted.length - 1);
+  return sorted[lo] + (pos - lo) * (sorted[hi] - sorted[lo]);
+}
+
+/**
+ * Heat-flow cap at the given percentile over all records with a positive hf.
+ * @param {Array<{ hf?: number }>} records
+ * @param {number} percentile - 0..100 (e.g. 99.5)
+ * @returns {number|null} null when no record has heat flow
+ */
+export function computeHeatFlowCap(records, percentile) {
+  const values = [];
+  for (const r of records) {
+    if (r.hf != null && r.hf > 0) values.push(r.hf);
+  }
+  values.sort((a, b) => a - b);
+  return quantileSorted(values, percentile / 100);
+}
+
+/**
+ * Build a scoring function for the given parameters.
+ * Records without hf or bd cannot be rescored, so the returned components are null
+ * and callers should keep the dataset score.
+ *
+ * @param {{ heatFlowWeight: number, sigmaKm: number, cap: number|null }} params
+ * @returns {(hf: number|null|undefined, bd: number|null|undefined) => { cappedHf: number, hfScore: number, proximity: number, heatFlowContribution: number, proximityContribution: number, score: number }|null}
+ *   cappedHf is min(hf, cap), the heat flow the score actually sees
+ */
+export function createScorer({ heatFlowWeight, sigmaKm, cap }) {
+  const w = Math.max(0, Math.min(1, heatFlowWeight));
+  return (hf, bd) => {
+    if (hf == null || bd == null || !cap || !(sigmaKm > 0)) return null;
+    const cappedHf = Math.min(Math.max(hf, 0), cap);
+    const hfScore = cappedHf / cap;
+    const proximity = Math.exp(-Math.max(bd, 0) / sigmaKm);
+    const heatFlowContribution = w * hfScore;
+    const proximityContribution = (1 - w) * proximity;
+    const score = Math.round((heatFlowContribution + proximityContribution) * 1e4) / 1e4;
+    return { cappedHf, hfScore, proximity, heatFlowContribution, proximityContribution, score };
+  };
+}
+
+/**
+ * Return a copy of a site with its score recomputed by scorer. Sites that cannot be
+ * rescored (missing hf or bd) are returned unchanged.
+ * @param {object|null} site
+ * @param {ReturnType<typeof createScorer>} scorer
+ */
+export function rescoreSite(site, scorer) {
+  if (!site) return site;
+  const parts = scorer(site.hf, site.bd);
+  if (!parts || parts.score === site.score) return site;
+  return { ...site, score: parts.score };
+}
+
+/**
+ * Rescore every record. Returns the input array when nothing changed so memoized
+ * consumers do not recompute.
+ * @param {object[]} records
+ * @param {ReturnType<typeof createScorer>} scorer
+ * @returns {object[]}
+ */
+export function rescoreRecords(records, scorer) {
+  let changed = false;
+  const out = records.map((r) => {
+    const next = rescoreSite(r, scorer);
+    if (next !== r) changed = true;
+    return next;
+  });
+  return changed ? out : records;
+}
@@ -0,0 +1,92 @@
+/**
+ * scoreHistogram.js
+ *
+ * Distribution of the filtered sites for the threshold histogram: score on the threshold
+ * mode's [0, 1] scale (the value the slider compares against) and heat flow, each bin
+ * split into all filtered sites and the ones kept by the threshold band. Also the helpers
+ * that turn a drag across score bins into a band.
+ */
+
+/** Score bins over the [0, 1] threshold scale; 0.02 wide, so bin edges match the slider step. */
+export const SCORE_HISTOGRAM_BINS = 50;
+
+/** Heat-flow bins from 0 to the score's heat-flow cap; values above the cap fall in the last bin. */
+export const HF_HISTOGRAM_BINS = 25;
+
+/**
+ * Empty histogram with evenly spaced edges.
+ * @param {number} min
+ * @param {number} max
+ * @param {number} bins
+ * @returns {{ edges: number[], counts: number[], kept: number[] }}
+ */
+export function createHistogram(min, max, bins) {
+  return {
+    edges: Array.from({ length: bins + 1 }, (_, i) => min + ((max - min) * i) / bins),
+    counts: new Array(bins).fill(0),
+    kept: new Array(bins).fill(0),
+  };
+}
+
+/** Bin a value falls in, clamped to the first / last bin. */
+export function binIndex(histogram, value) {
+  const bins = histogram.counts.length;
+  const min = histogram.edges[0];
+  const max = histogram.edges[bins];
+  const i = Math.floor(((value - min) / (max - min || 1)) * bins);
+  return Math.max(0, Math.min(bins - 1, i));
+}
+
+/**
+ * Score and heat-flow histograms of the filtered sites.
+ *
+ * @param {object[]} records
+ * @param {ArrayLike<number>} filtered - Record indices in the region / area filter
+ * @param {(i: number) => number} scaledScore - A record's score on the threshold scale
+ * @param {Uint8Array} keptMask - 1 where the record is inside the threshold band
+ * @param {number|null} heatFlowCap
+ * @returns {{ score: ReturnType<typeof createHistogram>, hf: ReturnType<typeof createHistogram>|null }}
+ */
+export function distributionHistograms(records, filtered, scaledScore, keptMask, heatFlowCap) {
+  const score = createHistogram(0, 1, SCORE_HISTOGRAM_BINS);
+  const hf = heatFlowCap > 0 ? createHistogram(0, heatFlowCap, HF_HISTOGRAM_BINS) : null;
+  for (const i of filtered) {
+    const s = binIndex(score, scaledScore(i));
+    score.counts[s]++;
+    if (keptMask[i]) score.kept[s]++;
+    const value = records[i].hf;
+    if (!hf || value == null) continue;
+    const h = binIndex(hf, value);
+    hf.counts[h]++;
+    if (keptMask[i]) hf.kept[h]++;
+  }
+  return { score, hf };
+}
+
+/**
+ * Threshold band from a drag across score bins (start and end bin, either order). A click
+ * on a single bin sets only the floor, like the slider.
+ * @param {number} startBin
+ * @param {number} endBin
+ * @param {number} [bins]
+ * @returns {{ min: number, max: number }}
+ */
+export function bandFromBins(startBin, endBin, bins = SCORE_HISTOGRAM_BINS) {
+  const lo = Math.min(startBin, endBin);
+  const hi = Math.max(startBin, endBin);
+  const round = (v) => Math.round(v * 100) / 100;
+  return { min: round(lo / bins), max: lo === hi ? 1 : round((hi + 1) / bins) };
+}
+
+/**
+ * Sites in bins that lie inside a band; a live estimate while a band is being dragged.
+ * @param {ReturnType<typeof createHistogram>} histogram
+ * @param {{ min: number, max: number }} band
+ */
+export function countInBand(histogram, { min, max }) {
+  let count = 0;
+  histogram.counts.forEach((c, i) => {
+    if (histogram.edges[i] >= min - 1e-9 && histogram.edges[i + 1] <= max + 1e-9) count += c;
+  });
+  return count;
+}
@@ -0,0 +1,274 @@
+/**
+ * siteQuery.js
+ *
+ * Rescore, filter and threshold queries over the site records. Pure functions so the
+ * site worker (src/workers/siteWorker.js) can run them off the main thread and the
+ * scripts/ tests can run them in Node.
+ *
+ * Results are index-based (Int32Array into the records array) plus a Float64Array of
+ * rescored values, so they can be transferred between threads without copying records.
+ */
+
+import { computeHeatFlowCap, createScorer } from '../scoring/compositeScore.js';
+import { MIN_POLYGON_VERTICES, createPolygonTest, summarizeArea } from '../area/areaSelection.js';
+import { distributionHistograms } from './scoreHistogram.js';
+import { summarizeCountries } from '../aggregation/countryStats.js';
+import { selectTopSites } from './topSites.js';
+
+/** Default length of the sidebar Top N list. */
+export const TOP_SITES_COUNT = 20;
+
+/** Per-records-array cache of values that do not depend on query params. */
+const statsByRecords = new WeakMap();
+
+function getRecordStats(records) {
+  let stats = statsByRecords.get(records);
+  if (!stats) {
+    stats = {
+      caps: new Map(),
+      countries: [...new Set(records.map((pt) => pt.countryName).filter(Boolean))].sort(),
+    };
+    statsByRecords.set(records, stats);
+  }
+  return stats;
+}
+
+/**
+ * Min/max of scores over the given indices. { min: 0, max: 1 } when empty.
+ * @param {Float64Array} scores
+ * @param {ArrayLike<number>} indices
+ * @returns {{ min: number, max: number }}
+ */
+export function scoreExtent(scores, indices) {
+  if (!indices.length) return { min: 0, max: 1 };
+  let min = Infinity;
+  let max = -Infinity;
+  for (const i of indices) {
+    const s = scores[i];
+    if (s < min) min = s;
+    if (s > max) max = s;
+  }
+  return { min, max };
+}
+
+/**
+ * Min-max normalizer for an extent: maps scores into [0, 1] (clamped).
+ * @param {{ min: number, max: number }} extent
+ * @returns {(score: number|null|undefined) => number}
+ */
+export function createNormalizer({ min, max }) {
+  const range = max - min || 1;
+  return (s) => (Math.max(min, Math.min(max, s ?? 0)) - min) / range;
+}
+
+/**
+ * What the threshold (and the dot color ramp) compares against:
+ * - normalized: min-max rescaled within the current filter, so the best filtered site is 1
+ * - absolute: the composite score as is, comparable across filters
+ * - percentile: share of filtered sites scoring lower, so 0.9 keeps the top 10%
+ */
+export const THRESHOLD_MODES = [
+  { id: 'normalized', label: 'Normalized in filter' },
+  { id: 'absolute', label: 'Absolute score' },
+  { id: 'percentile', label: 'Percentile in filter' },
+];
+export const DEFAULT_THRESHOLD_MODE = 'normalized';
+
+/**
+ * Share of the sorted scores strictly below s: 0 for the lowest score, 1 for the highest
+ * (ties share the rank of their first occurrence).
+ * @param {Float64Array} sorted - Ascending
+ * @param {number} s
+ */
+export function percentileRank(sorted, s) {
+  if (sorted.length < 2) return sorted.length && s >= sorted[0] ? 1 : 0;
+  let lo = 0;
+  let hi = sorted.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (sorted[mid] < s) lo = mid + 1;
+    else hi = mid;
+  }
+  return Math.min(1, lo / (sorted.length - 1));
+}
+
+/**
+ * Score scale for a threshold mode: maps a composite score into [0, 1], the range of the
+ * threshold slider and the color ramp. Shared by querySites and the map so both agree.
+ * @param {'normalized'|'absolute'|'percentile'} mode
+ * @param {{ extent: { min: number, max: number }, sortedScores: Float64Array }} stats - From a querySites result
+ * @returns {(score: number|null|undefined) => number}
+ */
+export function createScoreScale(mode, { extent, sortedScores }) {
+  if (mode === 'absolute') return createNormalizer({ min: 0, max: 1 });
+  if (mode === 'percentile') return (s) => percentileRank(sortedScores, s ?? 0);
+  return createNormalizer(extent);
+}
+
+/** Onshore / offshore filter: records are onshore inside a country polygon (see coastline.js). */
+export const SHORE_MODES = [
+  { id: 'both', label: 'Both' },
+  { id: 'onshore', label: 'Onshore only' },
+  { id: 'offshore', label: 'Offshore only' },
+];
+export const DEFAULT_SHORE_MODE = 'both';
+
+/** "Max km offshore" slider range, and the limit it starts at when switched on. */
+export const MAX_OFFSHORE_RANGE = { min: 0, max: 500, step: 5 };
+export const DEFAULT_MAX_OFFSHORE_KM = 50;
+
+/**
+ * True when a record passes the shore filter: its onshore flag matches the mode and, with
+ * maxOffshoreKm, it lies at most that far from the coast offshore (onshore records always
+ * pass the distance limit). Records without a classification only pass "both" with no limit.
+ * @param {{ onshore?: boolean|null, coastKm?: number|null }} pt
+ * @param {'both'|'onshore'|'offshore'} shore
+ * @param {number|null} maxOffshoreKm
+ */
+export function passesShoreFilter(pt, shore, maxOffshoreKm) {
+  if (shore === 'onshore' && pt.onshore !== true) return false;
+  if (shore === 'offshore' && pt.onshore !== false) return false;
+  return maxOffshoreKm == null || (pt.coastKm != null && pt.coastKm <= maxOffshoreKm);
+}
+
+/**
+ * Rescore, filter by region (continent, UN subregion, country and, within a country,
+ * first-level subdivision via stateName) and shore (onshore / offshore and distance
+ * offshore, see passesShoreFilter), and apply the high-potential threshold band (score, on the
+ * thresholdMode's scale, between threshold and thresholdMax). With an area polygon, also
+ * summarize the region-filtered sites inside it, and optionally filter to them.
+ *
+ * subregions lists the subregions present in the selected continent and regions the
+ * subdivisions present in the selected country, for the Subregion and Region filters.
+ * withCountryStats adds per-country aggregates for the choropleth. They ignore the country
+ * and region filters (so every country in the continent / subregion / area stays comparable) and
+ * apply the threshold on a scale built over that wider set.
+ *
+ * top is the best topN sites above the threshold, at least minSeparationKm apart when set
+ * (see selectTopSites); with groupNeighbours, topGroups lists the sites each one suppressed.
+ *
+ * @param {object[]} records - Site records ({ coordinates, score, hf, bd, continentName, countryName, ... })
+ * @param {{ continent?: string, subregion?: string, country?: string, region?: string,
+ *   shore?: 'both'|'onshore'|'offshore', maxOffshoreKm?: number|null, threshold?: number, thresholdMax?: number,
+ *   thresholdMode?: 'normalized'|'absolute'|'percentile', scoreParams: { heatFlowWeight: number, capPercentile: number, sigmaKm: number },
+ *   area?: { polygon: Array<[number, number]>, filter: boolean }|null, withCountryStats?: boolean,
+ *   topN?: number, minSeparationKm?: number, groupNeighbours?: boolean }} params
+ * @returns {{
+ *   scores: Float64Array,
+ *   filtered: Int32Array,
+ *   high: Int32Array,
+ *   top: Int32Array,
+ *   topGroups: ReturnType<typeof selectTopSites>['groups'],
+ *   extent: { min: number, max: number },
+ *   sortedScores: Float64Array,
+ *   heatFlowCap: number|null,
+ *   countries: string[],
+ *   subregions: string[],
+ *   regions: string[],
+ *   areaStats: ReturnType<typeof summarizeArea>|null,
+ *   histograms: ReturnType<typeof distributionHistograms>,
+ *   countryStats: ReturnType<typeof summarizeCountries>|null,
+ * }}
+ */
+export function querySites(
+  records,
+  {
+    continent = 'All',
+    subregion = 'All',
+    country = 'All',
+    region = 'All',
+    shore = DEFAULT_SHORE_MODE,
+    maxOffshoreKm = null,
+    threshold = 0,
+    thresholdMax = 1,
+    thresholdMode = DEFAULT_THRESHOLD_MODE,
+    scoreParams,
+    area = null,
+    withCountryStats = false,
+    topN = TOP_SITES_COUNT,
+    minSeparationKm = 0,
+    groupNeighbours = false,
+  }
+) {
+  const stats = getRecordStats(records);
+  let heatFlowCap = stats.caps.get(scoreParams.capPercentile);
+  if (heatFlowCap === undefined) {
+    heatFlowCap = computeHeatFlowCap(records, scoreParams.capPercentile);
+    stats.caps.set(scoreParams.capPercentile, heatFlowCap);
+  }
+  const scorer = createScorer({ ...scoreParams, cap: heatFlowCap });
+
+  const inArea = area?.polygon?.length >= MIN_POLYGON_VERTICES ? createPolygonTest(area.polygon) : null;
+  const n = records.length;
+  const scores = new Float64Array(n);
+  const filteredList = [];
+  const areaList = [];
+  const nationalList = [];
+  const subregionSet = new Set();
+  const regionSet = new Set();
+  for (let i = 0; i < n; i++) {
+    const pt = records[i];
+    scores[i] = scorer(pt.hf, pt.bd)?.score ?? pt.score ?? 0;
+    if (!passesShoreFilter(pt, shore, maxOffshoreKm)) continue;
+    if (continent !== 'All' && pt.continentName !== continent) continue;
+    if (pt.subregionName) subregionSet.add(pt.subregionName);
+    if (subregion !== 'All' && pt.subregionName !== subregion) continue;
+    let inCountry = country === 'All' || pt.countryName === country;
+    if (inCountry && country !== 'All') {
+      if (pt.stateName) regionSet.add(pt.stateName);
+      if (region !== 'All' && pt.stateName !== region) inCountry = false;
+    }
+    if (!inCountry && !withCountryStats) continue;
+    if (inArea?.(pt.coordinates[0], pt.coordinates[1])) {
+      if (inCountry) areaList.push(i);
+    } else if (inArea && area.filter) continue;
+    if (withCountryStats) nationalList.push(i);
+    if (inCountry) filteredList.push(i);
+  }
+
+  const extent = scoreExtent(scores, filteredList);
+  const sortedScores = Float64Array.from(filteredList, (i) => scores[i]).sort();
+  const scale = createScoreScale(thresholdMode, { extent, sortedScores });
+  const highList = filteredList.filter((i) => {
+    const v = scale(scores[i]);
+    return v >= threshold && v <= thresholdMax;
+  });
+  const { top, groups: topGroups } = selectTopSites(records, highList, scores, { n: topN, minSeparationKm, groupNeighbours });
+
+  const highMask = new Uint8Array(n);
+  for (const i of highList) highMask[i] = 1;
+  const areaStats = inArea ? summarizeArea(records, areaList, scores, highMask) : null;
+  const histograms = distributionHistograms(records, filteredList, (i) => scale(scores[i]), highMask, heatFlowCap);
+
+  let countryStats = null;
+  if (withCountryStats) {
+    const nationalScale =
+      country === 'All'
+        ? scale
+        : createScoreScale(thresholdMode, {
+            extent: scoreExtent(scores, nationalList),
+            sortedScores: Float64Array.from(nationalList, (i) => scores[i]).sort(),
+          });
+    countryStats = summarizeCountries(records, nationalList, scores, (i) => {
+      const v = nationalScale(scores[i]);
+      return v >= threshold && v <= thresholdMax;
+    });
+  }
+
+  return {
+    scores,
+    filtered: Int32Array.from(filteredList),
+    high: Int32Array.from(highList),
+    top,
+    topGroups,
+    extent,
+    sortedScores,
+    heatFlowCap,
+    countries: stats.countries,
+    subregions: [...subregionSet].sort(),
+    regions: [...regionSet].sort(),
+    areaStats,
+    histograms,
+    countryStats,
+  };
+}
@@ -0,0 +1,113 @@
+/**
+ * siteTooltip.js
+ *
+ * Hover tooltip content for the map's site dots, Top N pins and plate boundaries. Content
+ * is built from what the records already carry (score, hf, bd, the resolvedPlace tag) and
+ * cached per hovered object, so hovering never resolves a location or touches polygons.
+ * tooltipHtml renders it for deck.gl's getTooltip, which draws the tooltip outside React.
+ */
+
+import { boundaryCodes, boundaryLabel } from '../plates/plateBoundaries.js';
+
+/**
+ * Rank of a score within the current filter: 1 for the best filtered site. The filtered
+ * scores are sorted on the first lookup, not per query, since most queries are never hovered.
+ *
+ * @param {Float64Array} scores - Current scores, by record index
+ * @param {ArrayLike<number>} filtered - Record indices passing the region filters
+ * @returns {(score: number) => { rank: number, of: number }}
+ */
+export function createRankLookup(scores, filtered) {
+  let sorted = null;
+  return (score) => {
+    if (!sorted) {
+      sorted = Float64Array.from(filtered, (i) => scores[i]).sort();
+    }
+    // Count the filtered scores strictly above this one (sorted ascending).
+    let lo = 0;
+    let hi = sorted.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >>> 1;
+      if (sorted[mid] <= score) lo = mid + 1;
+      else hi = mid;
+    }
+    return { rank: sorted.length - lo + 1, of: sorted.length };
+  };
+}
+
+/**
+ * Memoize tooltip content per hovered object. Layer data objects are stable until the next
+ * query, so a WeakMap keeps repeat hovers free and lets stale entries go with their data.
+ *
+ * @param {(object: object) => { title: string, rows: Array<[string, string]> }} build
+ * @returns {{ get: (object: object) => { title: string, rows: Array<[string, string]> } }}
+ */
+export function createTooltipCache(build) {
+  const cache = new WeakMap();
+  return {
+    get(object) {
+      let content = cache.get(object);
+      if (!content) {
+        content = build(object);
+        cache.set(object, content);
+      }
+      return content;
+    },
+  };
+}
+
+/**
+ * Tooltip for a dataset site (heatmap dot or Top N pin).
+ *
+ * @param {{ coordinates: [number, number], score: number, hf?: number, bd?: number, resolvedPlace?: string, rank?: number }} site
+ *   rank is the Top N position, when the site is on the list
+ * @param {(score: number) => { rank: number, of: number }} rankOf - From createRankLookup
+ * @returns {{ title: string, rows: Array<[string, string]> }}
+ */
+export function siteTooltipContent(site, rankOf) {
+  const [lon, lat] = site.coordinates;
+  const { rank, of } = rankOf(site.score);
+  const rows = [
+    ['Score', site.score.toFixed(4)],
+    ['Heat flow', site.hf != null ? `${site.hf} mW/m²` : '—'],
+    ['Plate boundary', site.bd != null ? `${site.bd} km` : '—'],
+    ['Rank in filter', `#${rank.toLocaleString()} of ${of.toLocaleString()}`],
+  ];
+  if (site.rank != null) rows.push(['Top list', `#${site.rank}`]);
+  return {
+    title: site.resolvedPlace || `${lat.toFixed(2)}°, ${lon.toFixed(2)}°`,
+    rows,
+  };
+}
+
+/**
+ * Tooltip for a plate boundary path.
+ * @param {{ plate: string, neighbor?: string|null, plateName?: string, neighborName?: string }} boundary
+ * @returns {{ title: string, rows: Array<[string, string]> }}
+ */
+export function boundaryTooltipContent(boundary) {
+  return {
+    title: boundaryLabel(boundary),
+    rows: [['Plates', boundaryCodes(boundary)]],
+  };
+}
+
+const escapeHtml = (text) =>
+  String(text).replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+
+/**
+ * Tooltip content as HTML, laid out like the panel's stat rows.
+ * @param {{ title: string, rows: Array<[string, string]> }} content
+ * @returns {string}
+ */
+export function tooltipHtml({ title, rows }) {
+  const head = `<div style="color:#f97316;font-weight:bold;font-size:11px;margin-bottom:4px">${escapeHtml(title)}</div>`;
+  const body = rows
+    .map(
+      ([label, value]) =>
+        `<div style="display:flex;justify-content:space-between;gap:8px;margin-bottom:6px">` +
+        `<span style="color:#555">${escapeHtml(label)}</span><span style="color:#ddd;text-align:right">${escapeHtml(value)}</span></div>`
+    )
+    .join('');
+  return head + body;
+}
@@ -0,0 +1,73 @@
+/**
+ * topSites.js
+ *
+ * Sidebar Top N: the best sites above the threshold, optionally with a minimum geographic
+ * separation so one hot field cannot fill the list. Same greedy pick as the Top 20 in
+ * scripts/process_dataset.py (500 km there): walk the sites by score and keep a site only
+ * if it is at least the separation away from every site kept so far.
+ */
+
+import { haversineKm } from '../spatial/siteIndex.js';
+
+/** List lengths offered in the sidebar. */
+export const TOP_N_OPTIONS = [10, 20, 50, 100];
+
+/** Minimum separation slider in km; 0 turns it off (plain sort by score). */
+export const MIN_SEPARATION_RANGE = { min: 0, max: 1000, step: 25 };
+
+/** Separation used by scripts/process_dataset.py for public/top_sites.json. */
+export const PIPELINE_MIN_SEPARATION_KM = 500;
+
+/** Suppressed neighbours listed under a ranked site; the rest are only counted. */
+export const MAX_LISTED_NEIGHBOURS = 10;
+
+/**
+ * Greedy Top N with minimum separation.
+ *
+ * With groupNeighbours, every site dropped for being too close is attached to the nearest
+ * kept site within the separation, including sites scoring below the last kept one, so
+ * each group shows the whole cluster the ranked site stands for.
+ *
+ * @param {object[]} records - Site records ({ coordinates: [lon, lat] })
+ * @param {ArrayLike<number>} candidates - Record indices eligible for the list
+ * @param {Float64Array} scores - Current scores, by record index
+ * @param {{ n: number, minSeparationKm?: number, groupNeighbours?: boolean }} options
+ * @returns {{ top: Int32Array, groups: Array<{ count: number, neighbours: Int32Array }>|null }}
+ *   groups[k] belongs to top[k]; neighbours holds up to MAX_LISTED_NEIGHBOURS indices, best first
+ */
+export function selectTopSites(records, candidates, scores, { n, minSeparationKm = 0, groupNeighbours = false }) {
+  const sorted = Array.from(candidates).sort((a, b) => scores[b] - scores[a]);
+  if (!(minSeparationKm > 0)) return { top: Int32Array.from(sorted.slice(0, n)), groups: null };
+
+  const top = [];
+  const groups = groupNeighbours ? [] : null;
+  for (const i of sorted) {
+    if (!groups && top.length >= n) break;
+    const [lon, lat] = records[i].coordinates;
+    let nearest = -1;
+    let nearestKm = Infinity;
+    for (let k = 0; k < top.length; k++) {
+      const [tLon, tLat] = records[top[k]].coordinates;
+      const d = haversineKm(lon, lat, tLon, tLat);
+      if (d < minSeparationKm && d < nearestKm) {
+        nearest = k;
+        nearestKm = d;
+        if (!groupNeighbours) break;
+      }
+    }
+    if (nearest === -1) {
+      if (top.length < n) {
+        top.push(i);
+        groups?.push({ count: 0, neighbours: [] });
+      }
+    } else if (groups) {
+      const group = groups[nearest];
+      group.count++;
+      if (group.neighbours.length < MAX_LISTED_NEIGHBOURS) group.neighbours.push(i);
+    }
+  }
+  return {
+    top: Int32Array.from(top),
+    groups: groups?.map((g) => ({ count: g.count, neighbours: Int32Array.from(g.neighbours) })) ?? null,
+  };
+}
@@ -0,0 +1,203 @@
+/**
+ * heatFlowEstimate.js
+ *
+ * Estimates heat flow at arbitrary coordinates (imported candidate sites, clicks on empty
+ * ground, the interpolated surface) from the loaded measurements, so they can be scored
+ * with the same formula as the dataset (see compositeScore.js). Boundary distance is to
+ * the nearest plate boundary segment (plates/boundarySegments.js).
+ *
+ * Two methods over the k nearest measurements within maxDistanceKm: inverse-distance
+ * weighting, and ordinary kriging with an exponential variogram fitted to those neighbours
+ * (sill = their variance, a fixed nugget share, practical range = maxDistanceKm). Every
+ * estimate carries an uncertainty in 0..1 from how close and how many the supporting
+ * measurements are, and a spread in mW/m² (weighted standard deviation for IDW, kriging
+ * standard deviation for kriging).
+ */
+
+import { haversineKm } from './siteIndex.js';
+
+/** Defaults for the heat-flow estimate. */
+export const HEAT_FLOW_ESTIMATE_DEFAULTS = { k: 8, maxDistanceKm: 300, power: 2, method: 'idw' };
+
+/** Interpolation methods offered in the sidebar. */
+export const INTERPOLATION_METHODS = [
+  { id: 'idw', label: 'Inverse distance' },
+  { id: 'kriging', label: 'Kriging' },
+];
+
+/** Share of the sill assigned to the nugget (measurement noise and sub-sample variation). */
+const KRIGING_NUGGET_SHARE = 0.1;
+
+/**
+ * 0 when k measurements sit on the point, 1 with none in range: one minus the product of
+ * closeness (1 - mean distance / maxDistanceKm) and density (count / k).
+ */
+function estimateUncertainty(hits, k, maxDistanceKm) {
+  if (!hits.length) return 1;
+  const meanKm = hits.reduce((sum, h) => sum + h.distanceKm, 0) / hits.length;
+  const closeness = Math.max(0, 1 - meanKm / maxDistanceKm);
+  return 1 - closeness * Math.min(1, hits.length / k);
+}
+
+function idw(hits, power) {
+  let num = 0;
+  let den = 0;
+  for (const { item, distanceKm } of hits) {
+    const w = 1 / distanceKm ** power;
+    num += w * item.hf;
+    den += w;
+  }
+  const value = num / den;
+  let variance = 0;
+  for (const { item, distanceKm } of hits) variance += (item.hf - value) ** 2 / distanceKm ** power;
+  return { value, spread: Math.sqrt(variance / den) };
+}
+
+/** Solve A x = b in place by Gaussian elimination with partial pivoting; null if singular. */
+function solveLinear(A, b) {
+  const n = b.length;
+  for (let c = 0; c < n; c++) {
+    let pivot = c;
+    for (let r = c + 1; r < n; r++) if (Math.abs(A[r][c]) > Math.abs(A[pivot][c])) pivot = r;
+    if (Math.abs(A[pivot][c]) < 1e-12) return null;
+    [A[c], A[pivot]] = [A[pivot], A[c]];
+    [b[c], b[pivot]] = [b[pivot], b[c]];
+    for (let r = c + 1; r < n; r++) {
+      const f = A[r][c] / A[c][c];
+      for (let j = c; j < n; j++) A[r][j] -= f * A[c][j];
+      b[r] -= f * b[c];
+    }
+  }
+  const x = new Array(n);
+  for (let r = n - 1; r >= 0; r--) {
+    let sum = b[r];
+    for (let j = r + 1; j < n; j++) sum -= A[r][j] * x[j];
+    x[r] = sum / A[r][r];
+  }
+  return x;
+}
+
+/**
+ * Ordinary kriging at the point the hits' distances are measured from. Falls back to IDW
+ * when the neighbours do not vary (no variogram to fit) or the system is singular
+ * (co-located measurements).
+ */
+function krige(hits, maxDistanceKm, power) {
+  const n = hits.length;
+  const mean = hits.reduce((sum, h) => sum + h.item.hf, 0) / n;
+  const sill = hits.reduce((sum, h) => sum + (h.item.hf - mean) ** 2, 0) / n;
+  if (n < 3 || !(sill > 0)) return idw(hits, power);
+  const nugget = KRIGING_NUGGET_SHARE * sill;
+  const gamma = (h) => (h === 0 ? 0 : nugget + (sill - nugget) * (1 - Math.exp((-3 * h) / maxDistanceKm)));
+
+  const A = [];
+  for (let i = 0; i < n; i++) {
+    const [loni, lati] = hits[i].item.coordinates;
+    const row = new Array(n + 1);
+    for (let j = 0; j < n; j++) {
+      const [lonj, latj] = hits[j].item.coordinates;
+      row[j] = i === j ? 0 : gamma(haversineKm(loni, lati, lonj, latj));
+    }
+    row[n] = 1;
+    A.push(row);
+  }
+  A.push([...new Array(n).fill(1), 0]);
+  const target = [...hits.map((h) => gamma(h.distanceKm)), 1];
+  const weights = solveLinear(A, [...target]);
+  if (!weights) return idw(hits, power);
+
+  let value = 0;
+  let variance = weights[n];
+  for (let i = 0; i < n; i++) {
+    value += weights[i] * hits[i].item.hf;
+    variance += weights[i] * target[i];
+  }
+  // Negative weights can overshoot below zero next to a steep gradient.
+  return { value: Math.max(0, value), spread: Math.sqrt(Math.max(0, variance)) };
+}
+
+/**
+ * Heat flow at (lon, lat) from the k nearest measurements with heat flow.
+ *
+ * @param {ReturnType<typeof import('./siteIndex.js').createSiteIndex>} index - Index over records with hf
+ * @param {number} lon
+ * @param {number} lat
+ * @param {{ k?: number, maxDistanceKm?: number, power?: number, method?: 'idw'|'kriging' }} [opts]
+ * @returns {{ value: number|null, count: number, nearestKm: number|null, spread: number|null, uncertainty: number }}
+ *   value is null (uncertainty 1) when no measurement is within range
+ */
+export function estimateHeatFlow(index, lon, lat, opts = {}) {
+  const { k, maxDistanceKm, power, method } = { ...HEAT_FLOW_ESTIMATE_DEFAULTS, ...opts };
+  const hits = index.nearest(lon, lat, { k, maxDistanceKm, filter: (d) => d.hf != null && d.hf > 0 });
+  if (!hits.length) return { value: null, count: 0, nearestKm: null, spread: null, uncertainty: 1 };
+  const nearestKm = hits[0].distanceKm;
+  const uncertainty = estimateUncertainty(hits, k, maxDistanceKm);
+  // A measurement at (practically) the same spot is the estimate.
+  if (nearestKm < 0.01) return { value: hits[0].item.hf, count: hits.length, nearestKm, spread: 0, uncertainty };
+  const { value, spread } = method === 'kriging' ? krige(hits, maxDistanceKm, power) : idw(hits, power);
+  return { value, count: hits.length, nearestKm, spread, uncertainty };
+}
+
+const round1 = (v) => (v == null ? null : Math.round(v * 10) / 10);
+
+/**
+ * Measurements at an arbitrary point (an imported site or a click on empty ground), rounded
+ * like dataset records: estimated heat flow with its spread and uncertainty, and the
+ * distance to the nearest plate boundary segment. Like the dataset's own bd this is a
+ * point-to-boundary distance, but measured along the segment, so a point midway between
+ * two far-apart vertices is not scored as far from the boundary.
+ *
+ * @param {ReturnType<typeof import('./siteIndex.js').createSiteIndex>|null} index - Index over records with hf
+ * @param {ReturnType<typeof import('../plates/boundarySegments.js').createBoundarySegmentIndex>} segments
+ * @param {number} lon
+ * @param {number} lat
+ * @param {{ k?: number, maxDistanceKm?: number, power?: number, method?: 'idw'|'kriging' }} [opts]
+ * @returns {{ hf: number|null, hfSpread: number|null, hfSamples: number, hfNearestKm: number|null, uncertainty: number, bd: number|null }}
+ */
+export function estimatePoint(index, segments, lon, lat, opts = {}) {
+  const estimate = index ? estimateHeatFlow(index, lon, lat, opts) : { value: null, count: 0, nearestKm: null, spread: null, uncertainty: 1 };
+  return {
+    hf: round1(estimate.value),
+    hfSpread: round1(estimate.spread),
+    hfSamples: estimate.count,
+    hfNearestKm: round1(estimate.nearestKm),
+    uncertainty: estimate.uncertainty,
+    bd: round1(segments.nearest(lon, lat)?.distanceKm),
+  };
+}
+
+/** Cell size of the interpolated surface layer, in degrees. */
+export const SURFACE_CELL_DEG = 2;
+
+/**
+ * Heat-flow estimates on a global lon/lat grid, for the interpolated surface layer. Only
+ * cells with a measurement in range are returned.
+ *
+ * @param {ReturnType<typeof import('./siteIndex.js').createSiteIndex>} index
+ * @param {{ cellDeg?: number, method?: 'idw'|'kriging' }} [opts] - Other estimate options pass through
+ * @returns {{ cellDeg: number, lon: Float32Array, lat: Float32Array, hf: Float32Array, uncertainty: Float32Array }}
+ *   lon / lat are cell centers
+ */
+export function estimateSurface(index, { cellDeg = SURFACE_CELL_DEG, ...opts } = {}) {
+  const lon = [];
+  const lat = [];
+  const hf = [];
+  const uncertainty = [];
+  for (let y = -90 + cellDeg / 2; y < 90; y += cellDeg) {
+    for (let x = -180 + cellDeg / 2; x < 180; x += cellDeg) {
+      const estimate = estimateHeatFlow(index, x, y, opts);
+      if (estimate.value == null) continue;
+      lon.push(x);
+      lat.push(y);
+      hf.push(estimate.value);
+      uncertainty.push(estimate.uncertainty);
+    }
+  }
+  return {
+    cellDeg,
+    lon: Float32Array.from(lon),
+    lat: Float32Array.from(lat),
+    hf: Float32Array.from(hf),
+    uncertainty: Float32Array.from(uncertainty),
+  };
+}
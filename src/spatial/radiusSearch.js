@@ -0,0 +1,62 @@
+/**
+ * radiusSearch.js
+ *
+ * "Sites within X km" search: the geodesic circle drawn on the globe, and ranking and
+ * summary of the sites found inside it (the lookup itself is siteIndex.withinRadius in
+ * the site worker).
+ */
+
+import { EARTH_RADIUS_KM } from './siteIndex.js';
+
+/** Radius slider range in km. */
+export const RADIUS_RANGE = { min: 10, max: 1000, step: 10 };
+export const DEFAULT_RADIUS_KM = 100;
+
+const toRad = (d) => (d * Math.PI) / 180;
+const toDeg = (r) => (r * 180) / Math.PI;
+
+/**
+ * Point reached from (lon, lat) after distanceKm along a great circle at the given bearing.
+ * @returns {[number, number]} [lon, lat], lon normalized to [-180, 180)
+ */
+export function destinationPoint(lon, lat, bearingDeg, distanceKm) {
+  const δ = distanceKm / EARTH_RADIUS_KM;
+  const θ = toRad(bearingDeg);
+  const φ1 = toRad(lat);
+  const λ1 = toRad(lon);
+  const φ2 = Math.asin(Math.sin(φ1) * Math.cos(δ) + Math.cos(φ1) * Math.sin(δ) * Math.cos(θ));
+  const λ2 = λ1 + Math.atan2(Math.sin(θ) * Math.sin(δ) * Math.cos(φ1), Math.cos(δ) - Math.sin(φ1) * Math.sin(φ2));
+  return [((toDeg(λ2) + 540) % 360) - 180, toDeg(φ2)];
+}
+
+/**
+ * Closed ring of points at radiusKm from the center (first point repeated at the end).
+ * @param {number} lon
+ * @param {number} lat
+ * @param {number} radiusKm
+ * @param {number} [steps]
+ * @returns {Array<[number, number]>}
+ */
+export function geodesicCircle(lon, lat, radiusKm, steps = 128) {
+  const ring = [];
+  for (let i = 0; i <= steps; i++) ring.push(destinationPoint(lon, lat, (i * 360) / steps, radiusKm));
+  return ring;
+}
+
+/**
+ * Radius hits sorted by score (best first, nearer first on ties), with a summary.
+ * @param {Array<{ site: object, distanceKm: number }>} hits
+ * @returns {{ hits: Array<{ site: object, distanceKm: number }>, count: number, meanScore: number|null,
+ *   best: { site: object, distanceKm: number }|null, nearest: { site: object, distanceKm: number }|null }}
+ */
+export function rankRadiusHits(hits) {
+  const sorted = [...hits].sort((a, b) => (b.site.score ?? 0) - (a.site.score ?? 0) || a.distanceKm - b.distanceKm);
+  const count = sorted.length;
+  return {
+    hits: sorted,
+    count,
+    meanScore: count ? sorted.reduce((sum, h) => sum + (h.site.score ?? 0), 0) / count : null,
+    best: sorted[0] ?? null,
+    nearest: count ? sorted.reduce((a, b) => (b.distanceKm < a.distanceKm ? b : a)) : null,
+  };
+}
@@ -0,0 +1,184 @@
+/**
+ * siteIndex.js
+ *
+ * Great-circle spatial index over site records for nearest-site and radius lookups.
+ * Points are stored as unit vectors on the sphere in a static 3D k-d tree, so queries
+ * are correct at high latitudes and across the antimeridian (no lon/lat distortion).
+ * Chord distance between unit vectors is monotonic with great-circle distance, which
+ * lets the tree prune with plain Euclidean bounds; results are reported in km.
+ */
+
+export const EARTH_RADIUS_KM = 6371;
+
+const DEG = Math.PI / 180;
+
+/**
+ * Great-circle distance in km between two WGS84 points (haversine).
+ */
+export function haversineKm(lon1, lat1, lon2, lat2) {
+  const dLat = (lat2 - lat1) * DEG;
+  const dLon = (lon2 - lon1) * DEG;
+  const a =
+    Math.sin(dLat / 2) ** 2 + Math.cos(lat1 * DEG) * Math.cos(lat2 * DEG) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(Math.min(1, a)));
+}
+
+function toUnitVector(lon, lat) {
+  const cosLat = Math.cos(lat * DEG);
+  return [cosLat * Math.cos(lon * DEG), cosLat * Math.sin(lon * DEG), Math.sin(lat * DEG)];
+}
+
+/** Great-circle km → chord length on the unit sphere. */
+function kmToChord(km) {
+  const angle = Math.min(Math.PI, km / EARTH_RADIUS_KM);
+  return 2 * Math.sin(angle / 2);
+}
+
+/** Chord length on the unit sphere → great-circle km. */
+function chordToKm(chord) {
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, chord / 2));
+}
+
+/**
+ * Build a spatial index over records.
+ *
+ * @param {object[]} records - Items to index (kept by reference, never copied)
+ * @param {(d: object) => [number, number]} [getPosition] - Returns [lon, lat]; defaults to d.coordinates
+ * @returns {{
+ *   size: number,
+ *   nearest: (lon: number, lat: number, opts?: { k?: number, maxDistanceKm?: number, filter?: (d: object, i: number) => boolean }) => Array<{ item: object, index: number, distanceKm: number }>,
+ *   withinRadius: (lon: number, lat: number, radiusKm: number, opts?: { filter?: (d: object, i: number) => boolean }) => Array<{ item: object, index: number, distanceKm: number }>,
+ * }}
+ */
+export function createSiteIndex(records, getPosition = (d) => d.coordinates) {
+  const n = records.length;
+  const xyz = new Float64Array(n * 3);
+  const ids = new Int32Array(n);
+  let count = 0;
+  for (let i = 0; i < n; i++) {
+    const pos = getPosition(records[i]);
+    if (!pos || !Number.isFinite(pos[0]) || !Number.isFinite(pos[1])) continue;
+    const [x, y, z] = toUnitVector(pos[0], pos[1]);
+    xyz[i * 3] = x;
+    xyz[i * 3 + 1] = y;
+    xyz[i * 3 + 2] = z;
+    ids[count++] = i;
+  }
+  const order = ids.subarray(0, count);
+
+  // In-place median split: order[lo..hi) is arranged so the median along the node's
+  // axis sits at mid, with smaller values to the left. Axis cycles x → y → z.
+  const build = (lo, hi, axis) => {
+    if (hi - lo <= 1) return;
+    const mid = (lo + hi) >> 1;
+    select(lo, hi - 1, mid, axis);
+    build(lo, mid, (axis + 1) % 3);
+    build(mid + 1, hi, (axis + 1) % 3);
+  };
+
+  // Quickselect (Hoare partition) on order[] by coordinate axis.
+  const select = (left, right, k, axis) => {
+    while (right > left) {
+      const pivot = xyz[order[k] * 3 + axis];
+      let i = left;
+      let j = right;
+      swap(left, k);
+      if (xyz[order[right] * 3 + axis] > pivot) swap(right, left);
+      while (i < j) {
+        swap(i, j);
+        i++;
+        j--;
+        while (xyz[order[i] * 3 + axis] < pivot) i++;
+        while (xyz[order[j] * 3 + axis] > pivot) j--;
+      }
+      if (xyz[order[left] * 3 + axis] === pivot) swap(left, j);
+      else {
+        j++;
+        swap(j, right);
+      }
+      if (j <= k) left = j + 1;
+      if (k <= j) right = j - 1;
+    }
+  };
+
+  const swap = (a, b) => {
+    const t = order[a];
+    order[a] = order[b];
+    order[b] = t;
+  };
+
+  build(0, count, 0);
+
+  const chordSq = (i, q) => {
+    const dx = xyz[i * 3] - q[0];
+    const dy = xyz[i * 3 + 1] - q[1];
+    const dz = xyz[i * 3 + 2] - q[2];
+    return dx * dx + dy * dy + dz * dz;
+  };
+
+  /**
+   * Visit every indexed point whose chord distance² could be below limit(); the
+   * visitor returns the (possibly shrunk) limit so k-nearest can tighten as it goes.
+   */
+  const search = (q, visit, limit) => {
+    const walk = (lo, hi, axis) => {
+      if (hi <= lo) return;
+      const mid = (lo + hi) >> 1;
+      const i = order[mid];
+      visit(i, chordSq(i, q));
+      const diff = q[axis] - xyz[i * 3 + axis];
+      const next = (axis + 1) % 3;
+      const [near, far] = diff < 0 ? [[lo, mid], [mid + 1, hi]] : [[mid + 1, hi], [lo, mid]];
+      walk(near[0], near[1], next);
+      if (diff * diff <= limit()) walk(far[0], far[1], next);
+    };
+    walk(0, count, 0);
+  };
+
+  const nearest = (lon, lat, { k = 1, maxDistanceKm = Infinity, filter } = {}) => {
+    if (k <= 0 || count === 0) return [];
+    const q = toUnitVector(lon, lat);
+    const maxChord = Number.isFinite(maxDistanceKm) ? kmToChord(maxDistanceKm) : 2;
+    const maxSq = maxChord * maxChord;
+    // Small sorted list (ascending by d²); k is expected to be small.
+    const best = [];
+    const limit = () => (best.length < k ? maxSq : best[best.length - 1].d2);
+    search(
+      q,
+      (i, d2) => {
+        if (d2 > limit()) return;
+        if (filter && !filter(records[i], i)) return;
+        let pos = best.length;
+        while (pos > 0 && best[pos - 1].d2 > d2) pos--;
+        best.splice(pos, 0, { i, d2 });
+        if (best.length > k) best.pop();
+      },
+      limit
+    );
+    return best.map(({ i }) => {
+      const [plon, plat] = getPosition(records[i]);
+      return { item: records[i], index: i, distanceKm: haversineKm(lon, lat, plon, plat) };
+    });
+  };
+
+  const withinRadius = (lon, lat, radiusKm, { filter } = {}) => {
+    if (count === 0 || !(radiusKm >= 0)) return [];
+    const q = toUnitVector(lon, lat);
+    const chord = kmToChord(radiusKm);
+    const maxSq = chord * chord;
+    const hits = [];
+    search(
+      q,
+      (i, d2) => {
+        if (d2 > maxSq) return;
+        if (filter && !filter(records[i], i)) return;
+        hits.push({ i, d2 });
+      },
+      () => maxSq
+    );
+    hits.sort((a, b) => a.d2 - b.d2);
+    return hits.map(({ i, d2 }) => ({ item: records[i], index: i, distanceKm: chordToKm(Math.sqrt(d2)) }));
+  };
+
+  return { size: count, nearest, withinRadius };
+}
@@ -0,0 +1,188 @@
+/**
+ * siteWorker.js
+ *
+ * Web Worker that owns the site dataset and the countries GeoJSON (loaded and cached by
+ * resolveLocation inside this worker). Runs location enrichment, rescoring, filtering,
+ * thresholding and nearest-site lookups off the main thread.
+ *
+ * Message API (use siteWorkerClient.js rather than posting directly):
+ *   in:  { id, type, payload }   type is a key of HANDLERS
+ *   out: { id, type: 'result', result }
+ *        { id, type: 'error', error }
+ *        { id, type: 'progress', progress: { done, total } }   (enrich only)
+ */
+
+import { resolveLocation } from '../location/resolveLocation.js';
+import { getRegionTags, hasRegionTags } from '../location/regionUtils.js';
+import { createSiteIndex } from '../spatial/siteIndex.js';
+import { estimatePoint, estimateSurface } from '../spatial/heatFlowEstimate.js';
+import { createBoundarySegmentIndex } from '../plates/boundarySegments.js';
+import { querySites } from '../sites/siteQuery.js';
+
+const BATCH_SIZE = 500;
+
+let records = [];
+let siteIndex = null;
+/** Masks of records in the filter / above threshold in the most recent query, for spatial lookups. */
+let filteredMask = null;
+let highMask = null;
+/** Plate boundary segment index for boundary distances, built on first use. */
+let boundarySegmentsPromise = null;
+
+function loadBoundarySegments(boundariesUrl) {
+  boundarySegmentsPromise ??= fetch(boundariesUrl)
+    .then((res) => {
+      if (!res.ok) throw new Error(`Failed to load ${boundariesUrl}: ${res.status}`);
+      return res.json();
+    })
+    .then(createBoundarySegmentIndex)
+    .catch((err) => {
+      boundarySegmentsPromise = null;
+      throw err;
+    });
+  return boundarySegmentsPromise;
+}
+
+function setRecords(next) {
+  records = next;
+  siteIndex = createSiteIndex(records);
+  filteredMask = null;
+  highMask = null;
+}
+
+const HANDLERS = {
+  /** Fetch the dataset. Resolves with the raw records so the map can draw immediately. */
+  async load({ dataUrl }) {
+    const res = await fetch(dataUrl);
+    if (!res.ok) throw new Error(`Failed to load ${dataUrl}: ${res.status}`);
+    setRecords(await res.json());
+    return { records };
+  },
+
+  /**
+   * Tag records that lack region fields (see scripts/tag-locations.mjs), streaming progress.
+   * Resolves with the enriched records.
+   */
+  async enrich(_, id) {
+    const total = records.length;
+    if (records.every(hasRegionTags)) return { records };
+    const enriched = [];
+    for (let i = 0; i < total; i += BATCH_SIZE) {
+      const batch = records.slice(i, i + BATCH_SIZE);
+      const results = await Promise.all(
+        batch.map(async (pt) => {
+          if (hasRegionTags(pt)) return pt;
+          const [lon, lat] = pt.coordinates;
+          const res = await resolveLocation(lat, lon).catch(() => ({ label: 'Unknown' }));
+          return { ...pt, ...getRegionTags(res) };
+        })
+      );
+      enriched.push(...results);
+      self.postMessage({ id, type: 'progress', progress: { done: enriched.length, total } });
+    }
+    setRecords(enriched);
+    return { records };
+  },
+
+  /** Rescore, filter and threshold. See querySites for the result shape. */
+  query(params) {
+    const result = querySites(records, params);
+    filteredMask = new Uint8Array(records.length);
+    for (const i of result.filtered) filteredMask[i] = 1;
+    highMask = new Uint8Array(records.length);
+    for (const i of result.high) highMask[i] = 1;
+    return result;
+  },
+
+  /** Nearest records to (lon, lat); aboveThreshold limits to the last query's high set. */
+  nearest({ lon, lat, k = 1, aboveThreshold = true }) {
+    if (!siteIndex) return [];
+    const filter = aboveThreshold ? (_, i) => highMask?.[i] === 1 : undefined;
+    return siteIndex.nearest(lon, lat, { k, filter }).map(({ index, distanceKm }) => ({ index, distanceKm }));
+  },
+
+  /**
+   * Measurements for arbitrary points (imported sites): heat flow estimated from nearby
+   * records, distance to the nearest boundary segment (see estimatePoint), and region tags.
+   * Scoring stays on the main thread so imported sites follow the current score parameters.
+   */
+  async estimateSites({ points, boundariesUrl }) {
+    const segments = await loadBoundarySegments(boundariesUrl);
+    return Promise.all(
+      points.map(async ([lon, lat]) => {
+        const { hf, hfSamples, hfNearestKm, bd } = estimatePoint(siteIndex, segments, lon, lat);
+        const res = await resolveLocation(lat, lon).catch(() => ({ label: 'Unknown' }));
+        return { hf, hfSamples, hfNearestKm, bd, ...getRegionTags(res) };
+      })
+    );
+  },
+
+  /**
+   * Interpolated measurements at an arbitrary point (a click on empty ground): estimated
+   * heat flow with its spread and uncertainty, and the distance to the nearest boundary
+   * segment (the same distance boundaryDistance reports for the click). Scored on the main
+   * thread like imported sites.
+   */
+  async interpolate({ lon, lat, method, boundariesUrl }) {
+    const segments = await loadBoundarySegments(boundariesUrl);
+    return estimatePoint(siteIndex, segments, lon, lat, { method });
+  },
+
+  /** Interpolated heat flow on a global grid plus each cell's boundary segment distance (see estimateSurface). */
+  async interpolateSurface({ method, cellDeg, boundariesUrl }) {
+    const segments = await loadBoundarySegments(boundariesUrl);
+    if (!siteIndex) return null;
+    const surface = estimateSurface(siteIndex, { method, cellDeg });
+    const bd = new Float32Array(surface.hf.length);
+    for (let i = 0; i < bd.length; i++) bd[i] = segments.nearest(surface.lon[i], surface.lat[i])?.distanceKm ?? NaN;
+    return { ...surface, bd };
+  },
+
+  /**
+   * Great-circle distance from any point to the nearest plate boundary segment, with the
+   * closest point on it and the plates it separates, or null without boundaries.
+   */
+  async boundaryDistance({ lon, lat, boundariesUrl }) {
+    const segments = await loadBoundarySegments(boundariesUrl);
+    const hit = segments.nearest(lon, lat);
+    if (!hit) return null;
+    const { plate, neighbor, plateName, neighborName } = hit.boundary;
+    return { plate, neighbor, plateName, neighborName, distanceKm: hit.distanceKm, point: hit.point };
+  },
+
+  /**
+   * Records within radiusKm of (lon, lat), nearest first, limited to the last query's
+   * high set (aboveThreshold) or its whole filtered set.
+   */
+  withinRadius({ lon, lat, radiusKm, aboveThreshold = true }) {
+    if (!siteIndex) return [];
+    const mask = aboveThreshold ? highMask : filteredMask;
+    return siteIndex
+      .withinRadius(lon, lat, radiusKm, { filter: (_, i) => mask?.[i] === 1 })
+      .map(({ index, distanceKm }) => ({ index, distanceKm }));
+  },
+
+  /** Country / state label for a coordinate, using this worker's cached polygons. */
+  resolve({ lat, lon }) {
+    return resolveLocation(lat, lon);
+  },
+};
+
+/** Typed arrays in a result are transferred instead of copied. */
+function transferables(result) {
+  if (!result || typeof result !== 'object') return [];
+  return Object.values(result)
+    .filter((v) => ArrayBuffer.isView(v))
+    .map((v) => v.buffer);
+}
+
+self.onmessage = async ({ data: { id, type, payload } }) => {
+  try {
+    const handler = HANDLERS[type];
+    if (!handler) throw new Error(`Unknown message type: ${type}`);
+    const result = await handler(payload ?? {}, id);
+    self.postMessage({ id, type: 'result', result }, transferables(result));
+  } catch (err) {
+    self.postMessage({ id, type: 'error', error: err?.message ?? String(err) });
+  }
+};
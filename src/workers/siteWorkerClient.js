@@ -0,0 +1,65 @@
+/**
+ * siteWorkerClient.js
+ *
+ * Promise-based wrapper around siteWorker.js. Each call posts one message and resolves
+ * with the worker's result (or rejects with its error). Only enrich streams progress.
+ */
+
+/**
+ * Start a site worker.
+ * @returns {{
+ *   load: (dataUrl: string) => Promise<{ records: object[] }>,
+ *   enrich: (onProgress?: (progress: { done: number, total: number }) => void) => Promise<{ records: object[] }>,
+ *   query: (params: object) => Promise<object>,
+ *   nearest: (lon: number, lat: number, opts?: { k?: number, aboveThreshold?: boolean }) => Promise<Array<{ index: number, distanceKm: number }>>,
+ *   estimateSites: (points: Array<[number, number]>, boundariesUrl: string) => Promise<object[]>,
+ *   withinRadius: (lon: number, lat: number, radiusKm: number, opts?: { aboveThreshold?: boolean }) => Promise<Array<{ index: number, distanceKm: number }>>,
+ *   interpolate: (lon: number, lat: number, method: string, boundariesUrl: string) => Promise<object>,
+ *   interpolateSurface: (method: string, cellDeg: number, boundariesUrl: string) => Promise<object|null>,
+ *   boundaryDistance: (lon: number, lat: number, boundariesUrl: string) => Promise<object|null>,
+ *   resolveLocation: (lat: number, lon: number) => Promise<object>,
+ *   terminate: () => void,
+ * }}
+ */
+export function createSiteWorkerClient() {
+  const worker = new Worker(new URL('./siteWorker.js', import.meta.url), { type: 'module' });
+  const pending = new Map();
+  let nextId = 1;
+
+  worker.onmessage = ({ data }) => {
+    const entry = pending.get(data.id);
+    if (!entry) return;
+    if (data.type === 'progress') {
+      entry.onProgress?.(data.progress);
+      return;
+    }
+    pending.delete(data.id);
+    if (data.type === 'error') entry.reject(new Error(data.error));
+    else entry.resolve(data.result);
+  };
+
+  const call = (type, payload, onProgress) =>
+    new Promise((resolve, reject) => {
+      const id = nextId++;
+      pending.set(id, { resolve, reject, onProgress });
+      worker.postMessage({ id, type, payload });
+    });
+
+  return {
+    load: (dataUrl) => call('load', { dataUrl }),
+    enrich: (onProgress) => call('enrich', null, onProgress),
+    query: (params) => call('query', params),
+    nearest: (lon, lat, opts) => call('nearest', { lon, lat, ...opts }),
+    estimateSites: (points, boundariesUrl) => call('estimateSites', { points, boundariesUrl }),
+    withinRadius: (lon, lat, radiusKm, opts) => call('withinRadius', { lon, lat, radiusKm, ...opts }),
+    interpolate: (lon, lat, method, boundariesUrl) => call('interpolate', { lon, lat, method, boundariesUrl }),
+    interpolateSurface: (method, cellDeg, boundariesUrl) => call('interpolateSurface', { method, cellDeg, boundariesUrl }),
+    boundaryDistance: (lon, lat, boundariesUrl) => call('boundaryDistance', { lon, lat, boundariesUrl }),
+    resolveLocation: (lat, lon) => call('resolve', { lat, lon }),
+    terminate: () => {
+      worker.terminate();
+      for (const { reject } of pending.values()) reject(new Error('Site worker terminated'));
+      pending.clear();
+    },
+  };
+}
@@ -2,5 +2,7 @@ import { defineConfig } from 'vite';
 import react from '@vitejs/plugin-react';
 
 export default defineConfig({
-  plugins: [react()]
+  plugins: [react()],
+  // The site worker lazy-loads the US states module, which needs code splitting.
+  worker: { format: 'es' },
 });